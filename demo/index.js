@@ -68,3 +68,5 @@ class DemoPage {
 
 const page = new DemoPage();
 page.initialize();
+// allows to call the proxy's API from the console and the tests.
+/** @type any */ (window).apiConsoleProxy = page.proxy;
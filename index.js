@@ -1 +1,2 @@
 export { ApiConsoleAppProxy } from './src/ApiConsoleAppProxy.js'
+export { CodeSnippets } from './src/proxy/CodeSnippets.js'
@@ -1,13 +1,34 @@
 /** @typedef {import('./types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
 /** @typedef {import('./types').IOAuth2Authorization} IOAuth2Authorization */
 /** @typedef {import('./types').ITokenInfo} ITokenInfo */
+/** @typedef {import('./types').IOAuth1TokenInfo} IOAuth1TokenInfo */
 /** @typedef {import('./types').IApiConsoleProxyError} IApiConsoleProxyError */
+/** @typedef {import('./types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('./types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('./types').ISafePayload} ISafePayload */
+/** @typedef {import('./types').IApiConsoleStreamMessage} IApiConsoleStreamMessage */
+/** @typedef {import('./types').IApiConsoleWebSocketMessage} IApiConsoleWebSocketMessage */
+/** @typedef {import('./types').IApiConsoleCommandResult} IApiConsoleCommandResult */
+/** @typedef {import('./types').ApiConsoleCommand} ApiConsoleCommand */
+/** @typedef {import('./types').IHistoryEntry} IHistoryEntry */
+/** @typedef {import('./types').IHistoryQuery} IHistoryQuery */
+/** @typedef {import('./types').IHar} IHar */
+/** @typedef {import('./types').IMockRule} IMockRule */
+/** @typedef {import('./types').IOriginMocks} IOriginMocks */
+/** @typedef {import('./types').IReplayInit} IReplayInit */
 
 import { PayloadSerializer } from './proxy/PayloadSerializer.js';
 
 /**
  * @fires apicproxyready - When the proxy was detected in the current browser. This is dispatched separately on the instance of this class and on the event target (bubbling)
  * @fires api-console-extension-installed - Deprecated. Do no use this event.
+ * @fires api-stream-response - When the response headers of a streamed request are received.
+ * @fires api-stream-chunk - With each chunk of the streamed response body.
+ * @fires api-stream-end - When the streamed response ended, was aborted, or failed.
+ * @fires api-websocket-opened - When the WebSocket connection made by the extension is open.
+ * @fires api-websocket-message - When the WebSocket connection received a message.
+ * @fires api-websocket-error - When the WebSocket connection has an error.
+ * @fires api-websocket-closed - When the WebSocket connection is closed.
  */
 export class ApiConsoleAppProxy extends EventTarget {
   get hasExtension() {
@@ -25,11 +46,24 @@ export class ApiConsoleAppProxy extends EventTarget {
     this._hasExtension = false;
 
     this._activeRequests = {};
+    this._activeStreams = {};
+    this._activeSockets = {};
+    /**
+     * The commands waiting for the response from the extension.
+     * Keys are the command ids.
+     * @type {Record<string, { resolve: (value: any) => void, reject: (reason: IApiConsoleProxyError) => void }>}
+     */
+    this._pendingCommands = {};
+    this._lastCommandId = 0;
 
     this._messageHandler = this._messageHandler.bind(this);
     this._requestHandler = this._requestHandler.bind(this);
     this._oauthTokenHandler = this._oauthTokenHandler.bind(this);
+    this._oauth1TokenHandler = this._oauth1TokenHandler.bind(this);
     this._abortHandler = this._abortHandler.bind(this);
+    this._webSocketOpenHandler = this._webSocketOpenHandler.bind(this);
+    this._webSocketSendHandler = this._webSocketSendHandler.bind(this);
+    this._webSocketCloseHandler = this._webSocketCloseHandler.bind(this);
   }
 
   listen() {
@@ -41,6 +75,13 @@ export class ApiConsoleAppProxy extends EventTarget {
       "oauth2-token-requested",
       this._oauthTokenHandler
     );
+    eventTarget.addEventListener(
+      "oauth1-token-requested",
+      this._oauth1TokenHandler
+    );
+    eventTarget.addEventListener("api-websocket-open", this._webSocketOpenHandler);
+    eventTarget.addEventListener("api-websocket-send", this._webSocketSendHandler);
+    eventTarget.addEventListener("api-websocket-close", this._webSocketCloseHandler);
     this._notifyExtension();
   }
 
@@ -53,6 +94,200 @@ export class ApiConsoleAppProxy extends EventTarget {
       "oauth2-token-requested",
       this._oauthTokenHandler
     );
+    eventTarget.removeEventListener(
+      "oauth1-token-requested",
+      this._oauth1TokenHandler
+    );
+    eventTarget.removeEventListener("api-websocket-open", this._webSocketOpenHandler);
+    eventTarget.removeEventListener("api-websocket-send", this._webSocketSendHandler);
+    eventTarget.removeEventListener("api-websocket-close", this._webSocketCloseHandler);
+  }
+
+  /**
+   * Turns on the request history for the origin of this page.
+   * The extension stores the requests made by the page, up to the limit set in the extension's settings.
+   *
+   * @returns {Promise<void>}
+   */
+  async enableHistory() {
+    await this._sendCommand("history-enable");
+  }
+
+  /**
+   * Turns off the request history for the origin of this page and removes the stored requests.
+   *
+   * @returns {Promise<void>}
+   */
+  async disableHistory() {
+    await this._sendCommand("history-disable");
+  }
+
+  /**
+   * Reads the request history of the origin of this page, the newest requests first.
+   *
+   * @param {IHistoryQuery=} query
+   * @returns {Promise<IHistoryEntry[]>}
+   */
+  async queryHistory(query) {
+    const result = await this._sendCommand("history-query", query);
+    return Array.isArray(result) ? result : [];
+  }
+
+  /**
+   * Exports the request history of the origin of this page as a HAR 1.2 log.
+   * The history must be turned on with the `enableHistory()` before the requests are made.
+   *
+   * @param {IHistoryQuery=} query Limits the exported requests.
+   * @returns {Promise<IHar>}
+   */
+  async exportHar(query) {
+    return this._sendCommand("history-har", query);
+  }
+
+  /**
+   * Removes the stored requests from the history of the origin of this page.
+   *
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    await this._sendCommand("history-clear");
+  }
+
+  /**
+   * Turns on the mock mode for the origin of this page.
+   * The requests matching a mock rule are answered with the rule's response, without making the request.
+   *
+   * @returns {Promise<void>}
+   */
+  async enableMocks() {
+    await this._sendCommand("mocks-enable");
+  }
+
+  /**
+   * Turns off the mock mode for the origin of this page. The rules are kept.
+   *
+   * @returns {Promise<void>}
+   */
+  async disableMocks() {
+    await this._sendCommand("mocks-disable");
+  }
+
+  /**
+   * @returns {Promise<IOriginMocks>} The mock mode state and the mock rules of the origin of this page.
+   */
+  async listMockRules() {
+    return this._sendCommand("mocks-list");
+  }
+
+  /**
+   * Adds a mock rule for the origin of this page. Rules are checked in the order they were added.
+   *
+   * @param {IMockRule} rule
+   * @returns {Promise<IMockRule>} The stored rule with the generated `id`.
+   */
+  async addMockRule(rule) {
+    return this._sendCommand("mocks-add", rule);
+  }
+
+  /**
+   * @param {string} id The id of the mock rule to remove.
+   * @returns {Promise<boolean>} Whether the rule was removed.
+   */
+  async removeMockRule(id) {
+    return this._sendCommand("mocks-remove", id);
+  }
+
+  /**
+   * Removes all mock rules of the origin of this page.
+   *
+   * @returns {Promise<void>}
+   */
+  async clearMockRules() {
+    await this._sendCommand("mocks-clear");
+  }
+
+  /**
+   * Starts recording the requests made by this page. The previous recording is removed.
+   *
+   * @returns {Promise<void>}
+   */
+  async startRecording() {
+    await this._sendCommand("recording-start");
+  }
+
+  /**
+   * Stops recording the requests. The recording is kept by the extension.
+   *
+   * @returns {Promise<void>}
+   */
+  async stopRecording() {
+    await this._sendCommand("recording-stop");
+  }
+
+  /**
+   * @returns {Promise<IHar>} The recorded requests as a HAR 1.2 log.
+   */
+  async exportRecording() {
+    return this._sendCommand("recording-export");
+  }
+
+  /**
+   * Starts answering the requests from the last recording, or from the given HAR log.
+   * The requests are matched by the method, the URL, and the body.
+   *
+   * @param {IReplayInit=} init
+   * @returns {Promise<number>} The number of the recorded requests available to the replay.
+   */
+  async startReplay(init) {
+    return this._sendCommand("replay-start", init);
+  }
+
+  /**
+   * Stops the replay. The requests are made to the API again.
+   *
+   * @returns {Promise<void>}
+   */
+  async stopReplay() {
+    await this._sendCommand("replay-stop");
+  }
+
+  /**
+   * Removes the responses cached by the extension for this page.
+   * The responses are cached when the response cache is turned on in the extension's settings.
+   *
+   * @returns {Promise<void>}
+   */
+  async clearResponseCache() {
+    await this._sendCommand("cache-clear");
+  }
+
+  /**
+   * Sends a command to the extension.
+   *
+   * @param {ApiConsoleCommand} command
+   * @param {any=} data The arguments of the command.
+   * @returns {Promise<any>} The result of the command.
+   */
+  _sendCommand(command, data) {
+    if (!this.hasExtension) {
+      return Promise.reject(/** @type IApiConsoleProxyError */ ({
+        error: true,
+        code: "no_extension",
+        message: "The API Console extension is not installed.",
+      }));
+    }
+    this._lastCommandId += 1;
+    const id = `command-${this._lastCommandId}`;
+    return new Promise((resolve, reject) => {
+      this._pendingCommands[id] = { resolve, reject };
+      window.postMessage(
+        {
+          payload: "api-console-command",
+          detail: { id, command, data },
+        },
+        window.location.origin
+      );
+    });
   }
 
   /**
@@ -93,6 +328,18 @@ export class ApiConsoleAppProxy extends EventTarget {
       case "api-console-oauth2-token-response":
         this._oauthTokenReady(data["api-console-data"]);
         break;
+      case "api-console-oauth1-token-response":
+        this._oauth1TokenReady(data["api-console-data"]);
+        break;
+      case "api-console-stream-event":
+        this._streamEventReady(data["api-console-data"]);
+        break;
+      case "api-console-websocket-event":
+        this._webSocketEventReady(data["api-console-data"]);
+        break;
+      case "api-console-command-response":
+        this._commandReady(data["api-console-data"]);
+        break;
       default:
     }
   }
@@ -124,6 +371,39 @@ export class ApiConsoleAppProxy extends EventTarget {
     if (payload) {
       detail.payload = payload;
     }
+    if (e.detail.responseType) {
+      detail.responseType = e.detail.responseType;
+    }
+    if (e.detail.redirect) {
+      detail.redirect = e.detail.redirect;
+    }
+    if (typeof e.detail.timeout === "number") {
+      detail.timeout = e.detail.timeout;
+    }
+    if (e.detail.credentials) {
+      detail.credentials = e.detail.credentials;
+    }
+    if (e.detail.retry) {
+      detail.retry = e.detail.retry;
+    }
+    if (e.detail.auth) {
+      detail.auth = e.detail.auth;
+    }
+    if (e.detail.compression) {
+      detail.compression = e.detail.compression;
+    }
+    if (e.detail.streaming) {
+      detail.streaming = true;
+      this._activeStreams[e.detail.id] = detail;
+      window.postMessage(
+        {
+          payload: "api-console-stream",
+          detail,
+        },
+        window.location.origin
+      );
+      return;
+    }
     this._activeRequests[e.detail.id] = detail;
     window.postMessage(
       {
@@ -146,8 +426,115 @@ export class ApiConsoleAppProxy extends EventTarget {
     e.preventDefault();
     e.stopPropagation();
     e.stopImmediatePropagation();
-    // Without the entry it won't report the response back.
-    delete this._activeRequests[e.detail.id];
+    const { id } = e.detail;
+    if (!this._activeRequests[id] && !this._activeStreams[id]) {
+      return;
+    }
+    // The extension responds with the "aborted" error for the request.
+    window.postMessage(
+      {
+        payload: "api-console-abort",
+        detail: { id },
+      },
+      window.location.origin
+    );
+  }
+
+  /**
+   * A handler for the API console event to open a WebSocket connection.
+   * The event's detail has the `id`, the `url`, and optionally the `protocols`.
+   *
+   * @param {CustomEvent} e
+   */
+  _webSocketOpenHandler(e) {
+    if (!this.hasExtension) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    const { id, url, protocols } = e.detail;
+    this._activeSockets[id] = { id, url, protocols, queue: Promise.resolve() };
+    window.postMessage(
+      {
+        payload: "api-console-websocket-open",
+        detail: { id, url, protocols },
+      },
+      window.location.origin
+    );
+  }
+
+  /**
+   * A handler for the API console event to send a message over a WebSocket connection.
+   * The event's detail has the `id` and the `data`, which can be a string, a `Blob`, or an `ArrayBuffer`.
+   *
+   * @param {CustomEvent} e
+   */
+  _webSocketSendHandler(e) {
+    const socket = this._activeSockets[e.detail.id];
+    if (!this.hasExtension || !socket) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    const { id } = e.detail;
+    this._enqueueSocketMessage(socket, async () => {
+      const data = await PayloadSerializer.serialize(e.detail.data);
+      window.postMessage(
+        {
+          payload: "api-console-websocket-send",
+          detail: { id, data },
+        },
+        window.location.origin
+      );
+    });
+  }
+
+  /**
+   * A handler for the API console event to close a WebSocket connection.
+   * The event's detail has the `id` and optionally the `code` and the `reason`.
+   *
+   * @param {CustomEvent} e
+   */
+  _webSocketCloseHandler(e) {
+    const socket = this._activeSockets[e.detail.id];
+    if (!this.hasExtension || !socket) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    const { id, code, reason } = e.detail;
+    this._enqueueSocketMessage(socket, () => {
+      window.postMessage(
+        {
+          payload: "api-console-websocket-close",
+          detail: { id, code, reason },
+        },
+        window.location.origin
+      );
+    });
+  }
+
+  /**
+   * Posts the message to the extension after the messages queued before it for the same connection.
+   * Serializing a `Blob` takes longer than serializing a string, so without the queue
+   * a message could reach the extension before the one sent earlier.
+   *
+   * @param {{ id: string, queue: Promise<void> }} socket The active connection.
+   * @param {() => void | Promise<void>} fn Posts the message.
+   */
+  _enqueueSocketMessage(socket, fn) {
+    socket.queue = socket.queue.then(fn).catch((cause) => {
+      this.eventTarget.dispatchEvent(
+        new CustomEvent("api-websocket-error", {
+          bubbles: true,
+          composed: true,
+          detail: { id: socket.id, message: cause && cause.message ? cause.message : "Unknown error" },
+        })
+      );
+    });
   }
 
   /**
@@ -171,6 +558,27 @@ export class ApiConsoleAppProxy extends EventTarget {
     );
   }
 
+  /**
+   * A handler for API console OAuth 1.0a token request handler.
+   *
+   * @param {CustomEvent} e
+   */
+  _oauth1TokenHandler(e) {
+    if (!this.hasExtension) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    window.postMessage(
+      {
+        payload: "api-console-oauth1",
+        detail: e.detail,
+      },
+      window.location.origin
+    );
+  }
+
   /**
    * Called when the api-console-extension is detected.
    */
@@ -196,8 +604,9 @@ export class ApiConsoleAppProxy extends EventTarget {
   /**
    * A handler for the response notified by the extension.
    * @param {Object} data
+   * @returns {Promise<void>}
    */
-  _responseReady(data) {
+  async _responseReady(data) {
     if (!this.hasExtension) {
       return;
     }
@@ -209,6 +618,7 @@ export class ApiConsoleAppProxy extends EventTarget {
     }
     delete this._activeRequests[response.id];
     response.request = request;
+    await this._restoreResponseBody(response);
     this.eventTarget.dispatchEvent(
       new CustomEvent("api-response", {
         bubbles: true,
@@ -218,6 +628,148 @@ export class ApiConsoleAppProxy extends EventTarget {
     );
   }
 
+  /**
+   * A handler for the message of a streamed response notified by the extension.
+   * @param {IApiConsoleStreamMessage} message
+   */
+  _streamEventReady(message) {
+    if (!this.hasExtension || !message) {
+      return;
+    }
+    const { id, type } = message;
+    const request = this._activeStreams[id];
+    if (!request) {
+      return;
+    }
+    if (type === "response") {
+      this.eventTarget.dispatchEvent(
+        new CustomEvent("api-stream-response", {
+          bubbles: true,
+          composed: true,
+          detail: {
+            id,
+            request,
+            responseData: message.data,
+          },
+        })
+      );
+    } else if (type === "chunk") {
+      let data = /** @type string | ISafePayload | ArrayBuffer */ (message.data);
+      if (data && typeof data === "object") {
+        const typed = /** @type ISafePayload */ (data);
+        data = Array.isArray(typed.data) ? PayloadSerializer.deserializeArrayBuffer(typed) : "";
+      }
+      this.eventTarget.dispatchEvent(
+        new CustomEvent("api-stream-chunk", {
+          bubbles: true,
+          composed: true,
+          detail: {
+            id,
+            data,
+          },
+        })
+      );
+    } else if (type === "end") {
+      delete this._activeStreams[id];
+      const response = /** @type IApiConsoleHttpResponse */ (message.data);
+      response.request = request;
+      this.eventTarget.dispatchEvent(
+        new CustomEvent("api-stream-end", {
+          bubbles: true,
+          composed: true,
+          detail: response,
+        })
+      );
+    }
+  }
+
+  /**
+   * A handler for the WebSocket event notified by the extension.
+   * @param {IApiConsoleWebSocketMessage} message
+   */
+  _webSocketEventReady(message) {
+    if (!this.hasExtension || !message) {
+      return;
+    }
+    const { id, type } = message;
+    if (!this._activeSockets[id]) {
+      return;
+    }
+    const data = message.data || {};
+    let name;
+    let detail;
+    switch (type) {
+      case "open":
+        name = "api-websocket-opened";
+        detail = { id, protocol: data.protocol, extensions: data.extensions };
+        break;
+      case "message":
+        name = "api-websocket-message";
+        detail = { id, data: typeof data === "string" ? data : (Array.isArray(data.data) ? PayloadSerializer.deserializeArrayBuffer(data) : "") };
+        break;
+      case "error":
+        name = "api-websocket-error";
+        detail = { id, message: typeof data.message === "string" ? data.message : "Unknown error" };
+        break;
+      case "close":
+        delete this._activeSockets[id];
+        name = "api-websocket-closed";
+        detail = { id, code: data.code, reason: data.reason, wasClean: !!data.wasClean };
+        break;
+      default:
+        return;
+    }
+    this.eventTarget.dispatchEvent(
+      new CustomEvent(name, {
+        bubbles: true,
+        composed: true,
+        detail,
+      })
+    );
+  }
+
+  /**
+   * A handler for the command result notified by the extension.
+   * @param {IApiConsoleCommandResult} data
+   */
+  _commandReady(data) {
+    if (!data || !this._pendingCommands[data.id]) {
+      return;
+    }
+    const { resolve, reject } = this._pendingCommands[data.id];
+    delete this._pendingCommands[data.id];
+    if (data.error) {
+      const message = typeof data.error.message === "string" ? data.error.message : "The command failed.";
+      const code = typeof data.error.code === "string" ? data.error.code : "unknown_error";
+      reject({ error: true, code, message });
+      return;
+    }
+    resolve(data.result);
+  }
+
+  /**
+   * Restores the binary response body serialized by the extension 
+   * into an `ArrayBuffer` or a `Blob`, depending on the response type.
+   * 
+   * @param {IApiConsoleHttpResponse} response
+   * @returns {Promise<void>}
+   */
+  async _restoreResponseBody(response) {
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    if (!data || !data.response || typeof data.response !== "object") {
+      return;
+    }
+    const body = /** @type ISafePayload */ (data.response);
+    if (!["arraybuffer", "blob"].includes(body.type) || !Array.isArray(body.data)) {
+      data.response = "";
+      return;
+    }
+    if (body.type === "blob" && !body.meta) {
+      body.meta = { mime: "" };
+    }
+    data.response = /** @type ArrayBuffer | Blob */ (await PayloadSerializer.deserialize(body));
+  }
+
   /**
    * Handler for OAuth token response.
    * @param {ITokenInfo | IApiConsoleProxyError | undefined} data
@@ -285,4 +837,55 @@ export class ApiConsoleAppProxy extends EventTarget {
       })
     );
   }
+
+  /**
+   * Handler for OAuth 1.0a token response.
+   * @param {IOAuth1TokenInfo | IApiConsoleProxyError | undefined} data
+   */
+  _oauth1TokenReady(data) {
+    //
+    // Note, data coming from the page are considered untrusted.
+    //
+    const typedError = /** @type IApiConsoleProxyError */ (data);
+    if (!data || typedError.error) {
+      const message = data && typeof typedError.message === "string" ? typedError.message : "No response has been recorded.";
+      const code = data && typeof typedError.code === "string" ? typedError.code : "no_response";
+      this.eventTarget.dispatchEvent(
+        new CustomEvent("oauth1-error", {
+          bubbles: true,
+          composed: true,
+          detail: {
+            message,
+            code,
+            error: true,
+          },
+        })
+      );
+      return;
+    }
+    const typedToken = /** @type IOAuth1TokenInfo */ (data);
+    const token = typeof typedToken.token === "string" ? typedToken.token : undefined;
+    const tokenSecret = typeof typedToken.tokenSecret === "string" ? typedToken.tokenSecret : undefined;
+    /** @type Record<string, string> */
+    const parameters = {};
+    if (typedToken.parameters && typeof typedToken.parameters === "object") {
+      Object.keys(typedToken.parameters).forEach((name) => {
+        const value = typedToken.parameters[name];
+        if (typeof value === "string") {
+          parameters[name] = value;
+        }
+      });
+    }
+    this.eventTarget.dispatchEvent(
+      new CustomEvent("oauth1-token-response", {
+        bubbles: true,
+        composed: true,
+        detail: {
+          token,
+          tokenSecret,
+          parameters,
+        },
+      })
+    );
+  }
 }
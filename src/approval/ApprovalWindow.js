@@ -0,0 +1,22 @@
+/**
+ * Opens an extension page in a popup window and waits until the user closes it.
+ * The page records the user's decision before it closes the window.
+ *
+ * @param {string} page The name of the HTML file in the `src/approval/` directory.
+ * @param {Record<string, string>} params The query parameters of the page.
+ * @returns {Promise<void>} Resolved when the window is closed.
+ */
+export async function openApprovalWindow(page, params) {
+  const query = new URLSearchParams(params).toString();
+  const url = chrome.runtime.getURL(`src/approval/${page}?${query}`);
+  const created = await chrome.windows.create({ url, type: 'popup', width: 480, height: 360, focused: true });
+  await new Promise((resolve) => {
+    const listener = (/** @type number */ windowId) => {
+      if (windowId === created.id) {
+        chrome.windows.onRemoved.removeListener(listener);
+        resolve(undefined);
+      }
+    };
+    chrome.windows.onRemoved.addListener(listener);
+  });
+}
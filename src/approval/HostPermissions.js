@@ -0,0 +1,69 @@
+import { openApprovalWindow } from './ApprovalWindow.js';
+
+/**
+ * The pending prompts. Keys are the permission patterns.
+ * @type {Map<string, Promise<boolean>>}
+ */
+const pendingPrompts = new Map();
+
+/**
+ * @param {string} url The URL of a request.
+ * @returns {string | undefined} The host permission pattern that covers the URL, like `https://api.example.com/*`.
+ * A pattern without a port matches any port of the host.
+ */
+export function hostPermissionPattern(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return undefined;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return undefined;
+  }
+  return `${parsed.protocol}//${parsed.hostname}/*`;
+}
+
+/**
+ * @param {string} pattern
+ * @returns {Promise<boolean>} Whether the extension has the host permission.
+ */
+function hasPermission(pattern) {
+  return new Promise((resolve) => {
+    chrome.permissions.contains({ origins: [pattern] }, resolve);
+  });
+}
+
+/**
+ * @param {string} pattern
+ * @returns {Promise<boolean>} Whether the user approved the host.
+ */
+async function promptUser(pattern) {
+  await openApprovalWindow('permission.html', { pattern });
+  return hasPermission(pattern);
+}
+
+/**
+ * Makes sure the extension has the host permission for the URL.
+ * When the permission is not granted, the user is asked to grant it.
+ * The permission can only be requested from an extension page with a user gesture, so this
+ * opens a window in which the user confirms the request.
+ *
+ * @param {string} url The URL of a request.
+ * @returns {Promise<boolean>} Whether the extension has the permission for the URL.
+ */
+export async function ensureHostPermission(url) {
+  const pattern = hostPermissionPattern(url);
+  if (!pattern) {
+    // not a URL the extension needs a permission for.
+    return true;
+  }
+  if (await hasPermission(pattern)) {
+    return true;
+  }
+  if (!pendingPrompts.has(pattern)) {
+    const promise = promptUser(pattern).finally(() => pendingPrompts.delete(pattern));
+    pendingPrompts.set(pattern, promise);
+  }
+  return pendingPrompts.get(pattern);
+}
@@ -0,0 +1,65 @@
+import { readSettings, updateSettings } from '../store/Settings.js';
+import { matchesPattern } from '../proxy/PatternUtils.js';
+import { openApprovalWindow } from './ApprovalWindow.js';
+
+/**
+ * The pending prompts. Keys are the origins.
+ * @type {Map<string, Promise<boolean>>}
+ */
+const pendingPrompts = new Map();
+
+/**
+ * @param {string} origin The origin of the page.
+ * @param {string[]} allowedOrigins The allowlist. The `*` in an entry matches any sequence of characters, like `https://*.example.com`.
+ * @returns {boolean} Whether the origin is on the allowlist.
+ */
+export function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin || !Array.isArray(allowedOrigins)) {
+    return false;
+  }
+  return allowedOrigins.some(pattern => typeof pattern === 'string' && matchesPattern(origin, pattern, true));
+}
+
+/**
+ * Opens the window in which the user decides whether the origin can use the extension.
+ * The approval page adds the origin to the allowlist and closes the window.
+ * Otherwise, the origin is stored as denied so the user is asked only once, even after the service worker restarts.
+ *
+ * @param {string} origin
+ * @returns {Promise<boolean>} Whether the user approved the origin.
+ */
+async function promptUser(origin) {
+  await openApprovalWindow('approval.html', { origin });
+  const settings = await readSettings();
+  const allowed = isOriginAllowed(origin, settings.allowedOrigins);
+  if (!allowed && !settings.deniedOrigins.includes(origin)) {
+    await updateSettings({ deniedOrigins: [...settings.deniedOrigins, origin] });
+  }
+  return allowed;
+}
+
+/**
+ * Checks whether the origin can use the extension. When the origin is not on the allowlist
+ * the user is asked to approve it, unless the prompt is turned off in the settings.
+ *
+ * @param {string | undefined} origin The origin of the page.
+ * @param {boolean=} prompt Whether to ask the user to approve an unlisted origin.
+ * @returns {Promise<boolean>}
+ */
+export async function authorizeOrigin(origin, prompt=true) {
+  if (!origin) {
+    return false;
+  }
+  const settings = await readSettings();
+  if (isOriginAllowed(origin, settings.allowedOrigins)) {
+    return true;
+  }
+  if (!prompt || !settings.promptUnknownOrigins || settings.deniedOrigins.includes(origin)) {
+    return false;
+  }
+  if (!pendingPrompts.has(origin)) {
+    const promise = promptUser(origin).finally(() => pendingPrompts.delete(origin));
+    pendingPrompts.set(origin, promise);
+  }
+  return pendingPrompts.get(origin);
+}
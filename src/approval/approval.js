@@ -0,0 +1,30 @@
+import { readSettings, updateSettings } from '../store/Settings.js';
+
+/**
+ * The page in which the user approves an origin to use the extension.
+ * The service worker waits until this window is closed and then checks the allowlist.
+ */
+class ApprovalPage {
+  constructor() {
+    this.origin = new URLSearchParams(location.search).get('origin') || '';
+  }
+
+  initialize() {
+    document.getElementById('origin').textContent = this.origin;
+    document.getElementById('allow').addEventListener('click', this._allow.bind(this));
+    document.getElementById('deny').addEventListener('click', () => window.close());
+  }
+
+  async _allow() {
+    if (this.origin) {
+      const settings = await readSettings();
+      if (!settings.allowedOrigins.includes(this.origin)) {
+        await updateSettings({ allowedOrigins: [...settings.allowedOrigins, this.origin] });
+      }
+    }
+    window.close();
+  }
+}
+
+const page = new ApprovalPage();
+page.initialize();
@@ -0,0 +1,29 @@
+/**
+ * The page in which the user grants the extension the permission to access a host.
+ * The permission can only be requested with a user gesture, which the background page does not have.
+ * The service worker waits until this window is closed and then checks the permission.
+ */
+class PermissionPage {
+  constructor() {
+    this.pattern = new URLSearchParams(location.search).get('pattern') || '';
+  }
+
+  initialize() {
+    document.getElementById('host').textContent = this.pattern.replace(/\/\*$/, '');
+    document.getElementById('allow').addEventListener('click', this._allow.bind(this));
+    document.getElementById('deny').addEventListener('click', () => window.close());
+  }
+
+  async _allow() {
+    if (this.pattern) {
+      // the background page reads the permission after the window is closed.
+      await new Promise((resolve) => {
+        chrome.permissions.request({ origins: [this.pattern] }, resolve);
+      });
+    }
+    window.close();
+  }
+}
+
+const page = new PermissionPage();
+page.initialize();
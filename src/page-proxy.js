@@ -1,14 +1,29 @@
 /** @typedef {import('./types').IProxyMessageInit} IProxyMessageInit */
 /** @typedef {import('./types').IProxyMessageHttpResponse} IProxyMessageHttpResponse */
 /** @typedef {import('./types').IProxyMessageOauth2Response} IProxyMessageOauth2Response */
+/** @typedef {import('./types').IProxyMessageOauth1Response} IProxyMessageOauth1Response */
 /** @typedef {import('./types').IProxyMessageInternal} IProxyMessageInternal */
+/** @typedef {import('./types').IProxyMessageStreamEvent} IProxyMessageStreamEvent */
+/** @typedef {import('./types').IProxyStreamMessageInternal} IProxyStreamMessageInternal */
+/** @typedef {import('./types').IApiConsoleStreamMessage} IApiConsoleStreamMessage */
+/** @typedef {import('./types').IApiConsoleWebSocketMessage} IApiConsoleWebSocketMessage */
+/** @typedef {import('./types').IProxyWebSocketMessageInternal} IProxyWebSocketMessageInternal */
+/** @typedef {import('./types').IProxyMessageWebSocketEvent} IProxyMessageWebSocketEvent */
+/** @typedef {import('./types').IProxyMessageCommandResponse} IProxyMessageCommandResponse */
+/** @typedef {import('./types').IOriginAuthorization} IOriginAuthorization */
+/** @typedef {import('./types').IApiConsoleProxyError} IApiConsoleProxyError */
 
 /**
  * The content script proxy that proxies communication from API Console to extension's background page.
  * 
- * Note, the HTTP requests are made in isolation of the tab's session. This means user data
- * cannot be used used with the request. If the user authenticate in the API server which sets a session cookie,
+ * Note, by default the HTTP requests are made in isolation of the tab's session. This means user data
+ * is not used with the request. If the user authenticate in the API server which sets a session cookie,
  * this cookie won't be used by the request and the HTTP request will fail with 401.
+ * API Console can opt-in to send the user's cookies with the `credentials: 'include'` property of the request.
+ * The cookies are also sent to the hosts configured in the extension's settings.
+ * 
+ * Only the origins on the allowlist in the extension's settings can use the extension.
+ * The user is asked to approve other origins when the page sends its first message.
  * 
  * TODO: For the future version of API Console we should consider using the external communication API
  * which allows a web page to directly connect to the background page.
@@ -16,7 +31,25 @@
  */
 class ApiConsoleProxy {
   constructor() {
+    /**
+     * The ports of the currently running streamed requests.
+     * Keys are the request ids.
+     * @type {Map<string, chrome.runtime.Port>}
+     */
+    this._streams = new Map();
+    /**
+     * The ports of the currently open WebSocket connections.
+     * Keys are the connection ids.
+     * @type {Map<string, chrome.runtime.Port>}
+     */
+    this._sockets = new Map();
+    /**
+     * The pending or resolved authorization of the page's origin.
+     * @type {Promise<IOriginAuthorization> | undefined}
+     */
+    this._authorization = undefined;
     this._messageHandler = this._messageHandler.bind(this);
+    this._storageHandler = this._storageHandler.bind(this);
   }
   
   /**
@@ -36,6 +69,20 @@ class ApiConsoleProxy {
    */
   _setupListeners() {
     window.addEventListener('message', this._messageHandler);
+    chrome.storage.onChanged.addListener(this._storageHandler);
+  }
+
+  /**
+   * Resets the authorization of the origin when the settings change
+   * so the allowlist is checked again with the next message.
+   * 
+   * @param {Record<string, chrome.storage.StorageChange>} changes 
+   * @param {string} areaName 
+   */
+  _storageHandler(changes, areaName) {
+    if (areaName === 'local' && changes.settings) {
+      this._authorization = undefined;
+    }
   }
 
   /**
@@ -43,7 +90,7 @@ class ApiConsoleProxy {
    * 
    * @param {MessageEvent} e 
    */
-  _messageHandler(e) {
+  async _messageHandler(e) {
     if (e.source !== window) {
       // ignore sub-frames and other content scripts.
       return;
@@ -53,11 +100,132 @@ class ApiConsoleProxy {
       // ignore invalid messages or the ones that have no `payload` used by API Console.
       return;
     }
+    if (data.payload === 'api-console-extension-installed') {
+      this.informInstalled();
+      return;
+    }
+    const authorization = await this._authorize();
+    if (!authorization.allowed) {
+      this._rejectMessage(data.payload, data.detail, authorization.error);
+      return;
+    }
 
     switch (data.payload) {
-      case 'api-console-extension-installed': this.informInstalled(); break;
       case 'api-console-request': this._proxyRequest(e.data.detail); break;
       case 'api-console-oauth2': this._proxyOauth(e.data.detail); break;
+      case 'api-console-oauth1': this._proxyOauth1(e.data.detail); break;
+      case 'api-console-abort': this._proxyAbort(e.data.detail); break;
+      case 'api-console-stream': this._proxyStream(e.data.detail); break;
+      case 'api-console-websocket-open': this._proxyWebSocketOpen(e.data.detail); break;
+      case 'api-console-websocket-send': this._proxyWebSocketMessage('send', e.data.detail); break;
+      case 'api-console-websocket-close': this._proxyWebSocketMessage('close', e.data.detail); break;
+      case 'api-console-command': this._proxyCommand(e.data.detail); break;
+    }
+  }
+
+  /**
+   * Asks the background page whether the page's origin can use the extension.
+   * The background page asks the user to approve an origin that is not on the allowlist.
+   * Only the positive result is kept so the user can approve the origin later.
+   * 
+   * @returns {Promise<IOriginAuthorization>}
+   */
+  _authorize() {
+    if (!this._authorization) {
+      const payload = /** @type IProxyMessageInternal */ ({
+        payload: 'authorize',
+      });
+      const authorization = chrome.runtime.sendMessage(payload).then((/** @type IOriginAuthorization */ result) => {
+        if (!result || !result.allowed) {
+          this._authorization = undefined;
+        }
+        return result || { allowed: false };
+      }).catch((e) => {
+        this._authorization = undefined;
+        return /** @type IOriginAuthorization */ ({
+          allowed: false,
+          error: {
+            error: true,
+            code: 'proxy_error',
+            message: `The extension did not respond: ${e.message}`,
+          },
+        });
+      });
+      this._authorization = authorization;
+    }
+    return this._authorization;
+  }
+
+  /**
+   * Responds to a message of API Console when the page's origin is not allowed to use the extension.
+   * 
+   * @param {string} type The payload of the message.
+   * @param {any} data The detail of the message.
+   * @param {IApiConsoleProxyError=} error
+   */
+  _rejectMessage(type, data, error) {
+    const id = data && data.id;
+    const reason = error || {
+      error: true,
+      code: 'origin_not_allowed',
+      message: 'The origin of the page is not allowed to use the API Console extension.',
+    };
+    switch (type) {
+      case 'api-console-request':
+        window.postMessage(/** @type IProxyMessageHttpResponse */ ({
+          'api-console-payload': 'api-console-response',
+          'api-console-extension': true,
+          'api-console-data': {
+            id,
+            responseData: reason,
+            stats: {
+              loadingTime: 0,
+              startTime: Date.now(),
+            },
+          },
+        }), location.origin);
+        break;
+      case 'api-console-stream':
+        this._postStreamMessage({
+          type: 'end',
+          id,
+          data: {
+            id,
+            responseData: reason,
+            stats: {
+              loadingTime: 0,
+              startTime: Date.now(),
+            },
+            request: undefined,
+          },
+        });
+        break;
+      case 'api-console-websocket-open':
+        this._postWebSocketMessage({ type: 'error', id, data: { message: reason.message } });
+        this._postWebSocketMessage({ type: 'close', id, data: { code: 1008, reason: reason.message, wasClean: false } });
+        break;
+      case 'api-console-command':
+        window.postMessage(/** @type IProxyMessageCommandResponse */ ({
+          'api-console-payload': 'api-console-command-response',
+          'api-console-extension': true,
+          'api-console-data': { id, error: reason },
+        }), location.origin);
+        break;
+      case 'api-console-oauth2':
+        window.postMessage(/** @type IProxyMessageOauth2Response */ ({
+          'api-console-payload': 'api-console-oauth2-token-response',
+          'api-console-extension': true,
+          'api-console-data': { ...reason, state: data && data.state },
+        }), location.origin);
+        break;
+      case 'api-console-oauth1':
+        window.postMessage(/** @type IProxyMessageOauth1Response */ ({
+          'api-console-payload': 'api-console-oauth1-token-response',
+          'api-console-extension': true,
+          'api-console-data': reason,
+        }), location.origin);
+        break;
+      default:
     }
   }
 
@@ -83,7 +251,24 @@ class ApiConsoleProxy {
       payload: 'fetch',
       data,
     });
-    const result = await chrome.runtime.sendMessage(payload);
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage(payload);
+    } catch (e) {
+      // The background page was terminated before it responded.
+      result = {
+        id: data && data.id,
+        responseData: {
+          error: true,
+          code: 'proxy_error',
+          message: `The extension did not respond: ${e.message}`,
+        },
+        stats: {
+          loadingTime: 0,
+          startTime: Date.now(),
+        },
+      };
+    }
     const msg = /** @type IProxyMessageHttpResponse */ ({
       'api-console-payload': 'api-console-response',
       'api-console-extension': true,
@@ -92,6 +277,194 @@ class ApiConsoleProxy {
     window.postMessage(msg, location.origin);
   }
 
+  /**
+   * Proxies the request to abort a running HTTP request.
+   * The response for the aborted request is reported by the `_proxyRequest()` function.
+   * 
+   * @param {any} data 
+   */
+  async _proxyAbort(data) {
+    const port = data && this._streams.get(data.id);
+    if (port) {
+      const message = /** @type IProxyStreamMessageInternal */ ({
+        payload: 'abort',
+        data,
+      });
+      port.postMessage(message);
+      return;
+    }
+    const payload = /** @type IProxyMessageInternal */ ({
+      payload: 'abort',
+      data,
+    });
+    try {
+      await chrome.runtime.sendMessage(payload);
+    } catch (e) {
+      // The background page is gone and so is the request. The `_proxyRequest()` function reports the failure.
+    }
+  }
+
+  /**
+   * Proxies the HTTP request which response is streamed back to API Console.
+   * This opens a port to the background page which is closed when the response ends.
+   * 
+   * @param {any} data 
+   */
+  _proxyStream(data) {
+    if (!data || this._streams.has(data.id)) {
+      return;
+    }
+    const { id } = data;
+    const port = chrome.runtime.connect({ name: 'api-console-stream' });
+    this._streams.set(id, port);
+    port.onMessage.addListener((/** @type IApiConsoleStreamMessage */ message) => {
+      if (message.type === 'end') {
+        this._streams.delete(id);
+      }
+      this._postStreamMessage(message);
+    });
+    port.onDisconnect.addListener(() => {
+      if (!this._streams.has(id)) {
+        return;
+      }
+      // The background page was terminated before the response ended.
+      this._streams.delete(id);
+      this._postStreamMessage({
+        type: 'end',
+        id,
+        data: {
+          id,
+          responseData: {
+            error: true,
+            code: 'proxy_error',
+            message: 'The extension closed the stream before the response ended.',
+          },
+          stats: {
+            loadingTime: 0,
+            startTime: Date.now(),
+          },
+          request: undefined,
+        },
+      });
+    });
+    const message = /** @type IProxyStreamMessageInternal */ ({
+      payload: 'fetch',
+      data,
+    });
+    port.postMessage(message);
+  }
+
+  /**
+   * Opens a WebSocket connection owned by the extension.
+   * This opens a port to the background page which is closed when the socket is closed.
+   * 
+   * @param {any} data 
+   */
+  _proxyWebSocketOpen(data) {
+    if (!data || this._sockets.has(data.id)) {
+      return;
+    }
+    const { id } = data;
+    const port = chrome.runtime.connect({ name: 'api-console-websocket' });
+    this._sockets.set(id, port);
+    port.onMessage.addListener((/** @type IApiConsoleWebSocketMessage */ message) => {
+      if (message.type === 'close') {
+        this._sockets.delete(id);
+      }
+      this._postWebSocketMessage(message);
+    });
+    port.onDisconnect.addListener(() => {
+      if (!this._sockets.has(id)) {
+        return;
+      }
+      // The background page was terminated before the socket was closed.
+      this._sockets.delete(id);
+      this._postWebSocketMessage({
+        type: 'close',
+        id,
+        data: { code: 1006, reason: 'The extension closed the connection.', wasClean: false },
+      });
+    });
+    this._proxyWebSocketMessage('open', data);
+  }
+
+  /**
+   * Passes a message to the WebSocket port of the connection.
+   * 
+   * @param {'open' | 'send' | 'close'} type
+   * @param {any} data 
+   */
+  _proxyWebSocketMessage(type, data) {
+    const port = data && this._sockets.get(data.id);
+    if (!port) {
+      return;
+    }
+    const message = /** @type IProxyWebSocketMessageInternal */ ({
+      payload: type,
+      data,
+    });
+    port.postMessage(message);
+  }
+
+  /**
+   * Sends the WebSocket message to API Console.
+   * 
+   * @param {IApiConsoleWebSocketMessage} message 
+   */
+  _postWebSocketMessage(message) {
+    const msg = /** @type IProxyMessageWebSocketEvent */ ({
+      'api-console-payload': 'api-console-websocket-event',
+      'api-console-extension': true,
+      'api-console-data': message,
+    });
+    window.postMessage(msg, location.origin);
+  }
+
+  /**
+   * Sends the stream message to API Console.
+   * 
+   * @param {IApiConsoleStreamMessage} message 
+   */
+  _postStreamMessage(message) {
+    const msg = /** @type IProxyMessageStreamEvent */ ({
+      'api-console-payload': 'api-console-stream-event',
+      'api-console-extension': true,
+      'api-console-data': message,
+    });
+    window.postMessage(msg, location.origin);
+  }
+
+  /**
+   * Proxies a command to the background page, like reading the request history.
+   * 
+   * @param {any} data 
+   */
+  async _proxyCommand(data) {
+    const payload = /** @type IProxyMessageInternal */ ({
+      payload: 'command',
+      data,
+    });
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage(payload);
+    } catch (e) {
+      result = {
+        id: data && data.id,
+        error: {
+          error: true,
+          code: 'proxy_error',
+          message: `The extension did not respond: ${e.message}`,
+        },
+      };
+    }
+    const msg = /** @type IProxyMessageCommandResponse */ ({
+      'api-console-payload': 'api-console-command-response',
+      'api-console-extension': true,
+      'api-console-data': result,
+    });
+    window.postMessage(msg, location.origin);
+  }
+
   /**
    * Proxies the OAuth2 authorization request.
    * 
@@ -110,6 +483,34 @@ class ApiConsoleProxy {
     });
     window.postMessage(msg, location.origin);
   }
+
+  /**
+   * Proxies the OAuth 1.0a authorization request.
+   * 
+   * @param {any} data 
+   */
+  async _proxyOauth1(data) {
+    const payload = /** @type IProxyMessageInternal */ ({
+      payload: 'oauth1',
+      data,
+    });
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage(payload);
+    } catch (e) {
+      result = {
+        error: true,
+        code: 'proxy_error',
+        message: `The extension did not respond: ${e.message}`,
+      };
+    }
+    const msg = /** @type IProxyMessageOauth1Response */ ({
+      'api-console-payload': 'api-console-oauth1-token-response',
+      'api-console-extension': true,
+      'api-console-data': result,
+    });
+    window.postMessage(msg, location.origin);
+  }
 }
 
 const proxy = new ApiConsoleProxy();
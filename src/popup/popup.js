@@ -0,0 +1,166 @@
+import { listHistoryOrigins, queryHistory } from '../store/History.js';
+import { createHar } from '../proxy/HarBuilder.js';
+import { importSigningKey } from '../proxy/HttpMessageSigner.js';
+import { addSigningKey, listSigningKeys, removeSigningKey } from '../store/SigningKeys.js';
+import { readSettings, updateSettings } from '../store/Settings.js';
+
+/** @typedef {import('../types').ISigningKey} ISigningKey */
+/** @typedef {import('../types').HttpSignatureAlgorithm} HttpSignatureAlgorithm */
+
+/**
+ * The extension's popup. Lists the origins that have the request history turned on
+ * and allows to export the history as a HAR file.
+ * It also manages the keys used to sign the requests with the HTTP message signature,
+ * so the key material is never passed through the API Console page.
+ * The origins the user denied to use the extension can be removed so their pages can ask again.
+ */
+class PopupPage {
+  async initialize() {
+    document.getElementById('key-form').addEventListener('submit', e => this._importKey(e));
+    await this._renderKeys();
+    await this._renderDeniedOrigins();
+    const origins = await listHistoryOrigins();
+    const list = document.getElementById('origins');
+    if (!origins.length) {
+      document.getElementById('empty').removeAttribute('hidden');
+      return;
+    }
+    for (const origin of origins) {
+      list.appendChild(await this._createItem(origin));
+    }
+  }
+
+  /**
+   * Renders the list of the imported signing keys.
+   */
+  async _renderKeys() {
+    const keys = await listSigningKeys();
+    const list = document.getElementById('keys');
+    list.replaceChildren(...keys.map(entry => this._createKeyItem(entry)));
+    document.getElementById('keys-empty').toggleAttribute('hidden', !!keys.length);
+  }
+
+  /**
+   * @param {ISigningKey} entry
+   * @returns {HTMLLIElement}
+   */
+  _createKeyItem(entry) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'origin';
+    label.textContent = `${entry.keyId} (${entry.origin})`;
+    label.title = entry.origin;
+    const algorithm = document.createElement('span');
+    algorithm.className = 'count';
+    algorithm.textContent = entry.algorithm;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Remove';
+    button.addEventListener('click', async () => {
+      await removeSigningKey(entry.origin, entry.keyId);
+      await this._renderKeys();
+    });
+    item.append(label, algorithm, button);
+    return item;
+  }
+
+  /**
+   * Renders the list of the origins denied in the approval window.
+   */
+  async _renderDeniedOrigins() {
+    const { deniedOrigins } = await readSettings();
+    const list = document.getElementById('denied');
+    list.replaceChildren(...deniedOrigins.map(origin => this._createDeniedItem(origin)));
+    document.getElementById('denied-empty').toggleAttribute('hidden', !!deniedOrigins.length);
+  }
+
+  /**
+   * @param {string} origin
+   * @returns {HTMLLIElement}
+   */
+  _createDeniedItem(origin) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'origin';
+    label.textContent = origin;
+    label.title = origin;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Remove';
+    button.addEventListener('click', async () => {
+      const { deniedOrigins } = await readSettings();
+      await updateSettings({ deniedOrigins: deniedOrigins.filter(item => item !== origin) });
+      await this._renderDeniedOrigins();
+    });
+    item.append(label, button);
+    return item;
+  }
+
+  /**
+   * Imports the key from the form as not extractable and stores it for the origin.
+   * 
+   * @param {SubmitEvent} e
+   */
+  async _importKey(e) {
+    e.preventDefault();
+    const form = /** @type HTMLFormElement */ (e.target);
+    const data = new FormData(form);
+    const error = document.getElementById('key-error');
+    error.setAttribute('hidden', '');
+    try {
+      const { origin } = new URL(String(data.get('origin')));
+      const keyId = String(data.get('keyId')).trim();
+      const algorithm = /** @type HttpSignatureAlgorithm */ (String(data.get('algorithm')));
+      const key = await importSigningKey(JSON.parse(String(data.get('jwk'))), algorithm);
+      await addSigningKey({ origin, keyId, algorithm, key });
+      form.reset();
+      await this._renderKeys();
+    } catch (cause) {
+      error.textContent = `Unable to import the key: ${cause.message}`;
+      error.removeAttribute('hidden');
+    }
+  }
+
+  /**
+   * @param {string} origin
+   * @returns {Promise<HTMLLIElement>}
+   */
+  async _createItem(origin) {
+    const entries = await queryHistory(origin);
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'origin';
+    label.textContent = origin;
+    label.title = origin;
+    const count = document.createElement('span');
+    count.className = 'count';
+    count.textContent = `${entries.length} requests`;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Export HAR';
+    button.disabled = !entries.length;
+    button.addEventListener('click', () => this._exportHar(origin));
+    item.append(label, count, button);
+    return item;
+  }
+
+  /**
+   * Downloads the history of the origin as a HAR file.
+   * 
+   * @param {string} origin
+   */
+  async _exportHar(origin) {
+    const { name, version } = chrome.runtime.getManifest();
+    const har = await createHar(await queryHistory(origin), { name, version });
+    const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${new URL(origin).host}.har`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+const page = new PopupPage();
+page.initialize();
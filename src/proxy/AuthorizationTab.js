@@ -0,0 +1,60 @@
+import { CodeError } from './AuthorizationError.js';
+
+/**
+ * Opens a tab with the authorization page and waits until the authorization server
+ * redirects it to the redirect URI. The tab is closed when it is redirected.
+ *
+ * Chrome does not allow listening to the events of a single tab so the listeners are added
+ * to all tabs and removed right after the tab is redirected or closed.
+ *
+ * @param {string} url The URL of the authorization page.
+ * @param {string} redirectUri The URI the authorization server redirects the tab to.
+ * @returns {Promise<string>} The URL the tab was redirected to.
+ */
+export async function authorizeInTab(url, redirectUri) {
+  /** @type chrome.tabs.Tab */
+  let tab;
+  try {
+    tab = await chrome.tabs.create({
+      active: true,
+      url,
+    });
+  } catch (e) {
+    throw new CodeError(e.message, 'popup_blocked');
+  }
+  const tabId = tab.id;
+  if (!tabId) {
+    throw new CodeError('Unable to process authorization. Created an invalid tab.', 'popup_blocked');
+  }
+  return new Promise((resolve, reject) => {
+    /**
+     * @param {number} id
+     * @param {chrome.tabs.TabChangeInfo} changeInfo
+     */
+    const updatedHandler = (id, changeInfo) => {
+      const { url: tabUrl } = changeInfo;
+      if (id !== tabId || !tabUrl || !redirectUri || !tabUrl.startsWith(redirectUri)) {
+        return;
+      }
+      removeHandlers();
+      chrome.tabs.remove(tabId);
+      resolve(tabUrl);
+    };
+    /**
+     * @param {number} id
+     */
+    const closedHandler = (id) => {
+      if (id !== tabId) {
+        return;
+      }
+      removeHandlers();
+      reject(new CodeError('No response has been recorded.', 'no_response'));
+    };
+    const removeHandlers = () => {
+      chrome.tabs.onUpdated.removeListener(updatedHandler);
+      chrome.tabs.onRemoved.removeListener(closedHandler);
+    };
+    chrome.tabs.onUpdated.addListener(updatedHandler);
+    chrome.tabs.onRemoved.addListener(closedHandler);
+  });
+}
@@ -0,0 +1,135 @@
+import { bodyBytes, digest, hmac, toHex, uriEncode } from './CryptoUtils.js';
+
+/** @typedef {import('../types').IAwsSigV4Auth} IAwsSigV4Auth */
+
+/**
+ * The signing algorithm of the AWS Signature Version 4.
+ */
+const algorithm = 'AWS4-HMAC-SHA256';
+
+/**
+ * @param {IAwsSigV4Auth} auth
+ * @returns {string | undefined} The error message when the configuration is incomplete.
+ */
+export function validateAwsAuth(auth) {
+  const missing = ['accessKeyId', 'secretAccessKey', 'region', 'service'].filter(name => !auth[name] || typeof auth[name] !== 'string');
+  if (missing.length) {
+    return `The AWS signature requires the ${missing.join(', ')}.`;
+  }
+  return undefined;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The date in the ISO 8601 basic format, like `20150830T123600Z`.
+ */
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Creates the canonical URI. Each path segment is encoded twice, except for the S3 service.
+ * 
+ * @param {URL} url
+ * @param {string} service
+ * @returns {string}
+ */
+function canonicalUri(url, service) {
+  const path = url.pathname || '/';
+  return path.split('/').map((segment) => {
+    let decoded = segment;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (e) {
+      // keeps the invalid escape sequences as they are.
+    }
+    const encoded = uriEncode(decoded);
+    return service === 's3' ? encoded : uriEncode(encoded);
+  }).join('/');
+}
+
+/**
+ * @param {URL} url
+ * @returns {string} The canonical query string, with the parameters sorted by the name and the value.
+ */
+function canonicalQuery(url) {
+  const params = [...url.searchParams].map(([name, value]) => [uriEncode(name), uriEncode(value)]);
+  params.sort(([aName, aValue], [bName, bValue]) => {
+    if (aName === bName) {
+      return aValue < bValue ? -1 : 1;
+    }
+    return aName < bName ? -1 : 1;
+  });
+  return params.map(([name, value]) => `${name}=${value}`).join('&');
+}
+
+/**
+ * @param {string} secret
+ * @param {string} date The date part of the scope, like `20150830`.
+ * @param {string} region
+ * @param {string} service
+ * @returns {Promise<ArrayBuffer>} The signing key.
+ */
+async function signingKey(secret, date, region, service) {
+  const dateKey = await hmac('SHA-256', `AWS4${secret}`, date);
+  const regionKey = await hmac('SHA-256', dateKey, region);
+  const serviceKey = await hmac('SHA-256', regionKey, service);
+  return hmac('SHA-256', serviceKey, 'aws4_request');
+}
+
+/**
+ * Signs the request with the AWS Signature Version 4.
+ * Sets the `authorization`, `x-amz-date`, and, when needed, the `x-amz-security-token` and `x-amz-content-sha256` headers on the request init.
+ * 
+ * The signature covers the `host` header and all headers set on the request init. Headers added later by the browser are not signed.
+ * 
+ * @param {string} requestUrl The request URL.
+ * @param {RequestInit} init The init object passed to the `fetch()`. The headers are replaced with the signed headers.
+ * @param {IAwsSigV4Auth} auth
+ * @param {Date=} date The signing time.
+ * @returns {Promise<void>}
+ */
+export async function signAwsRequest(requestUrl, init, auth, date=new Date()) {
+  const url = new URL(requestUrl);
+  const { accessKeyId, secretAccessKey, sessionToken, region, service } = auth;
+  const headers = new Headers(init.headers);
+  const timestamp = amzDate(date);
+  const day = timestamp.substring(0, 8);
+  const payloadHash = toHex(await digest('SHA-256', await bodyBytes(init.body)));
+  headers.delete('authorization');
+  headers.set('x-amz-date', timestamp);
+  if (sessionToken) {
+    headers.set('x-amz-security-token', sessionToken);
+  }
+  if (service === 's3') {
+    headers.set('x-amz-content-sha256', payloadHash);
+  }
+  /** @type {Map<string, string>} */
+  const signed = new Map();
+  signed.set('host', url.host);
+  headers.forEach((value, name) => {
+    signed.set(name, value.trim().replace(/\s+/g, ' '));
+  });
+  const signedNames = [...signed.keys()].sort();
+  const canonicalHeaders = signedNames.map(name => `${name}:${signed.get(name)}\n`).join('');
+  const signedHeaders = signedNames.join(';');
+  const canonicalRequest = [
+    (init.method || 'GET').toUpperCase(),
+    canonicalUri(url, service),
+    canonicalQuery(url),
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    algorithm,
+    timestamp,
+    scope,
+    toHex(await digest('SHA-256', canonicalRequest)),
+  ].join('\n');
+  const key = await signingKey(secretAccessKey, day, region, service);
+  const signature = toHex(await hmac('SHA-256', key, stringToSign));
+  headers.set('authorization', `${algorithm} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`);
+  init.headers = headers;
+}
@@ -0,0 +1,488 @@
+import { Headers as ProxyHeaders } from './Headers.js';
+
+/** @typedef {import('../types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
+/** @typedef {import('../types').ISafePayload} ISafePayload */
+/** @typedef {import('../types').IFileMeta} IFileMeta */
+/** @typedef {import('../types').IMultipartBody} IMultipartBody */
+/** @typedef {import('../types').SnippetLanguage} SnippetLanguage */
+/** @typedef {import('../types').ISnippetOptions} ISnippetOptions */
+/** @typedef {import('../types').RequestBodyEncoding} RequestBodyEncoding */
+
+/**
+ * A part of the multipart body.
+ * @typedef {object} SnippetPart
+ * @property {string} name The name of the part.
+ * @property {string=} text The value of a text part.
+ * @property {string=} fileName The file name of a file part.
+ * @property {string=} mime The content type of the part.
+ * @property {number[]=} bytes The contents of a file part.
+ */
+
+/**
+ * The request body in the form used by the snippet generators.
+ * @typedef {object} SnippetBody
+ * @property {'text' | 'binary' | 'multipart'} kind
+ * @property {string=} text The text body.
+ * @property {string=} fileName The name of the file with the binary body.
+ * @property {number[]=} bytes The binary body.
+ * @property {SnippetPart[]=} parts The parts of the multipart body.
+ */
+
+/**
+ * The request in the form used by the snippet generators.
+ * @typedef {object} SnippetRequest
+ * @property {string} url
+ * @property {string} method
+ * @property {ProxyHeaders} headers The headers sent by the extension.
+ * @property {SnippetBody=} body
+ * @property {boolean} followRedirects
+ * @property {number=} timeout The timeout in milliseconds.
+ * @property {RequestBodyEncoding=} compression The encoding of the body, when the extension compresses it.
+ * @property {string[]} notes The comments added above the snippet.
+ */
+
+/**
+ * The content type set by the `fetch()` for a text body without the `content-type` header.
+ */
+const textContentType = 'text/plain;charset=UTF-8';
+
+/**
+ * The file name used with binary bodies that have no name.
+ */
+const defaultFileName = 'body.bin';
+
+/**
+ * The shell commands that compress the standard input, by the content encoding.
+ * @type {Record<RequestBodyEncoding, string>}
+ */
+const shellCompressors = {
+  gzip: 'gzip -c',
+  // the deflate content encoding is the zlib format, which the common command line tools do not produce.
+  deflate: `python3 -c 'import sys, zlib; sys.stdout.buffer.write(zlib.compress(sys.stdin.buffer.read()))'`,
+};
+
+/**
+ * The Python modules which `compress()` function creates the content encoding.
+ * @type {Record<RequestBodyEncoding, string>}
+ */
+const pythonCompressors = {
+  gzip: 'gzip',
+  deflate: 'zlib',
+};
+
+/**
+ * The `CompressionStream` formats of the content encodings.
+ * @type {Record<RequestBodyEncoding, string>}
+ */
+const streamFormats = {
+  gzip: 'gzip',
+  deflate: 'deflate',
+};
+
+/**
+ * Quotes the value for a POSIX shell.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quotes the value as a JavaScript and Python string literal.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function stringLiteral(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {number[]} bytes
+ * @returns {string} The bytes decoded as UTF-8.
+ */
+function decodeText(bytes) {
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * @param {SnippetBody} body The text or the binary body.
+ * @param {RequestBodyEncoding} encoding
+ * @returns {string} The shell process substitution with the compressed body.
+ */
+function compressedShellBody(body, encoding) {
+  const compressor = shellCompressors[encoding];
+  if (body.kind === 'text') {
+    return `<(printf %s ${shellQuote(body.text)} | ${compressor})`;
+  }
+  return `<(${compressor} < ${shellQuote(body.fileName)})`;
+}
+
+/**
+ * The shell tools can't compress the multipart body they create.
+ * Removes the `content-encoding` header and explains that in the notes.
+ *
+ * @param {SnippetRequest} info
+ * @param {string} tool The name of the tool.
+ * @returns {boolean} Whether the body is compressed in the snippet.
+ */
+function shellCompression(info, tool) {
+  const { body, compression } = info;
+  if (!compression) {
+    return false;
+  }
+  if (body.kind !== 'multipart') {
+    return true;
+  }
+  info.headers.delete('content-encoding');
+  info.notes.push(`The extension sends the form with the ${compression} encoding. ${tool} can't compress the form, so it is sent as is.`);
+  return false;
+}
+
+/**
+ * @param {SnippetRequest} info
+ * @param {string} snippet
+ * @param {string} prefix The comment prefix of the language.
+ * @returns {string} The snippet with the notes above it.
+ */
+function withNotes(info, snippet, prefix) {
+  if (!info.notes.length) {
+    return snippet;
+  }
+  return [...info.notes.map(note => `${prefix} ${note}`), snippet].join('\n');
+}
+
+/**
+ * Creates the body description from the serialized multipart body.
+ * API Client serializes the text values with a mime type as a `blob`. These are restored as text parts.
+ *
+ * @param {IMultipartBody[]} items
+ * @returns {SnippetPart[]}
+ */
+function multipartParts(items) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  return items.map((item) => {
+    const { name, value } = item;
+    if (!value || value.type === 'string') {
+      return { name, text: value ? /** @type string */ (value.data) : '' };
+    }
+    const bytes = /** @type number[] */ (value.data);
+    const mime = value.meta && value.meta.mime ? value.meta.mime : undefined;
+    if (value.type === 'blob') {
+      return { name, text: decodeText(bytes), mime };
+    }
+    const meta = /** @type IFileMeta */ (value.meta);
+    return { name, fileName: meta && meta.name ? meta.name : 'blob', mime, bytes };
+  });
+}
+
+/**
+ * Generates the code snippets that make the same HTTP request as the extension.
+ *
+ * The snippets have the headers the extension sends, including the headers that are
+ * added by the `fetch()` (the content type of text and binary bodies) and the `cookie` header
+ * when the request is made with the `include` credentials mode.
+ * File parts and binary bodies are referenced by the file name in the shell and Python snippets
+ * and are inlined in the `fetch()` snippet.
+ * The body is compressed in the snippet when the request has the `compression` option.
+ * The snippets are not signed: when the request has the `auth`, the snippet has a comment
+ * that the extension applies the authorization.
+ */
+export class CodeSnippets {
+  /**
+   * @param {IApiConsoleHttpRequest} request
+   * @param {SnippetLanguage} language
+   * @param {ISnippetOptions=} options
+   * @returns {string}
+   */
+  static generate(request, language, options) {
+    switch (language) {
+      case 'curl': return CodeSnippets.curl(request, options);
+      case 'httpie': return CodeSnippets.httpie(request, options);
+      case 'fetch': return CodeSnippets.fetch(request, options);
+      case 'python': return CodeSnippets.python(request, options);
+      default: throw new Error(`Unsupported snippet language: ${language}`);
+    }
+  }
+
+  /**
+   * Creates the request description with the headers and the body sent by the extension.
+   *
+   * @param {IApiConsoleHttpRequest} request
+   * @param {ISnippetOptions=} options
+   * @returns {SnippetRequest}
+   */
+  static _prepare(request, options={}) {
+    const headers = new ProxyHeaders(request.headers);
+    const { payload } = request;
+    /** @type SnippetBody | undefined */
+    let body;
+    if (typeof payload === 'string') {
+      if (payload) {
+        body = { kind: 'text', text: payload };
+      }
+    } else if (payload) {
+      body = CodeSnippets._prepareSafePayload(payload);
+    }
+    if (body && body.kind === 'text' && !headers.has('content-type')) {
+      headers.set('content-type', textContentType);
+    } else if (body && body.kind === 'binary' && !headers.has('content-type')) {
+      const mime = payload && typeof payload === 'object' && payload.meta ? payload.meta.mime : '';
+      if (mime) {
+        headers.set('content-type', mime);
+      }
+    }
+    if (request.credentials === 'include' && !headers.has('cookie')) {
+      headers.set('cookie', options.cookie || '<cookies from the browser>');
+    }
+    const compression = body && streamFormats[request.compression] ? request.compression : undefined;
+    if (compression) {
+      headers.set('content-encoding', compression);
+    }
+    const notes = [];
+    if (request.auth) {
+      notes.push(`The snippet is unsigned. The extension applies the ${request.auth.type} authorization when it makes the request.`);
+    }
+    return {
+      url: request.url,
+      method: request.method || 'GET',
+      headers,
+      body,
+      followRedirects: !request.redirect || request.redirect === 'follow',
+      timeout: typeof request.timeout === 'number' && request.timeout > 0 ? request.timeout : undefined,
+      compression,
+      notes,
+    };
+  }
+
+  /**
+   * @param {ISafePayload} payload
+   * @returns {SnippetBody | undefined}
+   */
+  static _prepareSafePayload(payload) {
+    switch (payload.type) {
+      case 'string': return { kind: 'text', text: /** @type string */ (payload.data) };
+      case 'formdata': return { kind: 'multipart', parts: multipartParts(/** @type IMultipartBody[] */ (payload.data)) };
+      case 'file':
+      case 'blob':
+      case 'arraybuffer': {
+        const meta = /** @type IFileMeta */ (payload.meta);
+        return {
+          kind: 'binary',
+          fileName: meta && meta.name ? meta.name : defaultFileName,
+          bytes: Array.isArray(payload.data) ? /** @type number[] */ (payload.data) : [],
+        };
+      }
+      default: return undefined;
+    }
+  }
+
+  /**
+   * @param {IApiConsoleHttpRequest} request
+   * @param {ISnippetOptions=} options
+   * @returns {string} The cURL command.
+   */
+  static curl(request, options) {
+    const info = CodeSnippets._prepare(request, options);
+    const { body } = info;
+    // cURL changes the method of a redirected request only when the method is not set explicitly.
+    const impliedMethod = body ? 'POST' : 'GET';
+    const method = info.method.toUpperCase() === impliedMethod ? '' : `-X ${info.method} `;
+    const lines = [`curl ${method}${shellQuote(info.url)}`];
+    const compressed = shellCompression(info, 'cURL');
+    if (info.followRedirects) {
+      lines.push('-L');
+    }
+    if (info.timeout) {
+      lines.push(`--max-time ${info.timeout / 1000}`);
+    }
+    info.headers.forEach((value, name) => {
+      lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    });
+    if (body && body.kind === 'text' && !compressed) {
+      lines.push(`--data-raw ${shellQuote(body.text)}`);
+    } else if (body && body.kind !== 'multipart') {
+      if (!info.headers.has('content-type')) {
+        // cURL sets the form content type for the data unless the header is removed.
+        lines.push(`-H 'content-type:'`);
+      }
+      lines.push(compressed ? `--data-binary @${compressedShellBody(body, info.compression)}` : `--data-binary ${shellQuote(`@${body.fileName}`)}`);
+    } else if (body && body.kind === 'multipart') {
+      body.parts.forEach((part) => {
+        const type = part.mime ? `;type=${part.mime}` : '';
+        if (part.fileName) {
+          lines.push(`-F ${shellQuote(`${part.name}=@${part.fileName}${type}`)}`);
+        } else if (part.mime) {
+          // a quoted value is taken literally by cURL, including the "@" and "<" prefixes.
+          const value = part.text.replace(/[\\"]/g, '\\$&');
+          lines.push(`-F ${shellQuote(`${part.name}="${value}"${type}`)}`);
+        } else {
+          lines.push(`--form-string ${shellQuote(`${part.name}=${part.text}`)}`);
+        }
+      });
+    }
+    return withNotes(info, lines.join(' \\\n  '), '#');
+  }
+
+  /**
+   * @param {IApiConsoleHttpRequest} request
+   * @param {ISnippetOptions=} options
+   * @returns {string} The HTTPie command.
+   */
+  static httpie(request, options) {
+    const info = CodeSnippets._prepare(request, options);
+    const { body } = info;
+    const lines = ['http --ignore-stdin'];
+    const compressed = shellCompression(info, 'HTTPie');
+    if (body && body.kind === 'multipart') {
+      lines.push('--multipart');
+    }
+    if (info.followRedirects) {
+      lines.push('--follow');
+    }
+    if (info.timeout) {
+      lines.push(`--timeout ${info.timeout / 1000}`);
+    }
+    if (body && body.kind === 'text' && !compressed) {
+      lines.push(`--raw ${shellQuote(body.text)}`);
+    } else if (body && body.kind !== 'multipart') {
+      // reads the body from the file instead of the standard input.
+      lines[0] = 'http';
+    }
+    lines.push(`${info.method} ${shellQuote(info.url)}`);
+    info.headers.forEach((value, name) => {
+      lines.push(shellQuote(`${name}:${value}`));
+    });
+    if (body && body.kind === 'multipart') {
+      body.parts.forEach((part) => {
+        if (part.fileName) {
+          const type = part.mime ? `;type=${part.mime}` : '';
+          lines.push(shellQuote(`${part.name}@${part.fileName}${type}`));
+        } else {
+          lines.push(shellQuote(`${part.name}=${part.text}`));
+        }
+      });
+    } else if (body && compressed) {
+      lines.push(`< ${compressedShellBody(body, info.compression)}`);
+    } else if (body && body.kind === 'binary') {
+      lines.push(`< ${shellQuote(body.fileName)}`);
+    }
+    return withNotes(info, lines.join(' \\\n  '), '#');
+  }
+
+  /**
+   * @param {IApiConsoleHttpRequest} request
+   * @param {ISnippetOptions=} options
+   * @returns {string} The JavaScript code using the `fetch()`.
+   */
+  static fetch(request, options) {
+    const info = CodeSnippets._prepare(request, options);
+    const { body } = info;
+    const lines = [];
+    lines.push('const headers = new Headers();');
+    info.headers.forEach((value, name) => {
+      lines.push(`headers.append(${stringLiteral(name)}, ${stringLiteral(value)});`);
+    });
+    if (body && body.kind === 'text') {
+      lines.push(`const body = ${stringLiteral(body.text)};`);
+    } else if (body && body.kind === 'binary') {
+      lines.push(`const body = new Uint8Array([${body.bytes.join(', ')}]);`);
+    } else if (body && body.kind === 'multipart') {
+      lines.push('const body = new FormData();');
+      body.parts.forEach((part) => {
+        if (part.fileName) {
+          const type = part.mime ? `, { type: ${stringLiteral(part.mime)} }` : '';
+          lines.push(`body.append(${stringLiteral(part.name)}, new File([new Uint8Array([${part.bytes.join(', ')}])], ${stringLiteral(part.fileName)}${type}));`);
+        } else if (part.mime) {
+          lines.push(`body.append(${stringLiteral(part.name)}, new Blob([${stringLiteral(part.text)}], { type: ${stringLiteral(part.mime)} }));`);
+        } else {
+          lines.push(`body.append(${stringLiteral(part.name)}, ${stringLiteral(part.text)});`);
+        }
+      });
+    }
+    const init = [`  method: ${stringLiteral(info.method)},`, '  headers,'];
+    if (body && info.compression) {
+      const format = stringLiteral(streamFormats[info.compression]);
+      lines.push('const original = await new Response(body).blob();');
+      lines.push(`const compressed = await new Response(original.stream().pipeThrough(new CompressionStream(${format}))).blob();`);
+      // the blob's type is the content type of the original body, like the multipart boundary.
+      init.push('  body: new Blob([compressed], { type: original.type }),');
+    } else if (body) {
+      init.push('  body,');
+    }
+    if (!info.followRedirects) {
+      init.push('  redirect: "manual",');
+    }
+    if (info.timeout) {
+      init.push(`  signal: AbortSignal.timeout(${info.timeout}),`);
+    }
+    lines.push(`const response = await fetch(${stringLiteral(info.url)}, {`);
+    lines.push(...init);
+    lines.push('});');
+    return withNotes(info, lines.join('\n'), '//');
+  }
+
+  /**
+   * @param {IApiConsoleHttpRequest} request
+   * @param {ISnippetOptions=} options
+   * @returns {string} The Python code using the `requests` library.
+   */
+  static python(request, options) {
+    const info = CodeSnippets._prepare(request, options);
+    const { body } = info;
+    const compressor = info.compression ? pythonCompressors[info.compression] : undefined;
+    const lines = compressor ? [`import ${compressor}`, 'import requests', ''] : ['import requests', ''];
+    lines.push(`url = ${stringLiteral(info.url)}`);
+    const args = ['url'];
+    const headers = info.headers.map((value, name) => `    ${stringLiteral(name)}: ${stringLiteral(value)},`);
+    if (headers.length) {
+      lines.push('headers = {', ...headers, '}');
+      args.push('headers=headers');
+    }
+    if (body && body.kind === 'text') {
+      lines.push(`data = ${stringLiteral(body.text)}.encode("utf-8")`);
+      if (compressor) {
+        lines.push(`data = ${compressor}.compress(data)`);
+      }
+      args.push('data=data');
+    } else if (body && body.kind === 'binary') {
+      lines.push(compressor ? `data = ${compressor}.compress(open(${stringLiteral(body.fileName)}, "rb").read())` : `data = open(${stringLiteral(body.fileName)}, "rb")`);
+      args.push('data=data');
+    } else if (body && body.kind === 'multipart') {
+      lines.push('files = [');
+      body.parts.forEach((part) => {
+        const type = part.mime ? `, ${stringLiteral(part.mime)}` : '';
+        if (part.fileName) {
+          lines.push(`    (${stringLiteral(part.name)}, (${stringLiteral(part.fileName)}, open(${stringLiteral(part.fileName)}, "rb")${type})),`);
+        } else {
+          lines.push(`    (${stringLiteral(part.name)}, (None, ${stringLiteral(part.text)}${type})),`);
+        }
+      });
+      lines.push(']');
+      args.push('files=files');
+    }
+    /** @type string[] */
+    const sendArgs = [];
+    sendArgs.push(`allow_redirects=${info.followRedirects ? 'True' : 'False'}`);
+    if (info.timeout) {
+      sendArgs.push(`timeout=${info.timeout / 1000}`);
+    }
+    lines.push('');
+    if (compressor && body && body.kind === 'multipart') {
+      // the multipart body is created by the requests library and compressed before it is sent.
+      lines.push(`prepared = requests.Request(${stringLiteral(info.method)}, ${args.join(', ')}).prepare()`);
+      lines.push(`prepared.body = ${compressor}.compress(prepared.body)`);
+      lines.push('prepared.headers["content-length"] = str(len(prepared.body))');
+      lines.push(`response = requests.Session().send(prepared, ${sendArgs.join(', ')})`);
+    } else {
+      lines.push(`response = requests.request(${stringLiteral(info.method)}, ${[...args, ...sendArgs].join(', ')})`);
+    }
+    lines.push('print(response.status_code)');
+    lines.push('print(response.text)');
+    return withNotes(info, lines.join('\n'), '#');
+  }
+}
@@ -0,0 +1,52 @@
+/** @typedef {import('../types').IAttachedCookie} IAttachedCookie */
+
+/**
+ * Checks whether the host of the URL is on the list of hosts.
+ * A host on the list matches the same host and its sub-domains.
+ *
+ * @param {string} url The request URL.
+ * @param {string[]=} hosts The list of hosts, like `example.com` or `api.example.com`.
+ * @returns {boolean}
+ */
+export function hostMatches(url, hosts) {
+  if (!Array.isArray(hosts) || !hosts.length) {
+    return false;
+  }
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch (e) {
+    return false;
+  }
+  return hosts.some((host) => {
+    if (typeof host !== 'string' || !host) {
+      return false;
+    }
+    const normalized = host.trim().toLowerCase().replace(/^\./, '');
+    return hostname === normalized || hostname.endsWith(`.${normalized}`);
+  });
+}
+
+/**
+ * Reads the cookies stored in the browser's cookie store for the URL.
+ * These are the cookies the browser can attach to the request. The browser may still skip some of them,
+ * for example because of the `SameSite` attribute, so the list is not the `cookie` header that was sent.
+ * The values of the cookies are not reported.
+ *
+ * @param {string} url The request URL.
+ * @returns {Promise<IAttachedCookie[]>}
+ */
+export async function readCookies(url) {
+  if (typeof chrome === 'undefined' || !chrome.cookies) {
+    return [];
+  }
+  const cookies = await chrome.cookies.getAll({ url });
+  return cookies.map((cookie) => ({
+    name: cookie.name,
+    domain: cookie.domain,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly,
+    sameSite: cookie.sameSite,
+  }));
+}
@@ -0,0 +1,79 @@
+/**
+ * @param {string | ArrayBuffer | Uint8Array} data
+ * @returns {Uint8Array} The bytes of the data. Strings are UTF-8 encoded.
+ */
+export function toBytes(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  return new Uint8Array(data);
+}
+
+/**
+ * @param {ArrayBuffer | Uint8Array} buffer
+ * @returns {string} The lowercase hex representation of the bytes.
+ */
+export function toHex(buffer) {
+  return Array.from(toBytes(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {ArrayBuffer | Uint8Array} buffer
+ * @returns {string} The standard base64 representation of the bytes.
+ */
+export function toBase64(buffer) {
+  const bytes = toBytes(buffer);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {'SHA-1' | 'SHA-256'} algorithm
+ * @param {string | ArrayBuffer | Uint8Array} data
+ * @returns {Promise<ArrayBuffer>} The hash of the data.
+ */
+export async function digest(algorithm, data) {
+  return globalThis.crypto.subtle.digest(algorithm, toBytes(data));
+}
+
+/**
+ * @param {'SHA-1' | 'SHA-256'} algorithm
+ * @param {string | ArrayBuffer | Uint8Array} key
+ * @param {string | ArrayBuffer | Uint8Array} data
+ * @returns {Promise<ArrayBuffer>} The HMAC signature of the data.
+ */
+export async function hmac(algorithm, key, data) {
+  const cryptoKey = await globalThis.crypto.subtle.importKey('raw', toBytes(key), { name: 'HMAC', hash: algorithm }, false, ['sign']);
+  return globalThis.crypto.subtle.sign('HMAC', cryptoKey, toBytes(data));
+}
+
+/**
+ * Reads the bytes of a request body, as sent by the `fetch()`.
+ * 
+ * @param {BodyInit | null | undefined} body The body created from the deserialized payload, including the serialized multipart body.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function bodyBytes(body) {
+  if (body === undefined || body === null) {
+    return new Uint8Array(0);
+  }
+  const buffer = await new Response(body).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Percent-encodes the value as defined in RFC 3986. Only the unreserved characters are not encoded.
+ * 
+ * @param {string} value
+ * @returns {string}
+ */
+export function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
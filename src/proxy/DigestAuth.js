@@ -0,0 +1,172 @@
+import { md5 } from './Md5.js';
+import { bodyBytes, digest, toBytes, toHex } from './CryptoUtils.js';
+import { nonceGenerator } from './OAuthUtils.js';
+
+/** @typedef {import('../types').IDigestAuth} IDigestAuth */
+/** @typedef {import('../types').IAuthChallenge} IAuthChallenge */
+
+/**
+ * The supported digest algorithms, in the order of preference.
+ */
+const supportedAlgorithms = ['SHA-256', 'SHA-256-SESS', 'MD5', 'MD5-SESS'];
+
+/**
+ * Parses the value of the `www-authenticate` header into the list of challenges.
+ * 
+ * @param {string} value
+ * @returns {IAuthChallenge[]}
+ */
+export function parseAuthenticate(value) {
+  /** @type IAuthChallenge[] */
+  const result = [];
+  let index = 0;
+  /** @type IAuthChallenge | undefined */
+  let current;
+  const { length } = value;
+  while (index < length) {
+    while (index < length && /[\s,]/.test(value[index])) {
+      index += 1;
+    }
+    const tokenStart = index;
+    while (index < length && !/[\s,=]/.test(value[index])) {
+      index += 1;
+    }
+    const token = value.substring(tokenStart, index);
+    if (!token) {
+      break;
+    }
+    let cursor = index;
+    while (cursor < length && value[cursor] === ' ') {
+      cursor += 1;
+    }
+    if (value[cursor] !== '=' || !current) {
+      current = { scheme: token.toLowerCase(), params: {} };
+      result.push(current);
+      continue;
+    }
+    index = cursor + 1;
+    while (index < length && value[index] === ' ') {
+      index += 1;
+    }
+    let paramValue = '';
+    if (value[index] === '"') {
+      index += 1;
+      while (index < length && value[index] !== '"') {
+        if (value[index] === '\\') {
+          index += 1;
+        }
+        paramValue += value[index] || '';
+        index += 1;
+      }
+      index += 1;
+    } else {
+      const valueStart = index;
+      while (index < length && value[index] !== ',') {
+        index += 1;
+      }
+      paramValue = value.substring(valueStart, index).trim();
+    }
+    current.params[token.toLowerCase()] = paramValue;
+  }
+  return result;
+}
+
+/**
+ * Selects the Digest challenge with the strongest supported algorithm.
+ * 
+ * @param {string | null | undefined} header The value of the `www-authenticate` header.
+ * @returns {IAuthChallenge | undefined}
+ */
+export function findDigestChallenge(header) {
+  if (!header) {
+    return undefined;
+  }
+  const challenges = parseAuthenticate(header).filter((challenge) => {
+    const algorithm = (challenge.params.algorithm || 'MD5').toUpperCase();
+    return challenge.scheme === 'digest' && challenge.params.nonce && supportedAlgorithms.includes(algorithm);
+  });
+  challenges.sort((a, b) => {
+    const aIndex = supportedAlgorithms.indexOf((a.params.algorithm || 'MD5').toUpperCase());
+    const bIndex = supportedAlgorithms.indexOf((b.params.algorithm || 'MD5').toUpperCase());
+    return aIndex - bIndex;
+  });
+  return challenges[0];
+}
+
+/**
+ * @param {string} algorithm The digest algorithm without the `-sess` suffix.
+ * @param {string | Uint8Array} data
+ * @returns {Promise<string>} The hex encoded hash.
+ */
+async function hash(algorithm, data) {
+  if (algorithm === 'MD5') {
+    return toHex(md5(toBytes(data)));
+  }
+  return toHex(await digest('SHA-256', data));
+}
+
+/**
+ * @param {string} value
+ * @returns {string} The value as a quoted string.
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Computes the value of the `authorization` header answering the Digest challenge (RFC 7616).
+ * 
+ * @param {IAuthChallenge} challenge
+ * @param {IDigestAuth} auth The user credentials.
+ * @param {string} method The request method.
+ * @param {string} requestUrl The request URL.
+ * @param {BodyInit | null | undefined} body The request body, used with the `auth-int` protection.
+ * @param {string=} cnonce The client nonce. Generated when not set.
+ * @returns {Promise<string>}
+ */
+export async function digestAuthorization(challenge, auth, method, requestUrl, body, cnonce=nonceGenerator(16)) {
+  const { params } = challenge;
+  const { realm = '', nonce, opaque } = params;
+  const fullAlgorithm = (params.algorithm || 'MD5').toUpperCase();
+  const sessionAlgorithm = fullAlgorithm.endsWith('-SESS');
+  const algorithm = sessionAlgorithm ? fullAlgorithm.replace('-SESS', '') : fullAlgorithm;
+  const url = new URL(requestUrl);
+  const uri = `${url.pathname}${url.search}`;
+  const offered = (params.qop || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  let qop = '';
+  if (offered.includes('auth')) {
+    qop = 'auth';
+  } else if (offered.includes('auth-int')) {
+    qop = 'auth-int';
+  }
+  const nc = '00000001';
+  let ha1 = await hash(algorithm, `${auth.username}:${realm}:${auth.password}`);
+  if (sessionAlgorithm) {
+    ha1 = await hash(algorithm, `${ha1}:${nonce}:${cnonce}`);
+  }
+  let ha2;
+  if (qop === 'auth-int') {
+    const bodyHash = await hash(algorithm, await bodyBytes(body));
+    ha2 = await hash(algorithm, `${method.toUpperCase()}:${uri}:${bodyHash}`);
+  } else {
+    ha2 = await hash(algorithm, `${method.toUpperCase()}:${uri}`);
+  }
+  const response = qop ? 
+    await hash(algorithm, `${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`) : 
+    await hash(algorithm, `${ha1}:${nonce}:${ha2}`);
+  const parts = [
+    `username=${quote(auth.username)}`,
+    `realm=${quote(realm)}`,
+    `nonce=${quote(nonce)}`,
+    `uri=${quote(uri)}`,
+    `algorithm=${params.algorithm || 'MD5'}`,
+  ];
+  if (qop) {
+    parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce=${quote(cnonce)}`);
+  }
+  parts.push(`response=${quote(response)}`);
+  if (opaque !== undefined) {
+    parts.push(`opaque=${quote(opaque)}`);
+  }
+  return `Digest ${parts.join(', ')}`;
+}
@@ -0,0 +1,197 @@
+import { Headers as ProxyHeaders } from './Headers.js';
+import { PayloadSerializer } from './PayloadSerializer.js';
+
+/** @typedef {import('../types').IHistoryEntry} IHistoryEntry */
+/** @typedef {import('../types').ISafePayload} ISafePayload */
+/** @typedef {import('../types').IRequestTimings} IRequestTimings */
+/** @typedef {import('../types').IHar} IHar */
+/** @typedef {import('../types').IHarEntry} IHarEntry */
+/** @typedef {import('../types').IHarRequest} IHarRequest */
+/** @typedef {import('../types').IHarResponse} IHarResponse */
+/** @typedef {import('../types').IHarNameValue} IHarNameValue */
+/** @typedef {import('../types').IHarPostData} IHarPostData */
+/** @typedef {import('../types').IHarContent} IHarContent */
+/** @typedef {import('../types').IHarCreator} IHarCreator */
+
+/**
+ * Encodes the bytes as a base64 string.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string | undefined} headers The HTTP headers string.
+ * @returns {IHarNameValue[]}
+ */
+function harHeaders(headers) {
+  return new ProxyHeaders(headers).map((value, name) => ({ name, value }));
+}
+
+/**
+ * @param {string} url
+ * @returns {IHarNameValue[]}
+ */
+function harQueryString(url) {
+  try {
+    const { searchParams } = new URL(url);
+    return [...searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Creates the HAR `postData` object from the request body stored in the history.
+ *
+ * @param {string | ISafePayload | undefined} payload
+ * @param {string} mimeType The value of the request's `content-type` header.
+ * @returns {Promise<IHarPostData | undefined>}
+ */
+export async function createHarPostData(payload, mimeType) {
+  if (payload === undefined || payload === null || payload === '') {
+    return undefined;
+  }
+  const body = await PayloadSerializer.deserialize(payload);
+  if (typeof body === 'string') {
+    return { mimeType, text: body };
+  }
+  if (body instanceof FormData) {
+    /** @type IHarNameValue[] */
+    const params = [];
+    body.forEach((value, name) => {
+      if (typeof value === 'string') {
+        params.push({ name, value });
+      } else {
+        params.push({ name, fileName: value.name, contentType: value.type });
+      }
+    });
+    return { mimeType: mimeType || 'multipart/form-data', params };
+  }
+  if (body instanceof Blob) {
+    return {
+      mimeType: mimeType || body.type,
+      text: toBase64(await body.arrayBuffer()),
+      comment: 'The body is base64 encoded.',
+    };
+  }
+  if (body instanceof ArrayBuffer) {
+    return { mimeType, text: toBase64(body), comment: 'The body is base64 encoded.' };
+  }
+  return undefined;
+}
+
+/**
+ * Creates the HAR `content` object from the response body stored in the history.
+ *
+ * @param {string | ISafePayload | undefined} payload
+ * @param {string} mimeType The value of the response's `content-type` header.
+ * @param {number} size The size of the response body.
+ * @returns {IHarContent}
+ */
+function harContent(payload, mimeType, size) {
+  /** @type IHarContent */
+  const content = { size, mimeType };
+  if (typeof payload === 'string') {
+    content.text = payload;
+  } else if (payload && Array.isArray(payload.data)) {
+    content.text = toBase64(PayloadSerializer.deserializeArrayBuffer(payload));
+    content.encoding = 'base64';
+  }
+  return content;
+}
+
+/**
+ * Creates the HAR timings object. When the request phases are not available,
+ * the entire loading time is reported as the `wait` time.
+ *
+ * @param {IRequestTimings | undefined} timings
+ * @param {number} loadingTime
+ * @returns {IRequestTimings}
+ */
+function harTimings(timings, loadingTime) {
+  if (timings) {
+    return { ...timings, send: Math.max(timings.send, 0), wait: Math.max(timings.wait, 0), receive: Math.max(timings.receive, 0) };
+  }
+  return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(loadingTime, 0), receive: 0 };
+}
+
+/**
+ * Creates the HAR entry for a request stored in the history.
+ *
+ * @param {IHistoryEntry} entry
+ * @returns {Promise<IHarEntry>}
+ */
+export async function createHarEntry(entry) {
+  const { request, response, stats } = entry;
+  const requestHeaders = new ProxyHeaders(request.headers);
+  const responseHeaders = new ProxyHeaders(response.headers);
+  const { requestSize, responseSize } = stats;
+  /** @type IHarRequest */
+  const harRequest = {
+    method: request.method,
+    url: request.url,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: harHeaders(request.headers),
+    queryString: harQueryString(request.url),
+    headersSize: requestSize ? requestSize.headers : -1,
+    bodySize: requestSize ? requestSize.body : -1,
+  };
+  const postData = await createHarPostData(request.payload, requestHeaders.get('content-type') || '');
+  if (postData) {
+    harRequest.postData = postData;
+  }
+  /** @type IHarResponse */
+  const harResponse = {
+    status: response.error ? 0 : response.status,
+    statusText: response.error ? '' : response.statusText,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: harHeaders(response.headers),
+    content: harContent(response.payload, responseHeaders.get('content-type') || '', responseSize ? responseSize.body : 0),
+    redirectURL: responseHeaders.get('location') || '',
+    headersSize: responseSize ? responseSize.headers : -1,
+    bodySize: responseSize ? responseSize.body : -1,
+  };
+  if (response.error) {
+    harResponse._error = response.message;
+  }
+  return {
+    startedDateTime: new Date(entry.time).toISOString(),
+    time: stats.loadingTime,
+    request: harRequest,
+    response: harResponse,
+    cache: {},
+    timings: harTimings(stats.timings, stats.loadingTime),
+  };
+}
+
+/**
+ * Creates the HAR 1.2 log from the requests stored in the history.
+ *
+ * @param {IHistoryEntry[]} entries The history entries, in any order.
+ * @param {IHarCreator} creator The application that created the log.
+ * @returns {Promise<IHar>}
+ */
+export async function createHar(entries, creator) {
+  const sorted = entries.slice().sort((a, b) => a.time - b.time);
+  const harEntries = await Promise.all(sorted.map(entry => createHarEntry(entry)));
+  return {
+    log: {
+      version: '1.2',
+      creator,
+      pages: [],
+      entries: harEntries,
+    },
+  };
+}
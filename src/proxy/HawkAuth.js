@@ -0,0 +1,200 @@
+import { bodyBytes, digest, hmac, toBase64, toBytes } from './CryptoUtils.js';
+import { nonceGenerator } from './OAuthUtils.js';
+import { parseAuthenticate } from './DigestAuth.js';
+
+/** @typedef {import('../types').IHawkAuth} IHawkAuth */
+/** @typedef {import('../types').IHawkArtifacts} IHawkArtifacts */
+
+/**
+ * The WebCrypto names of the Hawk algorithms.
+ * @type {Record<string, 'SHA-1' | 'SHA-256'>}
+ */
+const algorithms = {
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+};
+
+/**
+ * The characters allowed in the values of the Hawk header attributes.
+ */
+const attributeValue = /^[ \w!#$%&'()*+,\-./:;<=>?@[\]^`{|}~]*$/;
+
+/**
+ * @param {IHawkAuth} auth
+ * @returns {string | undefined} The error message when the configuration is incomplete.
+ */
+export function validateHawkAuth(auth) {
+  const missing = ['id', 'key'].filter(name => !auth[name] || typeof auth[name] !== 'string');
+  if (missing.length) {
+    return `The Hawk authentication requires the ${missing.join(', ')}.`;
+  }
+  if (!algorithms[auth.algorithm]) {
+    return `Unsupported Hawk algorithm: ${auth.algorithm}.`;
+  }
+  const invalid = ['id', 'ext', 'app'].find(name => typeof auth[name] === 'string' && !attributeValue.test(auth[name]));
+  if (invalid) {
+    return `The Hawk ${invalid} contains characters that are not allowed in the header.`;
+  }
+  return undefined;
+}
+
+/**
+ * @param {string | null | undefined} contentType
+ * @returns {string} The lowercase mime type, without the parameters.
+ */
+function mimeType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Reads the content type the same way the `fetch()` does: the request header, the type of the blob
+ * (the serialized multipart body has the boundary there), or the default type of the text body.
+ *
+ * @param {Headers} headers
+ * @param {BodyInit} body
+ * @returns {string | undefined} The content type sent with the body.
+ */
+function bodyContentType(headers, body) {
+  const header = headers.get('content-type');
+  if (header) {
+    return header;
+  }
+  if (body instanceof Blob) {
+    return body.type;
+  }
+  if (typeof body === 'string') {
+    return 'text/plain;charset=UTF-8';
+  }
+  if (body instanceof URLSearchParams) {
+    return 'application/x-www-form-urlencoded;charset=UTF-8';
+  }
+  return undefined;
+}
+
+/**
+ * Computes the hash of the payload, as defined by Hawk.
+ *
+ * @param {IHawkAuth} auth
+ * @param {string | null | undefined} contentType
+ * @param {Uint8Array} payload
+ * @returns {Promise<string>} The base64 hash.
+ */
+export async function payloadHash(auth, contentType, payload) {
+  const prefix = toBytes(`hawk.1.payload\n${mimeType(contentType)}\n`);
+  const data = new Uint8Array(prefix.length + payload.length + 1);
+  data.set(prefix);
+  data.set(payload, prefix.length);
+  data[data.length - 1] = 10;
+  return toBase64(await digest(algorithms[auth.algorithm], data));
+}
+
+/**
+ * Creates the normalized string signed with the MAC.
+ *
+ * @param {'header' | 'response'} type
+ * @param {IHawkArtifacts} artifacts
+ * @returns {string}
+ */
+export function normalizedString(type, artifacts) {
+  const { ts, nonce, method, resource, host, port, hash='', ext='', app } = artifacts;
+  let result = [
+    `hawk.1.${type}`,
+    ts,
+    nonce,
+    method,
+    resource,
+    host,
+    port,
+    hash,
+    ext.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'),
+  ].join('\n');
+  result += '\n';
+  if (app) {
+    result += `${app}\n\n`;
+  }
+  return result;
+}
+
+/**
+ * @param {IHawkAuth} auth
+ * @param {'header' | 'response'} type
+ * @param {IHawkArtifacts} artifacts
+ * @returns {Promise<string>} The base64 MAC.
+ */
+async function calculateMac(auth, type, artifacts) {
+  return toBase64(await hmac(algorithms[auth.algorithm], auth.key, normalizedString(type, artifacts)));
+}
+
+/**
+ * Adds the Hawk `authorization` header to the request.
+ * The payload hash is included when the request has a body.
+ *
+ * @param {string} requestUrl
+ * @param {RequestInit} init The request init with the final headers and the body.
+ * @param {IHawkAuth} auth
+ * @param {Date=} date The time of the request.
+ * @param {string=} nonce
+ * @returns {Promise<IHawkArtifacts>} The signed values, used to verify the `server-authorization` header.
+ */
+export async function signHawkRequest(requestUrl, init, auth, date=new Date(), nonce=nonceGenerator(6)) {
+  const url = new URL(requestUrl);
+  const headers = new Headers(init.headers);
+  /** @type IHawkArtifacts */
+  const artifacts = {
+    ts: String(Math.floor(date.getTime() / 1000)),
+    nonce,
+    method: (init.method || 'GET').toUpperCase(),
+    resource: `${url.pathname}${url.search}`,
+    host: url.hostname.toLowerCase(),
+    port: url.port || (url.protocol === 'https:' ? '443' : '80'),
+    ext: auth.ext,
+    app: auth.app,
+  };
+  if (init.body !== undefined && init.body !== null) {
+    artifacts.hash = await payloadHash(auth, bodyContentType(headers, init.body), await bodyBytes(init.body));
+  }
+  const mac = await calculateMac(auth, 'header', artifacts);
+  let header = `Hawk id="${auth.id}", ts="${artifacts.ts}", nonce="${artifacts.nonce}"`;
+  if (artifacts.hash) {
+    header += `, hash="${artifacts.hash}"`;
+  }
+  if (artifacts.ext) {
+    header += `, ext="${artifacts.ext}"`;
+  }
+  header += `, mac="${mac}"`;
+  if (artifacts.app) {
+    header += `, app="${artifacts.app}"`;
+  }
+  headers.set('authorization', header);
+  init.headers = headers;
+  return artifacts;
+}
+
+/**
+ * Verifies the `server-authorization` header of the response.
+ *
+ * @param {IHawkAuth} auth
+ * @param {IHawkArtifacts} artifacts The values signed with the request.
+ * @param {Headers} headers The response headers.
+ * @param {Uint8Array} payload The response body.
+ * @returns {Promise<string | undefined>} The error message when the response is not authenticated.
+ */
+export async function verifyServerAuthorization(auth, artifacts, headers, payload) {
+  const value = headers.get('server-authorization');
+  if (!value) {
+    return 'The response has no server-authorization header.';
+  }
+  const challenge = parseAuthenticate(value).find(item => item.scheme === 'hawk');
+  if (!challenge || !challenge.params.mac) {
+    return 'The server-authorization header is not a valid Hawk header.';
+  }
+  const { mac, hash, ext } = challenge.params;
+  const expected = await calculateMac(auth, 'response', { ...artifacts, hash, ext });
+  if (mac !== expected) {
+    return 'The MAC of the server-authorization header is invalid.';
+  }
+  if (hash && hash !== await payloadHash(auth, headers.get('content-type'), payload)) {
+    return 'The response payload does not match the hash of the server-authorization header.';
+  }
+  return undefined;
+}
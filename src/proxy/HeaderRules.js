@@ -0,0 +1,234 @@
+import { Headers as ProxyHeaders } from './Headers.js';
+
+/**
+ * The list of request headers the `fetch()` silently drops or replaces.
+ * These are set on the request with the `declarativeNetRequest` session rules.
+ */
+const forbiddenHeaders = [
+  'accept-charset',
+  'accept-encoding',
+  'access-control-request-headers',
+  'access-control-request-method',
+  'cookie',
+  'cookie2',
+  'date',
+  'dnt',
+  'host',
+  'origin',
+  'referer',
+  'user-agent',
+  'via',
+];
+
+/**
+ * The list of forbidden headers that are never overridden as they would break the message framing.
+ */
+const unsafeHeaders = [
+  'connection',
+  'content-length',
+  'expect',
+  'keep-alive',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+/**
+ * The resource types of the requests made by the `fetch()` in the service worker.
+ * @type {chrome.declarativeNetRequest.ResourceType[]}
+ */
+const resourceTypes = [
+  /** @type chrome.declarativeNetRequest.ResourceType */ ('xmlhttprequest'),
+  /** @type chrome.declarativeNetRequest.ResourceType */ ('other'),
+];
+
+/**
+ * The id of the last created rule.
+ */
+let lastRuleId = 0;
+
+/**
+ * The URLs that have an installed rule. The value is resolved when the rule is removed.
+ * A request to the same URL waits for the rule to be removed so the requests never get each other's headers.
+ * 
+ * @type {Map<string, Promise<void>>}
+ */
+const installedUrls = new Map();
+
+/**
+ * The functions that release the URL of a rule. Keys are the rule ids.
+ * 
+ * @type {Map<number, () => void>}
+ */
+const releases = new Map();
+
+/**
+ * Removes the session rules left by a previous instance of the service worker,
+ * which was terminated while making a request.
+ *
+ * @returns {Promise<void>}
+ */
+async function removeStaleRules() {
+  if (!isSupported()) {
+    return;
+  }
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  if (!rules.length) {
+    return;
+  }
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: rules.map(rule => rule.id),
+  });
+}
+
+/**
+ * @returns {boolean} Whether the declarative net request API is available to the extension.
+ */
+function isSupported() {
+  return typeof chrome !== 'undefined' && !!chrome.declarativeNetRequest;
+}
+
+const cleanup = removeStaleRules().catch(() => {
+  // the rules are removed with the request anyway.
+});
+
+/**
+ * @param {string} name The header name.
+ * @returns {boolean} True when the header is forbidden by the `fetch()` but can be set with a session rule.
+ */
+export function isForbiddenHeader(name) {
+  const lower = name.toLowerCase();
+  if (unsafeHeaders.includes(lower)) {
+    return false;
+  }
+  return forbiddenHeaders.includes(lower) || lower.startsWith('proxy-') || lower.startsWith('sec-');
+}
+
+/**
+ * Moves the forbidden headers from the headers to a new headers object.
+ *
+ * @param {ProxyHeaders} headers The request headers. The forbidden headers are removed from this object.
+ * @returns {ProxyHeaders} The forbidden headers.
+ */
+export function extractForbiddenHeaders(headers) {
+  const result = new ProxyHeaders();
+  const names = [...headers.keys()];
+  names.forEach((name) => {
+    if (isForbiddenHeader(name)) {
+      result.set(name, headers.get(name));
+      headers.delete(name);
+    }
+  });
+  return result;
+}
+
+/**
+ * @param {string} url
+ * @returns {string} The URL matched by the rule.
+ */
+function ruleUrl(url) {
+  const parser = new URL(url);
+  parser.hash = '';
+  return parser.toString();
+}
+
+/**
+ * Creates the rule condition that matches the request made by the extension to the URL.
+ *
+ * @param {string} href The URL created by the `ruleUrl()`.
+ * @returns {chrome.declarativeNetRequest.RuleCondition}
+ */
+function createCondition(href) {
+  /** @type chrome.declarativeNetRequest.RuleCondition */
+  const condition = {
+    // requests made by the extension's service worker are not associated with any tab.
+    tabIds: [-1],
+    // the requests of the browser and other extensions are not modified.
+    initiatorDomains: [chrome.runtime.id],
+    resourceTypes,
+  };
+  if (/[*^|]/.test(href)) {
+    condition.regexFilter = `^${href.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+  } else {
+    condition.urlFilter = `|${href}|`;
+  }
+  return condition;
+}
+
+/**
+ * Adds a session rule that sets the headers on the request to the URL.
+ * When another request to the same URL has a rule, this waits until that rule is removed.
+ * The rule must be removed with the `removeHeadersRule()` when the request ends.
+ *
+ * @param {string} url The request URL.
+ * @param {ProxyHeaders} headers The headers to set.
+ * @returns {Promise<number | undefined>} The id of the created rule or `undefined` when there was nothing to set.
+ */
+export async function addHeadersRule(url, headers) {
+  const requestHeaders = headers.map((value, name) => (/** @type chrome.declarativeNetRequest.ModifyHeaderInfo */ ({
+    header: name,
+    operation: /** @type chrome.declarativeNetRequest.HeaderOperation */ ('set'),
+    value,
+  })));
+  if (!requestHeaders.length || !isSupported()) {
+    return undefined;
+  }
+  await cleanup;
+  const href = ruleUrl(url);
+  while (installedUrls.has(href)) {
+    await installedUrls.get(href);
+  }
+  /** @type {() => void} */
+  let release;
+  installedUrls.set(href, new Promise((resolve) => {
+    release = () => {
+      installedUrls.delete(href);
+      resolve();
+    };
+  }));
+  lastRuleId += 1;
+  const id = lastRuleId;
+  try {
+    await chrome.declarativeNetRequest.updateSessionRules({
+      addRules: [{
+        id,
+        // overrides other rules of the extension.
+        priority: 1,
+        action: {
+          type: /** @type chrome.declarativeNetRequest.RuleActionType */ ('modifyHeaders'),
+          requestHeaders,
+        },
+        condition: createCondition(href),
+      }],
+    });
+  } catch (e) {
+    release();
+    throw e;
+  }
+  releases.set(id, release);
+  return id;
+}
+
+/**
+ * Removes the rule created by the `addHeadersRule()`.
+ *
+ * @param {number | undefined} id The id of the rule.
+ * @returns {Promise<void>}
+ */
+export async function removeHeadersRule(id) {
+  if (!id || !isSupported()) {
+    return;
+  }
+  try {
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: [id],
+    });
+  } finally {
+    const release = releases.get(id);
+    releases.delete(id);
+    if (release) {
+      release();
+    }
+  }
+}
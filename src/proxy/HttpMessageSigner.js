@@ -0,0 +1,181 @@
+import { bodyBytes, digest, toBase64 } from './CryptoUtils.js';
+import { Headers as ProxyHeaders } from './Headers.js';
+
+/** @typedef {import('../types').IHttpSignatureAuth} IHttpSignatureAuth */
+/** @typedef {import('../types').HttpSignatureAlgorithm} HttpSignatureAlgorithm */
+/** @typedef {import('../types').ISigningKey} ISigningKey */
+
+/**
+ * The WebCrypto parameters of the supported algorithms, by the names registered in RFC 9421.
+ * @type {Record<HttpSignatureAlgorithm, { importParams: any, signParams: any }>}
+ */
+const algorithms = {
+  'hmac-sha256': {
+    importParams: { name: 'HMAC', hash: 'SHA-256' },
+    signParams: { name: 'HMAC' },
+  },
+  'rsa-pss-sha512': {
+    importParams: { name: 'RSA-PSS', hash: 'SHA-512' },
+    signParams: { name: 'RSA-PSS', saltLength: 64 },
+  },
+  'ecdsa-p256-sha256': {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    signParams: { name: 'ECDSA', hash: 'SHA-256' },
+  },
+  'ed25519': {
+    importParams: { name: 'Ed25519' },
+    signParams: { name: 'Ed25519' },
+  },
+};
+
+/**
+ * @param {IHttpSignatureAuth} auth
+ * @returns {string | undefined} The error message when the configuration is invalid.
+ */
+export function validateHttpSignatureAuth(auth) {
+  if (!auth.keyId || typeof auth.keyId !== 'string') {
+    return 'The HTTP message signature requires the keyId.';
+  }
+  if (auth.components !== undefined && !Array.isArray(auth.components)) {
+    return 'The covered components must be a list.';
+  }
+  return undefined;
+}
+
+/**
+ * Imports the key to sign the requests with. The key is not extractable.
+ *
+ * @param {JsonWebKey} jwk The key material. The private key for the asymmetric algorithms.
+ * @param {HttpSignatureAlgorithm} algorithm
+ * @returns {Promise<CryptoKey>}
+ */
+export async function importSigningKey(jwk, algorithm) {
+  if (!algorithms[algorithm]) {
+    throw new Error(`Unsupported HTTP message signature algorithm: ${algorithm}.`);
+  }
+  return globalThis.crypto.subtle.importKey('jwk', jwk, algorithms[algorithm].importParams, false, ['sign']);
+}
+
+/**
+ * @param {string} value
+ * @returns {string} The value serialized as a structured field string.
+ */
+function sfString(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Computes the value of a covered component.
+ * 
+ * @param {string} component The component identifier, like `@method` or `content-type`.
+ * @param {URL} url
+ * @param {string} method
+ * @param {(name: string) => string | null} header Reads the value of a request header.
+ * @returns {string}
+ */
+function componentValue(component, url, method, header) {
+  switch (component) {
+    case '@method': return method.toUpperCase();
+    case '@target-uri': return url.href;
+    case '@authority': return url.host.toLowerCase();
+    case '@scheme': return url.protocol.replace(':', '').toLowerCase();
+    case '@request-target': return `${url.pathname || '/'}${url.search}`;
+    case '@path': return url.pathname || '/';
+    case '@query': return url.search || '?';
+    default:
+  }
+  if (component.startsWith('@')) {
+    throw new Error(`Unsupported derived component: ${component}.`);
+  }
+  const value = header(component);
+  if (value === null) {
+    throw new Error(`The covered component ${component} is not set on the request.`);
+  }
+  return value.trim().replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * @param {IHttpSignatureAuth} auth
+ * @param {boolean} hasBody
+ * @param {(name: string) => string | null} header
+ * @returns {string[]} The covered components, lowercase.
+ */
+function coveredComponents(auth, hasBody, header) {
+  if (Array.isArray(auth.components) && auth.components.length) {
+    return auth.components.map(component => String(component).toLowerCase());
+  }
+  const result = ['@method', '@authority', '@path'];
+  if (header('content-type') !== null) {
+    result.push('content-type');
+  }
+  if (hasBody) {
+    result.push('content-digest');
+  }
+  return result;
+}
+
+/**
+ * Creates the signature base and the signature parameters, as defined in RFC 9421.
+ * 
+ * @param {string[]} components
+ * @param {URL} url
+ * @param {string} method
+ * @param {(name: string) => string | null} header
+ * @param {IHttpSignatureAuth} auth
+ * @param {number} created The signature creation time, in seconds.
+ * @returns {{ base: string, params: string }}
+ */
+export function createSignatureBase(components, url, method, header, auth, created) {
+  const lines = components.map(component => `${sfString(component)}: ${componentValue(component, url, method, header)}`);
+  let params = `(${components.map(sfString).join(' ')})`;
+  if (auth.created !== false) {
+    params += `;created=${created}`;
+  }
+  if (typeof auth.expires === 'number' && auth.expires > 0) {
+    params += `;expires=${created + auth.expires}`;
+  }
+  if (auth.nonce) {
+    params += `;nonce=${sfString(auth.nonce)}`;
+  }
+  params += `;keyid=${sfString(auth.keyId)}`;
+  if (auth.tag) {
+    params += `;tag=${sfString(auth.tag)}`;
+  }
+  lines.push(`"@signature-params": ${params}`);
+  return { base: lines.join('\n'), params };
+}
+
+/**
+ * Signs the request with the HTTP message signature (RFC 9421).
+ * Sets the `signature-input` and the `signature` headers and, when the request has a body
+ * or the `content-digest` is covered, the `content-digest` header (RFC 9530).
+ * 
+ * @param {string} requestUrl The request URL.
+ * @param {RequestInit} init The init object passed to the `fetch()`. The headers are replaced with the signed headers.
+ * @param {IHttpSignatureAuth} auth
+ * @param {ISigningKey} signingKey The key referenced by the `keyId` of the auth.
+ * @param {ProxyHeaders=} forbiddenHeaders The request headers set outside the `fetch()`. They can be covered by the signature.
+ * @param {Date=} date The signing time.
+ * @returns {Promise<void>}
+ */
+export async function signHttpMessage(requestUrl, init, auth, signingKey, forbiddenHeaders, date=new Date()) {
+  const url = new URL(requestUrl);
+  const method = init.method || 'GET';
+  const headers = new Headers(init.headers);
+  const extra = forbiddenHeaders || new ProxyHeaders();
+  const header = (/** @type string */ name) => (headers.has(name) ? headers.get(name) : (extra.has(name) ? extra.get(name) : null));
+  const hasBody = init.body !== undefined && init.body !== null;
+  const components = coveredComponents(auth, hasBody, header);
+  if (components.includes('content-digest') || hasBody) {
+    const hash = await digest('SHA-256', await bodyBytes(init.body));
+    headers.set('content-digest', `sha-256=:${toBase64(hash)}:`);
+  }
+  const created = Math.floor(date.getTime() / 1000);
+  const { base, params } = createSignatureBase(components, url, method, header, auth, created);
+  const { signParams } = algorithms[signingKey.algorithm];
+  const signature = await globalThis.crypto.subtle.sign(signParams, signingKey.key, new TextEncoder().encode(base));
+  const label = auth.label || 'sig1';
+  headers.set('signature-input', `${label}=${params}`);
+  headers.set('signature', `${label}=:${toBase64(signature)}:`);
+  init.headers = headers;
+}
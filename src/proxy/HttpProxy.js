@@ -1,16 +1,230 @@
 import { Headers as ProxyHeaders } from './Headers.js';
 import { PayloadSerializer } from './PayloadSerializer.js';
+import { RequestObserver } from './RequestObserver.js';
+import { findResourceEntry, observerTimings, resourceTimings } from './Timings.js';
+import { hostMatches, readCookies } from './Cookies.js';
+import { addHeadersRule, extractForbiddenHeaders, removeHeadersRule } from './HeaderRules.js';
+import { normalizeRetryPolicy, retryDelay } from './RetryPolicy.js';
+import { findMockRule } from './MockRules.js';
+import { createReplayResponse, findReplayEntry } from './Replay.js';
+import { ensureHostPermission } from '../approval/HostPermissions.js';
+import { isCacheableRequest } from './ResponseCache.js';
+import { signAwsRequest, validateAwsAuth } from './AwsSigner.js';
+import { signHttpMessage, validateHttpSignatureAuth } from './HttpMessageSigner.js';
+import { digestAuthorization, findDigestChallenge } from './DigestAuth.js';
+import { signHawkRequest, validateHawkAuth, verifyServerAuthorization } from './HawkAuth.js';
+import { OAuth1Signer, validateOAuth1Auth } from './OAuth1Signer.js';
 
 /** @typedef {import('../types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
 /** @typedef {import('../types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('../types').IApiConsoleProxyError} IApiConsoleProxyError */
+/** @typedef {import('../types').ISafePayload} ISafePayload */
+/** @typedef {import('../types').ResponseType} ResponseType */
+/** @typedef {import('../types').RedirectPolicy} RedirectPolicy */
+/** @typedef {import('../types').IHttpProxyOptions} IHttpProxyOptions */
+/** @typedef {import('../types').IResponseBody} IResponseBody */
+/** @typedef {import('../types').CredentialsMode} CredentialsMode */
+/** @typedef {import('../types').IRetryPolicy} IRetryPolicy */
+/** @typedef {import('../types').ICachedResponse} ICachedResponse */
+/** @typedef {import('../types').CacheStatus} CacheStatus */
+/** @typedef {import('../types').IResponseCache} IResponseCache */
+/** @typedef {import('../types').IRequestAttempt} IRequestAttempt */
+/** @typedef {import('../types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('../types').IMockRule} IMockRule */
+/** @typedef {import('../types').IHarEntry} IHarEntry */
+/** @typedef {import('../types').IHawkArtifacts} IHawkArtifacts */
+/** @typedef {import('../types').IAuthLogEntry} IAuthLogEntry */
+/** @typedef {import('../types').IAuthChallenge} IAuthChallenge */
+/** @typedef {import('../types').IDigestAuth} IDigestAuth */
+/** @typedef {import('../types').IRequestCompression} IRequestCompression */
+
+/**
+ * The list of mime type fragments that are recognized as a text response.
+ */
+const textMimeParts = ['json', 'xml', 'javascript', 'ecmascript', 'x-www-form-urlencoded', 'yaml', 'graphql', 'csv', 'html'];
+
+/**
+ * The `CompressionStream` formats of the request body encodings.
+ */
+const compressionFormats = {
+  gzip: 'gzip',
+  deflate: 'deflate',
+};
+
+/**
+ * Checks whether the response with the given content type can be read as text.
+ * 
+ * @param {string | null} contentType The value of the `content-type` header.
+ * @returns {boolean} True when the body is a text. Responses without the content type are considered text.
+ */
+function isTextContentType(contentType) {
+  if (!contentType) {
+    return true;
+  }
+  const mime = contentType.split(';')[0].trim().toLowerCase();
+  if (!mime || mime.startsWith('text/')) {
+    return true;
+  }
+  return textMimeParts.some(part => mime.includes(part));
+}
+
+/**
+ * Computes the size in bytes of the message body.
+ * 
+ * @param {string | Blob | ArrayBuffer | undefined} body
+ * @returns {number}
+ */
+export function bodySize(body) {
+  if (!body) {
+    return 0;
+  }
+  if (typeof body === 'string') {
+    return new TextEncoder().encode(body).length;
+  }
+  if (body instanceof Blob) {
+    return body.size;
+  }
+  if (body instanceof ArrayBuffer) {
+    return body.byteLength;
+  }
+  return 0;
+}
 
 export class HttpProxy {
   /**
    * @param {IApiConsoleHttpRequest} request The request to proxy.
+   * @param {IHttpProxyOptions=} options The extension's options for the request.
    */
-  constructor(request) {
+  constructor(request, options={}) {
     /** @type IApiConsoleHttpRequest */
     this.request = request;
+    /** @type IHttpProxyOptions */
+    this.options = options;
+    /** 
+     * Set when the request was aborted because of the timeout.
+     * @type boolean
+     */
+    this._timedOut = false;
+    /** 
+     * The controller used to abort the request.
+     * @type AbortController
+     */
+    this._abortController = new AbortController();
+    /** 
+     * The observer of the network events of the request.
+     * @type RequestObserver | undefined
+     */
+    this._observer = undefined;
+    /** 
+     * The size of the request body, computed when creating the request.
+     * @type number
+     */
+    this._requestBodySize = 0;
+    /** 
+     * The request headers that cannot be set with the fetch.
+     * @type ProxyHeaders | undefined
+     */
+    this._forbiddenHeaders = undefined;
+    /** 
+     * The list of attempts made when the request has the retry policy.
+     * @type IRequestAttempt[] | undefined
+     */
+    this._attempts = undefined;
+    /** 
+     * The time the request waited for a free slot in the scheduler.
+     * @type number | undefined
+     */
+    this._queueTime = undefined;
+    /** 
+     * The stored response of the request, when the response cache has one.
+     * @type ICachedResponse | undefined
+     */
+    this._cached = undefined;
+    /** 
+     * How the response cache was used by the last request.
+     * @type CacheStatus | undefined
+     */
+    this._cacheStatus = undefined;
+    /** 
+     * The values signed with the Hawk authorization header.
+     * @type IHawkArtifacts | undefined
+     */
+    this._hawkArtifacts = undefined;
+    /** 
+     * The sizes of the request body, when it was compressed.
+     * @type IRequestCompression | undefined
+     */
+    this._compression = undefined;
+  }
+
+  /**
+   * @returns {number} The request timeout in milliseconds. `0` means no timeout.
+   */
+  get timeout() {
+    const { timeout } = this.request;
+    if (typeof timeout === 'number' && timeout >= 0) {
+      return timeout;
+    }
+    const { timeout: defaultTimeout } = this.options;
+    if (typeof defaultTimeout === 'number' && defaultTimeout >= 0) {
+      return defaultTimeout;
+    }
+    return 0;
+  }
+
+  /**
+   * The credentials mode set on the request has the priority. Otherwise the cookies
+   * are included for the hosts configured in the extension.
+   * 
+   * @returns {CredentialsMode} Whether to send the user's cookies with the request.
+   */
+  get credentials() {
+    const { credentials, url } = this.request;
+    if (credentials && ['omit', 'include'].includes(credentials)) {
+      return credentials;
+    }
+    return hostMatches(url, this.options.credentialsHosts) ? 'include' : 'omit';
+  }
+
+  /**
+   * @returns {Required<IRetryPolicy> | undefined} The retry policy of the request, if the request is retried.
+   */
+  get retryPolicy() {
+    return normalizeRetryPolicy(this.request.retry);
+  }
+
+  /**
+   * @returns {IResponseCache | undefined} The cache that stores the response to the request.
+   */
+  get cache() {
+    return this.options.cache;
+  }
+
+  /**
+   * @returns {RedirectPolicy} The redirect policy to use with the request.
+   */
+  get redirect() {
+    const { redirect } = this.request;
+    if (redirect && ['follow', 'manual', 'error'].includes(redirect)) {
+      return redirect;
+    }
+    return 'follow';
+  }
+
+  /**
+   * @returns {boolean} Whether the request has been aborted.
+   */
+  get aborted() {
+    return this._abortController.signal.aborted;
+  }
+
+  /**
+   * Aborts the currently running request.
+   * The `execute()` function resolves with the `aborted` error.
+   * @returns {void}
+   */
+  abort() {
+    this._abortController.abort();
   }
 
   /**
@@ -20,23 +234,152 @@ export class HttpProxy {
     const startTime = Date.now();
     /** @type IApiConsoleHttpResponse */
     let result;
+    const { timeout } = this;
+    let timeoutId;
+    if (timeout) {
+      timeoutId = setTimeout(() => {
+        this._timedOut = true;
+        this.abort();
+      }, timeout);
+    }
+    this._attempts = undefined;
+    this._queueTime = undefined;
     try {
-      result = await this._proxy(startTime); 
+      result = await this._proxyWithRetry(startTime); 
     } catch (e) {
+      const responseData = /** @type IApiConsoleProxyError */ ({
+        error: true,
+        message: e.message,
+      });
+      if (typeof e.code === 'string') {
+        responseData.code = e.code;
+      }
+      if (this._timedOut) {
+        responseData.code = 'timeout';
+        responseData.message = `The request timed out after ${timeout} ms.`;
+      } else if (this.aborted) {
+        responseData.code = 'aborted';
+        responseData.message = 'The request has been aborted.';
+      } else if (this.redirect === 'error' && this._isRedirectResponse()) {
+        responseData.code = 'redirect_error';
+        responseData.message = 'The server responded with a redirect which is not allowed by the redirect policy.';
+      }
       result = /** @type IApiConsoleHttpResponse */ ({
-        responseData: {
-          error: true,
-          message: e.message,
-        },
+        responseData,
         stats: {
           loadingTime: 0,
           startTime,
         }
       });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    if (this._attempts) {
+      result.stats.attempts = this._attempts;
+    }
+    if (typeof this._queueTime === 'number') {
+      result.stats.queueTime = this._queueTime;
+    }
+    if (this._compression) {
+      result.stats.compression = this._compression;
     }
     return result;
   }
 
+  /**
+   * Makes the request and repeats it according to the retry policy of the request.
+   * Each attempt is recorded in the `_attempts` list.
+   * 
+   * @param {number} startTime
+   * @returns {Promise<IApiConsoleHttpResponse>}
+   * @protected
+   */
+  async _proxyWithRetry(startTime) {
+    const policy = this.retryPolicy;
+    if (!policy) {
+      return this._proxy(startTime);
+    }
+    const attempts = /** @type IRequestAttempt[] */ ([]);
+    this._attempts = attempts;
+    let attempt = 0;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      attempt += 1;
+      const attemptStart = attempt === 1 ? startTime : Date.now();
+      /** @type IApiConsoleHttpResponse | undefined */
+      let result;
+      /** @type {(Error & { code?: string }) | undefined} */
+      let error;
+      try {
+        result = await this._proxy(attemptStart);
+      } catch (e) {
+        if (this.aborted) {
+          throw e;
+        }
+        error = e;
+      }
+      const data = result && /** @type IApiConsoleHttpResponseData */ (result.responseData);
+      const status = data ? data.status : undefined;
+      // errors with a code are reported by the proxy and are not network errors.
+      const retryable = error ? policy.networkErrors && !error.code && !(this.redirect === 'error' && this._isRedirectResponse()) : policy.statuses.includes(status);
+      let retry = retryable && attempt < policy.maxAttempts;
+      let delay = 0;
+      if (retry) {
+        const retryAfter = data ? new ProxyHeaders(data.headers).get('retry-after') : undefined;
+        const value = retryDelay(policy, attempt, retryAfter);
+        // the server asked to wait longer than the policy allows.
+        retry = value !== undefined;
+        delay = value || 0;
+      }
+      const info = /** @type IRequestAttempt */ ({
+        attempt,
+        startTime: attemptStart,
+        delay,
+      });
+      if (error) {
+        info.error = error.message;
+      } else {
+        info.status = status;
+      }
+      attempts.push(info);
+      if (!retry) {
+        if (error) {
+          throw error;
+        }
+        result.stats.startTime = startTime;
+        result.stats.loadingTime = Date.now() - startTime;
+        return result;
+      }
+      await this._wait(delay);
+    }
+  }
+
+  /**
+   * Waits for the given time. The wait is interrupted when the request is aborted.
+   * 
+   * @param {number} time The time in milliseconds.
+   * @returns {Promise<void>}
+   * @protected
+   */
+  _wait(time) {
+    const { signal } = this._abortController;
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(new Error('The request has been aborted.'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(id);
+        reject(new Error('The request has been aborted.'));
+      };
+      const id = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, time);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
   /**
    * @param {number} startTime
    * @returns {Promise<IApiConsoleHttpResponse>}
@@ -44,38 +387,587 @@ export class HttpProxy {
    */
   async _proxy(startTime) {
     const { method='GET', url } = this.request;
+    const rule = findMockRule(this.options.mockRules, this.request);
+    if (rule) {
+      return this._mockResponse(rule, startTime);
+    }
+    const { replay } = this.options;
+    if (replay) {
+      const index = await findReplayEntry(replay.entries, this.request, replay.used);
+      if (index !== -1) {
+        replay.used.add(index);
+        return this._replayResponse(replay.entries[index], startTime);
+      }
+      if (replay.strict) {
+        throw Object.assign(new Error(`The request ${method} ${url} was not recorded.`), { code: 'replay_miss' });
+      }
+    }
+    if (!await ensureHostPermission(url)) {
+      throw Object.assign(new Error(`The permission to access ${new URL(url).origin} was denied.`), { code: 'permission_denied' });
+    }
+    this._cached = await this._readCache();
+    this._cacheStatus = undefined;
+    if (this._cached && this._cached.fresh) {
+      return this._cachedResponse(this._cached.response, startTime);
+    }
+    const release = await this._waitForSlot(url);
+    try {
+      const init = await this._createRequestInit();
+      await this._compressBody(init);
+      if (this._cached) {
+        this._setValidators(init, this._cached);
+      }
+      await this._signRequest(url, init);
+      const observer = new RequestObserver(url, method);
+      this._observer = observer;
+      const cookies = init.credentials === 'include' ? await readCookies(url) : undefined;
+      const ruleId = this._forbiddenHeaders ? await addHeadersRule(url, this._forbiddenHeaders) : undefined;
+      observer.observe();
+      try {
+        const result = await this._fetch(url, init, startTime);
+        if (cookies) {
+          result.cookies = cookies;
+        }
+        if (this._cacheStatus) {
+          result.stats.cache = this._cacheStatus;
+        }
+        return result;
+      } finally {
+        // the observer is replaced when the request is repeated to answer the authentication challenge.
+        this._observer.disconnect();
+        await removeHeadersRule(ruleId);
+      }
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Reads the stored response of the request, when the proxy has the response cache and the request can use it.
+   * 
+   * @returns {Promise<ICachedResponse | undefined>}
+   * @protected
+   */
+  async _readCache() {
+    const { cache } = this;
+    if (!cache || !isCacheableRequest(this.request, this.credentials)) {
+      return undefined;
+    }
+    try {
+      return await cache.lookup(this.request);
+    } catch (e) {
+      // the cache must not break the request.
+      return undefined;
+    }
+  }
+
+  /**
+   * Applies the request's `auth` configuration to the request init, right before the request is made.
+   * 
+   * @param {string} url
+   * @param {RequestInit} init
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _signRequest(url, init) {
+    const { auth } = this.request;
+    if (!auth) {
+      return;
+    }
+    switch (auth.type) {
+      case 'aws-sigv4': {
+        const message = validateAwsAuth(auth);
+        if (message) {
+          throw Object.assign(new Error(message), { code: 'auth_error' });
+        }
+        await signAwsRequest(url, init, auth);
+        break;
+      }
+      case 'http-signature': {
+        const message = validateHttpSignatureAuth(auth);
+        if (message) {
+          throw Object.assign(new Error(message), { code: 'auth_error' });
+        }
+        const { signingKeys } = this.options;
+        const signingKey = signingKeys ? await signingKeys.read(auth.keyId) : undefined;
+        if (!signingKey) {
+          throw Object.assign(new Error(`The signing key ${auth.keyId} is not imported in the extension.`), { code: 'auth_error' });
+        }
+        try {
+          await signHttpMessage(url, init, auth, signingKey, this._forbiddenHeaders);
+        } catch (e) {
+          throw Object.assign(new Error(`Unable to sign the request: ${e.message}`), { code: 'auth_error' });
+        }
+        break;
+      }
+      case 'digest':
+        if (typeof auth.username !== 'string' || typeof auth.password !== 'string') {
+          throw Object.assign(new Error('The Digest authentication requires the username and the password.'), { code: 'auth_error' });
+        }
+        // the credentials are sent when the server responds with the challenge.
+        break;
+      case 'hawk': {
+        const message = validateHawkAuth(auth);
+        if (message) {
+          throw Object.assign(new Error(message), { code: 'auth_error' });
+        }
+        this._hawkArtifacts = await signHawkRequest(url, init, auth);
+        break;
+      }
+      case 'oauth1': {
+        const message = validateOAuth1Auth(auth);
+        if (message) {
+          throw Object.assign(new Error(message), { code: 'auth_error' });
+        }
+        try {
+          await new OAuth1Signer(auth).sign(url, init);
+        } catch (e) {
+          throw Object.assign(new Error(`Unable to sign the request: ${e.message}`), { code: 'auth_error' });
+        }
+        break;
+      }
+      default:
+        throw Object.assign(new Error(`Unknown authorization type: ${/** @type any */ (auth).type}.`), { code: 'auth_error' });
+    }
+  }
+
+  /**
+   * Reads the Digest authentication challenge of the response when the request has the `digest` auth.
+   * 
+   * @param {Response} rsp
+   * @returns {IAuthChallenge | undefined} The challenge to answer.
+   * @protected
+   */
+  _digestChallenge(rsp) {
+    const { auth } = this.request;
+    if (!auth || auth.type !== 'digest' || rsp.status !== 401) {
+      return undefined;
+    }
+    return findDigestChallenge(rsp.headers.get('www-authenticate'));
+  }
+
+  /**
+   * Repeats the request with the credentials after the server responded with the Digest authentication challenge.
+   * The body of the `401` response is discarded and the repeated request is observed with a new observer.
+   * 
+   * @param {string} url
+   * @param {RequestInit} init
+   * @param {Response} challengeResponse The `401` response.
+   * @param {IAuthChallenge} challenge
+   * @returns {Promise<{ rsp: Response, log: IAuthLogEntry }>} The response to the repeated request and the log of the challenge.
+   * @protected
+   */
+  async _answerChallenge(url, init, challengeResponse, challenge) {
+    const auth = /** @type IDigestAuth */ (this.request.auth);
+    /** @type IAuthLogEntry */
+    const log = {
+      scheme: 'digest',
+      message: 'The server requested the Digest authentication. The request was repeated with the credentials.',
+      status: challengeResponse.status,
+      statusText: challengeResponse.statusText,
+      headers: this._readResponseHeaders(challengeResponse).toString(),
+    };
+    if (challengeResponse.body) {
+      await challengeResponse.body.cancel();
+    }
+    this._observer.disconnect();
+    this._observer = new RequestObserver(url, this.request.method);
+    this._observer.observe();
+    const headers = new Headers(init.headers);
+    headers.set('authorization', await digestAuthorization(challenge, auth, init.method || 'GET', url, init.body));
+    const rsp = await fetch(url, { ...init, headers });
+    return { rsp, log };
+  }
+
+  /**
+   * Adds the headers which ask the server to respond with `304` when the stored response is still valid.
+   * 
+   * @param {RequestInit} init
+   * @param {ICachedResponse} cached
+   * @protected
+   */
+  _setValidators(init, cached) {
+    const headers = new Headers(init.headers);
+    if (cached.etag) {
+      headers.set('if-none-match', cached.etag);
+    }
+    if (cached.lastModified) {
+      headers.set('if-modified-since', cached.lastModified);
+    }
+    init.headers = headers;
+  }
+
+  /**
+   * Stores the response in the response cache, or, when the server confirmed the stored response is valid,
+   * replaces the `304` response with the stored response.
+   * 
+   * @param {Response} rsp The response of the server.
+   * @returns {Promise<Response>} The response to report.
+   * @protected
+   */
+  async _processCache(rsp) {
+    const { cache } = this;
+    if (!cache || !isCacheableRequest(this.request, this.credentials)) {
+      return rsp;
+    }
+    try {
+      if (rsp.status === 304 && this._cached) {
+        const updated = await cache.revalidate(this.request, this._cached.response, rsp);
+        this._cacheStatus = 'revalidated';
+        return updated;
+      }
+      await cache.store(this.request, rsp);
+    } catch (e) {
+      // the cache must not break the request.
+    }
+    return rsp;
+  }
+
+  /**
+   * Answers the request with the fresh response from the response cache, without making the request.
+   * 
+   * @param {Response} rsp The stored response.
+   * @param {number} startTime
+   * @returns {Promise<IApiConsoleHttpResponse>}
+   * @protected
+   */
+  async _cachedResponse(rsp, startTime) {
+    this._observer = undefined;
+    // sets the size of the request body.
+    await this._createRequestInit();
+    const result = await this._createResponse(rsp, this.request.url, startTime);
+    result.stats.cache = 'hit';
+    return result;
+  }
+
+  /**
+   * Waits for a free slot in the scheduler, when the proxy has one.
+   * The wait is added to the `_queueTime` and is interrupted when the request is aborted.
+   * 
+   * @param {string} url
+   * @returns {Promise<() => void>} The function that frees the slot.
+   * @protected
+   */
+  async _waitForSlot(url) {
+    const { scheduler } = this.options;
+    if (!scheduler) {
+      return () => {};
+    }
+    const queued = Date.now();
+    const release = await scheduler.acquire(url, this._abortController.signal);
+    this._queueTime = (this._queueTime || 0) + Date.now() - queued;
+    return release;
+  }
+
+  /**
+   * Compresses the request body when the request has the `compression` option
+   * and sets the matching `content-encoding` header.
+   * The body is compressed before the request is signed so the signature covers the sent bytes.
+   * 
+   * @param {RequestInit} init
+   * @returns {Promise<void>}
+   */
+  async _compressBody(init) {
+    const { compression } = this.request;
+    this._compression = undefined;
+    if (!compression || init.body === undefined || init.body === null) {
+      return;
+    }
+    const format = compressionFormats[compression];
+    if (!format) {
+      throw Object.assign(new Error(`Unsupported request body encoding: ${compression}.`), { code: 'compression_error' });
+    }
+    let stream;
+    try {
+      // The TypeScript DOM library does not define the CompressionStream yet.
+      stream = new (/** @type any */ (globalThis).CompressionStream)(format);
+    } catch (e) {
+      throw Object.assign(new Error(`This browser cannot compress the request body with the ${compression} encoding.`), { code: 'compression_error' });
+    }
+    const original = await new Response(init.body).blob();
+    const compressed = await new Response(original.stream().pipeThrough(stream)).blob();
+    // keeps the content type the fetch sets for a text or a blob body.
+    init.body = new Blob([compressed], { type: original.type });
+    const headers = new Headers(init.headers);
+    headers.set('content-encoding', compression);
+    init.headers = headers;
+    this._requestBodySize = compressed.size;
+    this._compression = {
+      encoding: compression,
+      originalSize: original.size,
+      compressedSize: compressed.size,
+    };
+  }
+
+  /**
+   * Creates the init object for the `fetch()` from the proxied request.
+   * 
+   * @returns {Promise<RequestInit>}
+   * @protected
+   */
+  async _createRequestInit() {
+    const { method='GET' } = this.request;
+    const { redirect, credentials } = this;
     const init = /** @type RequestInit */ ({
       method,
+      redirect,
+      credentials,
+      signal: this._abortController.signal,
     });
+    this._forbiddenHeaders = undefined;
     if (this.request.headers) {
       const values = new ProxyHeaders(this.request.headers);
+      // The fetch drops these headers. They are set with a session rule.
+      this._forbiddenHeaders = extractForbiddenHeaders(values);
       const headers = new Headers();
       values.forEach((value, name) => {
         headers.append(name, value);
       });
       init.headers = headers;
     }
+    this._requestBodySize = 0;
     if (this.request.payload) {
-      const payload = await PayloadSerializer.deserialize(this.request.payload);
-      init.body = payload;
+      let payload = await PayloadSerializer.deserialize(this.request.payload);
+      if (payload instanceof FormData) {
+        // The multipart body is serialized here to know its size.
+        // The blob's type has the content type with the boundary which is used by the fetch.
+        payload = await new Response(payload).blob();
+      }
+      init.body = /** @type BodyInit */ (payload);
+      this._requestBodySize = bodySize(payload);
+    }
+    return init;
+  }
+
+  /**
+   * Makes the request and reads the response.
+   * 
+   * @param {string} url
+   * @param {RequestInit} init
+   * @param {number} startTime
+   * @returns {Promise<IApiConsoleHttpResponse>}
+   * @protected
+   */
+  async _fetch(url, init, startTime) {
+    let perfStart = performance.now();
+    let rsp = await fetch(url, init);
+    /** @type IAuthLogEntry[] */
+    const authLog = [];
+    const challenge = this._digestChallenge(rsp);
+    if (challenge) {
+      perfStart = performance.now();
+      const answer = await this._answerChallenge(url, init, rsp, challenge);
+      rsp = answer.rsp;
+      authLog.push(answer.log);
+    }
+    rsp = await this._processCache(rsp);
+    if (rsp.type === 'opaqueredirect') {
+      return this._redirectResponse(rsp, startTime);
+    }
+    const verification = await this._verifyResponse(rsp);
+    if (verification) {
+      authLog.push(...verification);
+    }
+    // the response revalidated from the cache has no URL.
+    const responseURL = rsp.url || url;
+    const result = await this._createResponse(rsp, responseURL, startTime);
+    const endTime = result.stats.startTime + result.stats.loadingTime;
+    const timings = resourceTimings(findResourceEntry(responseURL, perfStart)) || observerTimings(this._observer.timestamps, endTime);
+    if (timings) {
+      result.stats.timings = timings;
+    }
+    if (this._observer.redirects.length) {
+      result.redirects = this._observer.redirects;
+    }
+    if (authLog.length) {
+      result.authLog = authLog;
+    }
+    return result;
+  }
+
+  /**
+   * Verifies the `server-authorization` header when the request has the `hawk` auth with the `verifyResponse` option.
+   * The response revalidated from the cache is not verified as its headers were signed for another request.
+   * 
+   * @param {Response} rsp
+   * @returns {Promise<IAuthLogEntry[] | undefined>} The result of the verification.
+   * @protected
+   */
+  async _verifyResponse(rsp) {
+    const { auth } = this.request;
+    if (!auth || auth.type !== 'hawk' || !auth.verifyResponse || !this._hawkArtifacts || this._cacheStatus) {
+      return undefined;
+    }
+    const payload = new Uint8Array(await rsp.clone().arrayBuffer());
+    const error = await verifyServerAuthorization(auth, this._hawkArtifacts, rsp.headers, payload);
+    return [{
+      scheme: 'hawk',
+      message: error || 'The server-authorization header of the response is valid.',
+      verified: !error,
+    }];
+  }
+
+  /**
+   * Answers the request with the response defined in the mock rule, without making the request.
+   * 
+   * @param {IMockRule} rule The rule matching the request.
+   * @param {number} startTime
+   * @returns {Promise<IApiConsoleHttpResponse>}
+   * @protected
+   */
+  async _mockResponse(rule, startTime) {
+    const { response={} } = rule;
+    this._observer = undefined;
+    // sets the size of the request body.
+    await this._createRequestInit();
+    if (response.delay > 0) {
+      await this._wait(response.delay);
+    }
+    const status = Number.isInteger(response.status) && response.status >= 200 && response.status <= 599 ? response.status : 200;
+    const hasBody = ![204, 205, 304].includes(status) && this.request.method !== 'HEAD';
+    const rsp = new Response(hasBody ? response.body || '' : null, {
+      status,
+      statusText: response.statusText || '',
+      headers: new ProxyHeaders(response.headers).map((value, name) => /** @type [string, string] */ ([name, value])),
+    });
+    const result = await this._createResponse(rsp, this.request.url, startTime);
+    result.mockRule = rule.id;
+    return result;
+  }
+
+  /**
+   * Answers the request with the recorded response, without making the request.
+   * 
+   * @param {IHarEntry} entry The recorded entry matching the request.
+   * @param {number} startTime
+   * @returns {Promise<IApiConsoleHttpResponse>}
+   * @protected
+   */
+  async _replayResponse(entry, startTime) {
+    this._observer = undefined;
+    // sets the size of the request body.
+    await this._createRequestInit();
+    const { _error: recordedError } = entry.response;
+    if (recordedError) {
+      throw new Error(recordedError);
     }
-    const rsp = await fetch(url, init);
+    const rsp = createReplayResponse(entry, this.request.method || 'GET');
+    const result = await this._createResponse(rsp, this.request.url, startTime);
+    result.replayed = true;
+    return result;
+  }
+
+  /**
+   * Creates the proxy response from the response object.
+   * 
+   * @param {Response} rsp
+   * @param {string} responseURL The final URL of the response.
+   * @param {number} startTime
+   * @returns {Promise<IApiConsoleHttpResponse>}
+   * @protected
+   */
+  async _createResponse(rsp, responseURL, startTime) {
+    const responseType = this._readResponseType(rsp);
+    const responseHeaders = this._readResponseHeaders(rsp);
+    const { body, text: txt, size: responseBodySize } = await this._readBody(rsp, responseType);
     const loadingTime = Date.now() - startTime;
-    const txt = await rsp.text();
+    const result = /** @type IApiConsoleHttpResponse */ ({
+      responseData: {
+        response: body,
+        responseText: txt,
+        responseType,
+        responseURL,
+        status: rsp.status,
+        statusText: rsp.statusText,
+        readyState: 4,
+        headers: responseHeaders.toString(),
+      },
+      stats: {
+        loadingTime,
+        startTime,
+        requestSize: {
+          headers: this._requestHeadersSize(),
+          body: this._requestBodySize,
+        },
+        responseSize: {
+          headers: responseHeaders.toString().length,
+          body: responseBodySize,
+        },
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Reads the response body, depending on the response type.
+   * 
+   * @param {Response} rsp
+   * @param {ResponseType} responseType
+   * @returns {Promise<IResponseBody>}
+   * @protected
+   */
+  async _readBody(rsp, responseType) {
+    if (responseType === 'text') {
+      const text = await rsp.text();
+      return { body: text, text, size: bodySize(text) };
+    }
+    if (responseType === 'blob') {
+      const blob = await rsp.blob();
+      const body = await PayloadSerializer.stringifyBlob(blob);
+      return { body, text: '', size: blob.size };
+    }
+    const buffer = await rsp.arrayBuffer();
+    const body = PayloadSerializer.stringifyArrayBuffer(buffer);
+    return { body, text: '', size: buffer.byteLength };
+  }
+
+  /**
+   * @param {Response} rsp
+   * @returns {ProxyHeaders} The response headers.
+   * @protected
+   */
+  _readResponseHeaders(rsp) {
     const responseHeaders = new ProxyHeaders();
     rsp.headers.forEach((value, key) => {
       responseHeaders.append(key, value);
     });
+    return responseHeaders;
+  }
+
+  /**
+   * @returns {number} The size of the request headers. When possible, the headers sent by the browser are used.
+   * @protected
+   */
+  _requestHeadersSize() {
+    const { _observer } = this;
+    if (_observer && typeof _observer.requestHeadersSize === 'number') {
+      return _observer.requestHeadersSize;
+    }
+    return new ProxyHeaders(this.request.headers).toString().length;
+  }
+
+  /**
+   * Creates the response object when the redirect was not followed because of the `manual` redirect policy.
+   * The `fetch()` does not expose the redirect response so it is read from the network events.
+   * 
+   * @param {Response} rsp The opaque redirect response.
+   * @param {number} startTime
+   * @returns {IApiConsoleHttpResponse}
+   * @protected
+   */
+  _redirectResponse(rsp, startTime) {
+    const { lastResponse } = this._observer;
+    const loadingTime = Date.now() - startTime;
     const result = /** @type IApiConsoleHttpResponse */ ({
       responseData: {
-        response: txt,
-        responseText: txt,
+        response: '',
+        responseText: '',
         responseType: 'text',
-        responseURL: rsp.url,
-        status: rsp.status,
-        statusText: rsp.statusText,
+        responseURL: rsp.url || this.request.url,
+        status: lastResponse ? lastResponse.status : rsp.status,
+        statusText: lastResponse ? lastResponse.statusText : rsp.statusText,
         readyState: 4,
-        headers: responseHeaders.toString(),
+        headers: lastResponse ? lastResponse.headers.toString() : '',
       },
       stats: {
         loadingTime,
@@ -84,4 +976,33 @@ export class HttpProxy {
     });
     return result;
   }
+
+  /**
+   * @returns {boolean} True when the last response observed for the request was a redirect.
+   * @protected
+   */
+  _isRedirectResponse() {
+    const { _observer } = this;
+    if (!_observer || !_observer.lastResponse) {
+      return false;
+    }
+    const { status } = _observer.lastResponse;
+    return status >= 300 && status < 400;
+  }
+
+  /**
+   * Determines the type of the response body.
+   * The `responseType` set on the request has the priority. Otherwise it is determined from the `content-type` header.
+   * 
+   * @param {Response} rsp
+   * @returns {ResponseType}
+   * @protected
+   */
+  _readResponseType(rsp) {
+    const { responseType } = this.request;
+    if (responseType && ['text', 'arraybuffer', 'blob'].includes(responseType)) {
+      return responseType;
+    }
+    return isTextContentType(rsp.headers.get('content-type')) ? 'text' : 'arraybuffer';
+  }
 }
@@ -0,0 +1,79 @@
+/**
+ * The per-round shift amounts.
+ */
+const shifts = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+
+/**
+ * The constants derived from the sine function.
+ */
+const constants = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+/**
+ * Computes the MD5 hash (RFC 1321). The WebCrypto does not implement MD5,
+ * which is still required by the HTTP Digest authentication.
+ * 
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} The 16 bytes of the hash.
+ */
+export function md5(bytes) {
+  const bitLength = bytes.length * 8;
+  const paddedLength = (((bytes.length + 8) >>> 6) + 1) * 64;
+  const buffer = new Uint8Array(paddedLength);
+  buffer.set(bytes);
+  buffer[bytes.length] = 0x80;
+  const view = new DataView(buffer.buffer);
+  view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bitLength / 2 ** 32), true);
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  const words = new Uint32Array(16);
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i += 1) {
+      words[i] = view.getUint32(offset + i * 4, true);
+    }
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+    for (let i = 0; i < 64; i += 1) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const sum = (a + f + constants[i] + words[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shifts[i]) | (sum >>> (32 - shifts[i])))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+  const result = new Uint8Array(16);
+  const resultView = new DataView(result.buffer);
+  resultView.setUint32(0, a0, true);
+  resultView.setUint32(4, b0, true);
+  resultView.setUint32(8, c0, true);
+  resultView.setUint32(12, d0, true);
+  return result;
+}
@@ -0,0 +1,48 @@
+import { Headers as ProxyHeaders } from './Headers.js';
+import { matchesPattern } from './PatternUtils.js';
+
+/** @typedef {import('../types').IMockRule} IMockRule */
+/** @typedef {import('../types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
+
+/**
+ * @param {IMockRule} rule
+ * @param {IApiConsoleHttpRequest} request
+ * @param {ProxyHeaders} headers The request headers.
+ * @returns {boolean}
+ */
+function matchesRule(rule, request, headers) {
+  if (rule.enabled === false || typeof rule.url !== 'string') {
+    return false;
+  }
+  if (!matchesPattern(request.url, rule.url)) {
+    return false;
+  }
+  const method = request.method || 'GET';
+  if (rule.method && rule.method !== '*' && rule.method.toUpperCase() !== method.toUpperCase()) {
+    return false;
+  }
+  if (rule.headers) {
+    return Object.keys(rule.headers).every((name) => {
+      if (!headers.has(name)) {
+        return false;
+      }
+      return matchesPattern(headers.get(name), rule.headers[name], true);
+    });
+  }
+  return true;
+}
+
+/**
+ * Finds the first rule that matches the request.
+ *
+ * @param {IMockRule[] | undefined} rules The mock rules, in order.
+ * @param {IApiConsoleHttpRequest} request
+ * @returns {IMockRule | undefined}
+ */
+export function findMockRule(rules, request) {
+  if (!Array.isArray(rules) || !rules.length) {
+    return undefined;
+  }
+  const headers = new ProxyHeaders(request.headers);
+  return rules.find(rule => matchesRule(rule, request, headers));
+}
@@ -0,0 +1,289 @@
+import { CodeError } from './AuthorizationError.js';
+import { bodyBytes, hmac, toBase64, uriEncode } from './CryptoUtils.js';
+import { nonceGenerator } from './OAuthUtils.js';
+import { ensureHostPermission } from '../approval/HostPermissions.js';
+import { authorizeInTab } from './AuthorizationTab.js';
+
+/** @typedef {import('../types').IOAuth1Credentials} IOAuth1Credentials */
+/** @typedef {import('../types').IOAuth1Auth} IOAuth1Auth */
+/** @typedef {import('../types').IOAuth1Authorization} IOAuth1Authorization */
+/** @typedef {import('../types').IOAuth1TokenInfo} IOAuth1TokenInfo */
+
+/**
+ * The supported values of the `oauth_signature_method`.
+ */
+export const signatureMethods = ['HMAC-SHA1', 'HMAC-SHA256', 'RSA-SHA1', 'PLAINTEXT'];
+
+/**
+ * @param {IOAuth1Credentials} auth
+ * @returns {string | undefined} The error message when the configuration is incomplete.
+ */
+export function validateOAuth1Auth(auth) {
+  if (!auth.consumerKey || typeof auth.consumerKey !== 'string') {
+    return 'The OAuth 1 signature requires the consumerKey.';
+  }
+  if (!signatureMethods.includes(auth.signatureMethod)) {
+    return `Unsupported OAuth 1 signature method: ${auth.signatureMethod}.`;
+  }
+  if (auth.signatureMethod === 'RSA-SHA1' && !auth.privateKey) {
+    return 'The RSA-SHA1 signature method requires the privateKey.';
+  }
+  return undefined;
+}
+
+/**
+ * Creates the signature base string, as defined in RFC 5849, section 3.4.1.
+ *
+ * @param {string} method The HTTP method.
+ * @param {string} requestUrl The final URL of the request. The query parameters are signed.
+ * @param {[string, string][]} parameters The `oauth_*` parameters and the parameters of the form-urlencoded body.
+ * @returns {string}
+ */
+export function signatureBaseString(method, requestUrl, parameters) {
+  const url = new URL(requestUrl);
+  const all = [...url.searchParams.entries(), ...parameters]
+    .filter(([name]) => name !== 'oauth_signature' && name !== 'realm')
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([n1, v1], [n2, v2]) => {
+      if (n1 !== n2) {
+        return n1 < n2 ? -1 : 1;
+      }
+      if (v1 === v2) {
+        return 0;
+      }
+      return v1 < v2 ? -1 : 1;
+    });
+  const normalized = all.map(([name, value]) => `${name}=${value}`).join('&');
+  return [
+    method.toUpperCase(),
+    // the URL has the lowercase scheme and host and omits the default port.
+    uriEncode(`${url.origin}${url.pathname}`),
+    uriEncode(normalized),
+  ].join('&');
+}
+
+/**
+ * Reads the parameters of the form-urlencoded body.
+ *
+ * @param {RequestInit} init The request init with the final headers and the body.
+ * @returns {Promise<[string, string][]>} The body parameters. Empty when the body is not form-urlencoded.
+ */
+export async function formParameters(init) {
+  const type = new Headers(init.headers).get('content-type') || '';
+  if (!type.toLowerCase().startsWith('application/x-www-form-urlencoded') || init.body === undefined || init.body === null) {
+    return [];
+  }
+  if (init.body instanceof URLSearchParams) {
+    return [...init.body.entries()];
+  }
+  const text = new TextDecoder().decode(await bodyBytes(init.body));
+  return [...new URLSearchParams(text).entries()];
+}
+
+/**
+ * Imports the RSA private key given as a JWK or as a PEM encoded PKCS #8 key.
+ *
+ * @param {JsonWebKey | string} key
+ * @returns {Promise<CryptoKey>}
+ */
+async function importRsaKey(key) {
+  const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' };
+  if (typeof key !== 'string') {
+    return globalThis.crypto.subtle.importKey('jwk', key, algorithm, false, ['sign']);
+  }
+  const base64 = key.replace(/-----(BEGIN|END) PRIVATE KEY-----/g, '').replace(/\s+/g, '');
+  const der = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  return globalThis.crypto.subtle.importKey('pkcs8', der, algorithm, false, ['sign']);
+}
+
+/**
+ * Signs requests with OAuth 1.0a (RFC 5849) and performs the three-legged authorization
+ * to obtain the token credentials.
+ */
+export class OAuth1Signer {
+  /**
+   * @returns {IOAuth1Credentials | IOAuth1Authorization} The settings used to initialize this class.
+   */
+  get settings() {
+    return this._settingsValue;
+  }
+
+  /**
+   * @param {IOAuth1Credentials | IOAuth1Authorization} settings The consumer credentials and, when signing a request, the token credentials.
+   */
+  constructor(settings) {
+    if (!settings) {
+      throw new TypeError('Expected one argument.');
+    }
+    /** @type IOAuth1Credentials | IOAuth1Authorization */
+    this._settingsValue = Object.freeze({ ...settings });
+    /**
+     * The token used to sign the requests. Set to the temporary credentials during the authorization.
+     * @type {{ token?: string, tokenSecret?: string }}
+     */
+    this._token = { token: settings.token, tokenSecret: settings.tokenSecret };
+  }
+
+  /**
+   * Creates the `oauth_*` protocol parameters of a request.
+   *
+   * @param {Record<string, string>=} extra The additional protocol parameters, like the `oauth_callback` or the `oauth_verifier`.
+   * @param {Date=} date The time of the request.
+   * @param {string=} nonce
+   * @returns {[string, string][]}
+   */
+  oauthParameters(extra={}, date=new Date(), nonce=nonceGenerator(32)) {
+    const { consumerKey, signatureMethod } = this.settings;
+    /** @type [string, string][] */
+    const result = [
+      ['oauth_consumer_key', consumerKey],
+      ['oauth_nonce', nonce],
+      ['oauth_signature_method', signatureMethod],
+      ['oauth_timestamp', String(Math.floor(date.getTime() / 1000))],
+    ];
+    if (this._token.token) {
+      result.push(['oauth_token', this._token.token]);
+    }
+    result.push(['oauth_version', '1.0']);
+    Object.keys(extra).forEach((name) => {
+      result.push([name, extra[name]]);
+    });
+    return result;
+  }
+
+  /**
+   * Computes the `oauth_signature`.
+   *
+   * @param {string} baseString The signature base string.
+   * @returns {Promise<string>}
+   */
+  async signature(baseString) {
+    const { consumerSecret='', signatureMethod, privateKey } = this.settings;
+    const key = `${uriEncode(consumerSecret)}&${uriEncode(this._token.tokenSecret || '')}`;
+    switch (signatureMethod) {
+      case 'HMAC-SHA1': return toBase64(await hmac('SHA-1', key, baseString));
+      case 'HMAC-SHA256': return toBase64(await hmac('SHA-256', key, baseString));
+      case 'RSA-SHA1': {
+        const cryptoKey = await importRsaKey(privateKey);
+        return toBase64(await globalThis.crypto.subtle.sign('RSASSA-PKCS1-v1_5', cryptoKey, new TextEncoder().encode(baseString)));
+      }
+      case 'PLAINTEXT': return key;
+      default: throw new Error(`Unsupported OAuth 1 signature method: ${signatureMethod}.`);
+    }
+  }
+
+  /**
+   * Creates the value of the `authorization` header.
+   *
+   * @param {string} method The HTTP method.
+   * @param {string} url The final URL of the request.
+   * @param {[string, string][]} bodyParameters The parameters of the form-urlencoded body.
+   * @param {[string, string][]} oauthParameters The protocol parameters created with the `oauthParameters()`.
+   * @returns {Promise<string>}
+   */
+  async authorizationHeader(method, url, bodyParameters, oauthParameters) {
+    const baseString = signatureBaseString(method, url, [...oauthParameters, ...bodyParameters]);
+    const signature = await this.signature(baseString);
+    const values = [...oauthParameters, ['oauth_signature', signature]].map(([name, value]) => `${uriEncode(name)}="${uriEncode(value)}"`);
+    const { realm } = this.settings;
+    if (realm) {
+      values.unshift(`realm="${realm.replace(/["\\]/g, '\\$&')}"`);
+    }
+    return `OAuth ${values.join(', ')}`;
+  }
+
+  /**
+   * Adds the OAuth 1 `authorization` header to the request.
+   *
+   * @param {string} url The final URL of the request.
+   * @param {RequestInit} init The request init with the final headers and the body.
+   * @param {Record<string, string>=} extra The additional protocol parameters.
+   * @returns {Promise<void>}
+   */
+  async sign(url, init, extra) {
+    const headers = new Headers(init.headers);
+    const header = await this.authorizationHeader(init.method || 'GET', url, await formParameters(init), this.oauthParameters(extra));
+    headers.set('authorization', header);
+    init.headers = headers;
+  }
+
+  /**
+   * Performs the three-legged authorization: obtains the temporary credentials,
+   * asks the user to authorize them in a popup tab, and exchanges them for the token credentials.
+   *
+   * @returns {Promise<IOAuth1TokenInfo>}
+   */
+  async authorize() {
+    const settings = /** @type IOAuth1Authorization */ (this.settings);
+    const message = validateOAuth1Auth(settings);
+    if (message) {
+      throw new CodeError(message, 'invalid_request');
+    }
+    const missing = ['requestTokenUri', 'authorizationUri', 'accessTokenUri', 'redirectUri'].filter(name => !settings[name]);
+    if (missing.length) {
+      throw new CodeError(`The OAuth 1 authorization requires the ${missing.join(', ')}.`, 'invalid_request');
+    }
+    // the extension reads the URL of the popup tab when it is redirected, which requires the host permission.
+    if (!await ensureHostPermission(settings.redirectUri)) {
+      throw new CodeError(`The permission to access ${new URL(settings.redirectUri).origin} was denied.`, 'permission_denied');
+    }
+    this._token = {};
+    const temporary = await this.requestToken(settings.requestTokenUri, { oauth_callback: settings.redirectUri });
+    if (temporary.get('oauth_callback_confirmed') !== 'true') {
+      throw new CodeError('The server did not confirm the callback URL.', 'invalid_response');
+    }
+    this._token = { token: temporary.get('oauth_token'), tokenSecret: temporary.get('oauth_token_secret') };
+    const authorizationUrl = new URL(settings.authorizationUri);
+    authorizationUrl.searchParams.set('oauth_token', this._token.token);
+    const redirect = new URL(await authorizeInTab(authorizationUrl.toString(), settings.redirectUri));
+    const verifier = redirect.searchParams.get('oauth_verifier');
+    if (!verifier) {
+      throw new CodeError('The user did not authorize the application.', 'access_denied');
+    }
+    if (redirect.searchParams.get('oauth_token') !== this._token.token) {
+      throw new CodeError('The authorization server returned a different token.', 'invalid_response');
+    }
+    const token = await this.requestToken(settings.accessTokenUri, { oauth_verifier: verifier });
+    this._token = { token: token.get('oauth_token'), tokenSecret: token.get('oauth_token_secret') };
+    /** @type Record<string, string> */
+    const parameters = {};
+    token.forEach((value, name) => {
+      if (name !== 'oauth_token' && name !== 'oauth_token_secret') {
+        parameters[name] = value;
+      }
+    });
+    return {
+      token: this._token.token,
+      tokenSecret: this._token.tokenSecret,
+      parameters,
+    };
+  }
+
+  /**
+   * Makes the signed `POST` request to the temporary credentials or the token endpoint.
+   *
+   * @param {string} url The endpoint URL.
+   * @param {Record<string, string>} extra The additional protocol parameters.
+   * @returns {Promise<URLSearchParams>} The form-urlencoded response of the server.
+   */
+  async requestToken(url, extra) {
+    if (!await ensureHostPermission(url)) {
+      throw new CodeError(`The permission to access ${new URL(url).origin} was denied.`, 'permission_denied');
+    }
+    const init = /** @type RequestInit */ ({
+      method: 'POST',
+      cache: 'no-cache',
+    });
+    await this.sign(url, init, extra);
+    const response = await fetch(url, init);
+    const body = await response.text();
+    if (!response.ok) {
+      throw new CodeError(`The authorization server responded with the status ${response.status}: ${body}`, 'request_error');
+    }
+    const params = new URLSearchParams(body);
+    if (!params.get('oauth_token') || !params.has('oauth_token_secret')) {
+      throw new CodeError('The authorization server response has no token.', 'invalid_response');
+    }
+    return params;
+  }
+}
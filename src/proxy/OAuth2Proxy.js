@@ -2,6 +2,8 @@ import { AuthorizationError, CodeError } from './AuthorizationError.js';
 import { camel, generateCodeChallenge, randomString, sanityCheck } from './OAuthUtils.js';
 import * as KnownGrants from './KnownGrants.js';
 import { applyCustomSettingsBody, applyCustomSettingsHeaders, applyCustomSettingsQuery } from './CustomParameters.js';
+import { ensureHostPermission } from '../approval/HostPermissions.js';
+import { authorizeInTab } from './AuthorizationTab.js';
 
 /** @typedef {import('../types').IOAuth2Authorization} IOAuth2Authorization */
 /** @typedef {import('../types').ITokenInfo} ITokenInfo */
@@ -48,21 +50,10 @@ export class OAuth2Proxy {
     this._stateValue = undefined;
     /** @type string | undefined */
     this._codeVerifierValue = undefined;
-    /** @type {{ id: number, tab: chrome.tabs.Tab } | undefined} */
-    this._popupTabInfo = undefined;
     /** @type {(value: ITokenInfo) => void | undefined} */
     this._resolveFunction = undefined;
     /** @type {(reason?: Error) => void | undefined} */
     this._rejectFunction = undefined;
-    /** 
-     * This is set by the tab change listener.
-     * When `true` then the tab response has been handled. Otherwise the close handler will report error.
-     * @type {boolean} 
-     */
-    this._handlingPopupResponse = false;
-
-    this._tabUpdatedHandler = this._tabUpdatedHandler.bind(this);
-    this._tabClosedHandler = this._tabClosedHandler.bind(this);
   }
 
   /**
@@ -163,6 +154,11 @@ export class OAuth2Proxy {
       if (!url) {
         throw new Error(`Unable to construct the authorization URL.`);
       }
+      // the extension reads the URL of the popup tab when it is redirected, which requires the host permission.
+      const { redirectUri } = this.settings;
+      if (redirectUri && !await ensureHostPermission(redirectUri)) {
+        throw new AuthorizationError(`The permission to access ${new URL(redirectUri).origin} was denied.`, 'permission_denied', this.state);
+      }
       this._authorizePopup(url);
     } catch (e) {
       this._rejectFunction(e);
@@ -232,106 +228,20 @@ export class OAuth2Proxy {
   }
 
   /**
-   * Opens a popup to request authorization from the user.
+   * Opens a popup to request authorization from the user and processes the redirect URL.
    * @param {string} url The URL to open.
    * @returns {Promise<void>}
    */
   async _authorizePopup(url) {
+    /** @type string */
+    let redirect;
     try {
-      const tab = await chrome.tabs.create({
-        active: true,
-        url,
-      });
-      const { id } = tab;
-      if (!id) {
-        throw new Error('Unable to process authorization. Created an invalid tab.');
-      }
-      this._popupTabInfo = {
-        id: id,
-        tab: tab
-      };
-      this._addTabHandlers();
+      redirect = await authorizeInTab(url, this.settings.redirectUri);
     } catch (e) {
-      throw new AuthorizationError(
-        e.message,
-        'popup_blocked',
-        this.state
-      );
-    }
-  }
-
-  /**
-   * Adds a browser wide listener to tabs update/close events.
-   * Sadly chrome does not allow setting these events for a single tab only
-   * with included full permissions to the tab when the tab was created by the extension.
-   * 
-   * This is invoked only when a tab is opened by the `_authorizePopup()` function.
-   * The listeners are removes right after the tab was closed.
-   * 
-   * @returns {void}
-   * @private
-   */
-  _addTabHandlers() {
-    chrome.tabs.onUpdated.addListener(this._tabUpdatedHandler);
-    chrome.tabs.onRemoved.addListener(this._tabClosedHandler);
-  }
-
-  /**
-   * @returns {void}
-   * @private
-   */
-  _removeTabHandlers() {
-    chrome.tabs.onUpdated.removeListener(this._tabUpdatedHandler);
-    chrome.tabs.onRemoved.removeListener(this._tabClosedHandler);
-  }
-
-  /**
-   * Checks the state of the tab when updated.
-   * @param {number} tabId 
-   * @param {chrome.tabs.TabChangeInfo} changeInfo 
-   * @returns {void}
-   * @private
-   */
-  _tabUpdatedHandler(tabId, changeInfo) {
-    const { _popupTabInfo } = this;
-    if (!_popupTabInfo) {
-      // this should not happen, no way to get here.
-      this._reportOAuthError('Invalid state. Received a tab event but did not expect it.', 'popup_error');
-      this._removeTabHandlers();
+      this._reportOAuthError(e.message, e.code);
       return;
     }
-    if (_popupTabInfo.id !== tabId) {
-      // not our popup.
-      return;
-    }
-    const { url } = changeInfo;
-    if (!url || !url.includes(this.settings.redirectUri)) {
-      return;
-    }
-    this._handlingPopupResponse = true;
-    chrome.tabs.remove(tabId);
-    this._processPopupResponseUrl(url);
-  }
-
-  /**
-   * A handler for a tab close handler.
-   * It clean-up tab info and removes tab listeners when a tab created by the extension is closed.
-   * 
-   * @param {number} tabId 
-   * @returns {void}
-   * @private
-   */
-  _tabClosedHandler(tabId) {
-    const { _popupTabInfo } = this;
-    if (!_popupTabInfo || _popupTabInfo.id !== tabId) {
-      return;
-    }
-    this._removeTabHandlers();
-    this._popupTabInfo = undefined;
-    if (this._handlingPopupResponse) {
-      return;
-    }
-    this._reportOAuthError('No response has been recorded.', 'no_response');
+    this._processPopupResponseUrl(redirect);
   }
 
   /**
@@ -636,6 +546,9 @@ export class OAuth2Proxy {
       cache: 'no-cache',
     });
     const authTokenUrl = urlInstance.toString();
+    if (!await ensureHostPermission(authTokenUrl)) {
+      throw new CodeError(`The permission to access ${urlInstance.origin} was denied.`, 'permission_denied');
+    }
     const response = await fetch(authTokenUrl, init);
     const { status } = response;
     if (status === 404) {
@@ -0,0 +1,13 @@
+/**
+ * Checks whether the value matches the pattern. The `*` in the pattern matches any sequence of characters.
+ * Other characters are matched literally.
+ *
+ * @param {string} value
+ * @param {string} pattern
+ * @param {boolean=} ignoreCase
+ * @returns {boolean}
+ */
+export function matchesPattern(value, pattern, ignoreCase=false) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, ignoreCase ? 'i' : '').test(value);
+}
@@ -23,6 +23,9 @@ export class PayloadSerializer {
     if (payload instanceof Blob) {
       return PayloadSerializer.stringifyBlob(payload);
     }
+    if (payload instanceof ArrayBuffer) {
+      return PayloadSerializer.stringifyArrayBuffer(payload);
+    }
     if (payload instanceof FormData) {
       try {
         const result = await PayloadSerializer.stringifyFormData(payload);
@@ -74,6 +77,21 @@ export class PayloadSerializer {
     return result;
   }
 
+  /**
+   * Stringifies an ArrayBuffer object.
+   *
+   * @param {ArrayBuffer | Uint8Array} buffer The buffer to serialize
+   * @returns {ISafePayload}
+   */
+  static stringifyArrayBuffer(buffer) {
+    const view = new Uint8Array(buffer);
+    const result = /** @type ISafePayload */ ({
+      type: 'arraybuffer',
+      data: [...view],
+    });
+    return result;
+  }
+
   /**
    * Transforms the FormData object to a serialized object describing the data.
    *
@@ -143,6 +161,7 @@ export class PayloadSerializer {
       case 'file': return PayloadSerializer.deserializeFile(payload);
       case 'blob': return PayloadSerializer.deserializeBlob(payload);
       case 'formdata': return PayloadSerializer.deserializeFormData(/** @type IMultipartBody[] */ (payload.data));
+      case 'arraybuffer': return PayloadSerializer.deserializeArrayBuffer(payload);
       default: return undefined;
     }
   }
@@ -179,6 +198,18 @@ export class PayloadSerializer {
     return new Blob([buffer], { type: mime });
   }
 
+  /**
+   * Deserializes previously serialized ArrayBuffer object.
+   *
+   * @param {ISafePayload} payload The serialized payload.
+   * @returns {ArrayBuffer} Restored buffer value
+   */
+  static deserializeArrayBuffer(payload) {
+    const data = /** @type number[] */ (payload.data);
+    const { buffer } = new Uint8Array(data);
+    return buffer;
+  }
+
   /**
    * Deserializes FormData from API Client data model.
    *
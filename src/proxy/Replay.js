@@ -0,0 +1,110 @@
+import { Headers as ProxyHeaders } from './Headers.js';
+import { createHarPostData } from './HarBuilder.js';
+
+/** @typedef {import('../types').IHarEntry} IHarEntry */
+/** @typedef {import('../types').IHarPostData} IHarPostData */
+/** @typedef {import('../types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
+
+/**
+ * Decodes the base64 string.
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * @param {string} url
+ * @returns {string} The URL without the fragment.
+ */
+function normalizeUrl(url) {
+  const index = url.indexOf('#');
+  return index === -1 ? url : url.substring(0, index);
+}
+
+/**
+ * @param {IHarPostData | undefined} postData
+ * @returns {string} The value used to compare the request bodies.
+ */
+function bodyKey(postData) {
+  if (!postData) {
+    return '';
+  }
+  if (Array.isArray(postData.params)) {
+    return JSON.stringify(postData.params.map(param => [param.name, param.value || '', param.fileName || '']));
+  }
+  return postData.text || '';
+}
+
+/**
+ * Finds the recorded entry for the request. The entry matches by the method, the URL, and the body.
+ * When the same request was recorded more than once, the entries are used in the recorded order
+ * and the last one is repeated.
+ *
+ * @param {IHarEntry[]} entries The recorded entries.
+ * @param {IApiConsoleHttpRequest} request
+ * @param {Set<number>} used The indexes of the entries already used in this replay session.
+ * @returns {Promise<number>} The index of the entry or `-1` when the request was not recorded.
+ */
+export async function findReplayEntry(entries, request, used) {
+  if (!Array.isArray(entries) || !entries.length) {
+    return -1;
+  }
+  const method = (request.method || 'GET').toUpperCase();
+  const url = normalizeUrl(request.url);
+  const contentType = new ProxyHeaders(request.headers).get('content-type') || '';
+  const body = bodyKey(await createHarPostData(request.payload, contentType));
+  let last = -1;
+  for (let i = 0; i < entries.length; i++) {
+    const { request: recorded } = entries[i];
+    if (!recorded || recorded.method.toUpperCase() !== method || normalizeUrl(recorded.url) !== url) {
+      continue;
+    }
+    if (bodyKey(recorded.postData) !== body) {
+      continue;
+    }
+    if (!used.has(i)) {
+      return i;
+    }
+    last = i;
+  }
+  return last;
+}
+
+/**
+ * Creates the response object from the recorded entry.
+ *
+ * @param {IHarEntry} entry
+ * @param {string} method The request method.
+ * @returns {Response}
+ */
+export function createReplayResponse(entry, method) {
+  const { response } = entry;
+  const status = response.status >= 200 && response.status <= 599 ? response.status : 200;
+  const hasBody = ![204, 205, 304].includes(status) && method.toUpperCase() !== 'HEAD';
+  const { content={ size: 0, mimeType: '' } } = response;
+  let body = null;
+  if (hasBody) {
+    body = content.encoding === 'base64' && content.text ? fromBase64(content.text) : (content.text || '');
+  }
+  const headers = new Headers();
+  (response.headers || []).forEach(({ name, value }) => {
+    try {
+      headers.append(name, value);
+    } catch (e) {
+      // the recorded header is not valid in the response object.
+    }
+  });
+  return new Response(body, {
+    status,
+    statusText: response.statusText || '',
+    headers,
+  });
+}
@@ -0,0 +1,263 @@
+import { Headers as ProxyHeaders } from './Headers.js';
+
+/** @typedef {import('../types').IApiConsoleRedirect} IApiConsoleRedirect */
+/** @typedef {import('../types').IRequestObserverTimestamps} IRequestObserverTimestamps */
+
+/**
+ * The list of web request ids that are already observed by an observer.
+ * This way two requests made to the same URL at the same time are not mixed.
+ *
+ * @type {Set<string>}
+ */
+const claimedRequests = new Set();
+
+/**
+ * Removes the fragment from the URL as it is never part of the observed request.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  try {
+    const parser = new URL(url);
+    parser.hash = '';
+    return parser.toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Reads the status message from the HTTP status line.
+ *
+ * @param {string=} statusLine For example `HTTP/1.1 301 Moved Permanently`.
+ * @returns {string}
+ */
+function readStatusText(statusLine) {
+  if (!statusLine) {
+    return '';
+  }
+  const parts = statusLine.split(' ');
+  return parts.slice(2).join(' ');
+}
+
+/**
+ * Translates the web request headers to the headers string.
+ *
+ * @param {chrome.webRequest.HttpHeader[]=} headers
+ * @returns {ProxyHeaders}
+ */
+function readHeaders(headers) {
+  const result = new ProxyHeaders();
+  if (!Array.isArray(headers)) {
+    return result;
+  }
+  headers.forEach((header) => {
+    result.append(header.name, header.value || '');
+  });
+  return result;
+}
+
+/**
+ * Observes the network events of a single request made by the extension
+ * with the `chrome.webRequest` API.
+ *
+ * The `fetch()` API does not give any access to the redirects. This class
+ * recognizes the request made by the extension by its URL and method,
+ * and collects the information the `fetch()` does not expose.
+ */
+export class RequestObserver {
+  /**
+   * @param {string} url The URL of the observed request.
+   * @param {string=} method The HTTP method of the observed request.
+   */
+  constructor(url, method='GET') {
+    /** @type string */
+    this.url = normalizeUrl(url);
+    /** @type string */
+    this.method = method.toUpperCase();
+    /**
+     * The id of the observed web request, when recognized.
+     * @type string | undefined
+     */
+    this.requestId = undefined;
+    /**
+     * The list of redirects of the observed request.
+     * @type IApiConsoleRedirect[]
+     */
+    this.redirects = [];
+    /**
+     * The last headers received for the request. When the `fetch()` does not
+     * follow redirects, this has the redirect response.
+     * @type {{ status: number, statusText: string, headers: ProxyHeaders } | undefined}
+     */
+    this.lastResponse = undefined;
+    /**
+     * The timestamps of the network events of the request.
+     * When the request was redirected, this has the values for the final request, 
+     * except for the `start` which is the very first request.
+     * @type IRequestObserverTimestamps
+     */
+    this.timestamps = {};
+    /**
+     * The size of the request headers, as sent by the browser.
+     * @type number | undefined
+     */
+    this.requestHeadersSize = undefined;
+    this._beforeRequestHandler = this._beforeRequestHandler.bind(this);
+    this._headersReceivedHandler = this._headersReceivedHandler.bind(this);
+    this._beforeRedirectHandler = this._beforeRedirectHandler.bind(this);
+    this._sendHeadersHandler = this._sendHeadersHandler.bind(this);
+    this._responseStartedHandler = this._responseStartedHandler.bind(this);
+    this._completedHandler = this._completedHandler.bind(this);
+  }
+
+  /**
+   * @returns {boolean} Whether the web request API is available to the extension.
+   */
+  get supported() {
+    return typeof chrome !== 'undefined' && !!chrome.webRequest;
+  }
+
+  /**
+   * Starts observing the network events.
+   * This must be called before the request is made.
+   * @returns {void}
+   */
+  observe() {
+    if (!this.supported) {
+      return;
+    }
+    // requests made by the extension's service worker are not associated with any tab.
+    const filter = /** @type chrome.webRequest.RequestFilter */ ({ urls: ['<all_urls>'], tabId: -1 });
+    chrome.webRequest.onBeforeRequest.addListener(this._beforeRequestHandler, filter);
+    chrome.webRequest.onHeadersReceived.addListener(this._headersReceivedHandler, filter, ['responseHeaders']);
+    chrome.webRequest.onBeforeRedirect.addListener(this._beforeRedirectHandler, filter, ['responseHeaders']);
+    chrome.webRequest.onSendHeaders.addListener(this._sendHeadersHandler, filter, ['requestHeaders']);
+    chrome.webRequest.onResponseStarted.addListener(this._responseStartedHandler, filter);
+    chrome.webRequest.onCompleted.addListener(this._completedHandler, filter);
+  }
+
+  /**
+   * Stops observing the network events.
+   * @returns {void}
+   */
+  disconnect() {
+    if (!this.supported) {
+      return;
+    }
+    chrome.webRequest.onBeforeRequest.removeListener(this._beforeRequestHandler);
+    chrome.webRequest.onHeadersReceived.removeListener(this._headersReceivedHandler);
+    chrome.webRequest.onBeforeRedirect.removeListener(this._beforeRedirectHandler);
+    chrome.webRequest.onSendHeaders.removeListener(this._sendHeadersHandler);
+    chrome.webRequest.onResponseStarted.removeListener(this._responseStartedHandler);
+    chrome.webRequest.onCompleted.removeListener(this._completedHandler);
+    if (this.requestId) {
+      claimedRequests.delete(this.requestId);
+    }
+  }
+
+  /**
+   * @param {chrome.webRequest.ResourceRequest & { initiator?: string }} details
+   * @returns {boolean} True when the event is for the observed request.
+   * @protected
+   */
+  _isObserved(details) {
+    return !!this.requestId && details.requestId === this.requestId;
+  }
+
+  /**
+   * @param {chrome.webRequest.WebRequestBodyDetails} details
+   * @returns {void}
+   * @protected
+   */
+  _beforeRequestHandler(details) {
+    if (this.requestId || claimedRequests.has(details.requestId)) {
+      return;
+    }
+    if (details.initiator && details.initiator !== location.origin) {
+      return;
+    }
+    if (details.method !== this.method || details.url !== this.url) {
+      return;
+    }
+    this.requestId = details.requestId;
+    claimedRequests.add(details.requestId);
+    this.timestamps.start = details.timeStamp;
+  }
+
+  /**
+   * @param {chrome.webRequest.WebResponseHeadersDetails} details
+   * @returns {void}
+   * @protected
+   */
+  _headersReceivedHandler(details) {
+    if (!this._isObserved(details)) {
+      return;
+    }
+    this.lastResponse = {
+      status: details.statusCode,
+      statusText: readStatusText(details.statusLine),
+      headers: readHeaders(details.responseHeaders),
+    };
+    this.timestamps.headersReceived = details.timeStamp;
+  }
+
+  /**
+   * @param {chrome.webRequest.WebRedirectionResponseDetails} details
+   * @returns {void}
+   * @protected
+   */
+  _beforeRedirectHandler(details) {
+    if (!this._isObserved(details)) {
+      return;
+    }
+    this.redirects.push({
+      url: details.url,
+      status: details.statusCode,
+      statusText: readStatusText(details.statusLine),
+      location: details.redirectUrl,
+      headers: readHeaders(details.responseHeaders).toString(),
+      startTime: details.timeStamp,
+    });
+  }
+
+  /**
+   * @param {chrome.webRequest.WebRequestHeadersDetails} details
+   * @returns {void}
+   * @protected
+   */
+  _sendHeadersHandler(details) {
+    if (!this._isObserved(details)) {
+      return;
+    }
+    this.timestamps.sendHeaders = details.timeStamp;
+    const headers = readHeaders(details.requestHeaders);
+    // the request line is not included in the headers list.
+    this.requestHeadersSize = headers.toString().length;
+  }
+
+  /**
+   * @param {chrome.webRequest.WebResponseCacheDetails} details
+   * @returns {void}
+   * @protected
+   */
+  _responseStartedHandler(details) {
+    if (!this._isObserved(details)) {
+      return;
+    }
+    this.timestamps.responseStarted = details.timeStamp;
+  }
+
+  /**
+   * @param {chrome.webRequest.WebResponseCacheDetails} details
+   * @returns {void}
+   * @protected
+   */
+  _completedHandler(details) {
+    if (!this._isObserved(details)) {
+      return;
+    }
+    this.timestamps.completed = details.timeStamp;
+  }
+}
@@ -0,0 +1,179 @@
+/** @typedef {import('../types').ISchedulerLimits} ISchedulerLimits */
+
+/**
+ * @typedef QueuedRequest
+ * @property {string} host
+ * @property {(release: () => void) => void} resolve
+ * @property {(reason: Error) => void} reject
+ * @property {AbortSignal=} signal
+ * @property {() => void=} onAbort
+ */
+
+/**
+ * @param {string} url
+ * @returns {string} The host of the URL, used to group the requests.
+ */
+export function schedulerHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Limits the number of the HTTP requests made at the same time, overall and per host.
+ * The requests over the limits wait in a queue and start in the order they were queued,
+ * except that a request to a host which is at its limit does not hold back requests to other hosts.
+ */
+export class RequestScheduler {
+  /**
+   * @param {ISchedulerLimits=} limits
+   */
+  constructor(limits={}) {
+    /**
+     * The maximum number of running requests. `0` means no limit.
+     */
+    this.maxConcurrent = 0;
+    /**
+     * The maximum number of running requests to a single host. `0` means no limit.
+     */
+    this.maxPerHost = 0;
+    /**
+     * The number of running requests.
+     */
+    this._running = 0;
+    /**
+     * The number of running requests per host.
+     * @type {Map<string, number>}
+     */
+    this._hosts = new Map();
+    /**
+     * @type {QueuedRequest[]}
+     */
+    this._queue = [];
+    this.setLimits(limits);
+  }
+
+  /**
+   * @returns {number} The number of requests waiting in the queue.
+   */
+  get queued() {
+    return this._queue.length;
+  }
+
+  /**
+   * @returns {number} The number of running requests.
+   */
+  get running() {
+    return this._running;
+  }
+
+  /**
+   * Changes the limits. Requests waiting in the queue start when the new limits allow it.
+   * 
+   * @param {ISchedulerLimits} limits
+   */
+  setLimits(limits) {
+    const { maxConcurrent, maxPerHost } = limits || {};
+    if (typeof maxConcurrent === 'number' && maxConcurrent >= 0) {
+      this.maxConcurrent = maxConcurrent;
+    }
+    if (typeof maxPerHost === 'number' && maxPerHost >= 0) {
+      this.maxPerHost = maxPerHost;
+    }
+    this._next();
+  }
+
+  /**
+   * Waits until the request to the host can start.
+   * 
+   * @param {string} url The URL of the request.
+   * @param {AbortSignal=} signal When aborted, the request leaves the queue and the promise is rejected.
+   * @returns {Promise<() => void>} The function to call when the request ends. It frees the slot for the next request.
+   */
+  acquire(url, signal) {
+    const host = schedulerHost(url);
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error('The request has been aborted.'));
+        return;
+      }
+      /** @type QueuedRequest */
+      const item = { host, resolve, reject, signal };
+      if (signal) {
+        item.onAbort = () => {
+          const index = this._queue.indexOf(item);
+          if (index !== -1) {
+            this._queue.splice(index, 1);
+            reject(new Error('The request has been aborted.'));
+          }
+        };
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+      this._queue.push(item);
+      this._next();
+    });
+  }
+
+  /**
+   * @param {string} host
+   * @returns {boolean} Whether a request to the host can start now.
+   */
+  _canStart(host) {
+    if (this.maxConcurrent && this._running >= this.maxConcurrent) {
+      return false;
+    }
+    if (this.maxPerHost && (this._hosts.get(host) || 0) >= this.maxPerHost) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Takes a slot for the request.
+   * 
+   * @param {string} host
+   * @returns {() => void} The function that frees the slot. Calling it more than once has no effect.
+   */
+  _start(host) {
+    this._running += 1;
+    this._hosts.set(host, (this._hosts.get(host) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this._running -= 1;
+      const count = (this._hosts.get(host) || 1) - 1;
+      if (count) {
+        this._hosts.set(host, count);
+      } else {
+        this._hosts.delete(host);
+      }
+      this._next();
+    };
+  }
+
+  /**
+   * Starts the queued requests that fit in the limits.
+   */
+  _next() {
+    for (let i = 0; i < this._queue.length;) {
+      if (this.maxConcurrent && this._running >= this.maxConcurrent) {
+        return;
+      }
+      const item = this._queue[i];
+      if (!this._canStart(item.host)) {
+        i += 1;
+        continue;
+      }
+      this._queue.splice(i, 1);
+      if (item.signal && item.onAbort) {
+        item.signal.removeEventListener('abort', item.onAbort);
+      }
+      item.resolve(this._start(item.host));
+    }
+  }
+}
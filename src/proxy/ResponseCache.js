@@ -0,0 +1,291 @@
+import { Headers as ProxyHeaders } from './Headers.js';
+
+/** @typedef {import('../types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
+/** @typedef {import('../types').ICachedResponse} ICachedResponse */
+/** @typedef {import('../types').CredentialsMode} CredentialsMode */
+
+/**
+ * The prefix of the names of the caches. The name ends with the origin of the API Console.
+ */
+const cachePrefix = 'responses:';
+
+/**
+ * The header added to the stored response with the time when it was stored or revalidated.
+ */
+const storedAtHeader = 'x-api-console-stored-at';
+
+/**
+ * The statuses which responses can be stored without the explicit freshness information.
+ */
+const heuristicStatuses = [200, 203, 204, 300, 301, 404, 405, 410, 414, 501];
+
+/**
+ * The headers of the `304` response that do not update the stored response.
+ */
+const ignoredUpdateHeaders = ['content-length', 'content-encoding', 'transfer-encoding'];
+
+/**
+ * The request headers the browser removes from the `Request` used as the cache key.
+ * A response that varies on one of these would match a request with any value of the header.
+ */
+const forbiddenKeyHeaders = [
+  'accept-charset', 'accept-encoding', 'access-control-request-headers', 'access-control-request-method',
+  'connection', 'content-length', 'cookie', 'cookie2', 'date', 'dnt', 'expect', 'host', 'keep-alive',
+  'origin', 'referer', 'set-cookie', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'via',
+];
+
+/**
+ * Parses the `cache-control` header value.
+ * 
+ * @param {string | null | undefined} value
+ * @returns {Record<string, string | true>} The directives, lowercase, with the values when set.
+ */
+export function parseCacheControl(value) {
+  /** @type Record<string, string | true> */
+  const result = {};
+  if (!value) {
+    return result;
+  }
+  value.split(',').forEach((part) => {
+    const [name, ...rest] = part.split('=');
+    const directive = name.trim().toLowerCase();
+    if (!directive) {
+      return;
+    }
+    const directiveValue = rest.join('=').trim().replace(/^"|"$/g, '');
+    result[directive] = directiveValue || true;
+  });
+  return result;
+}
+
+/**
+ * @param {Headers} headers The response headers.
+ * @param {number} status The response status.
+ * @returns {number} The time in milliseconds the response is fresh after it was received.
+ */
+export function freshnessLifetime(headers, status) {
+  const directives = parseCacheControl(headers.get('cache-control'));
+  const maxAge = Number(directives['max-age']);
+  if (directives['max-age'] !== undefined && Number.isFinite(maxAge)) {
+    return Math.max(maxAge, 0) * 1000;
+  }
+  const date = Date.parse(headers.get('date') || '');
+  const expires = headers.get('expires');
+  if (expires !== null) {
+    const expiresTime = Date.parse(expires);
+    if (Number.isNaN(expiresTime) || Number.isNaN(date)) {
+      return 0;
+    }
+    return Math.max(expiresTime - date, 0);
+  }
+  const lastModified = Date.parse(headers.get('last-modified') || '');
+  if (heuristicStatuses.includes(status) && !Number.isNaN(date) && !Number.isNaN(lastModified)) {
+    // 10% of the time since the last modification, as suggested by RFC 9111.
+    return Math.max((date - lastModified) / 10, 0);
+  }
+  return 0;
+}
+
+/**
+ * @param {IApiConsoleHttpRequest} request
+ * @param {CredentialsMode} credentials The credentials mode used with the request.
+ * @returns {boolean} Whether the response to the request can be read from or stored in the cache.
+ */
+export function isCacheableRequest(request, credentials) {
+  const { method='GET', payload, headers, auth } = request;
+  if (method.toUpperCase() !== 'GET' || payload) {
+    return false;
+  }
+  const parser = new ProxyHeaders(headers);
+  if (auth || credentials === 'include' || parser.has('authorization') || parser.has('cookie')) {
+    // the response depends on the user's credentials which are not a part of the cache key.
+    return false;
+  }
+  if (hasHeaderOutsideKey(parser)) {
+    // the stored response could be served for a different value of the header.
+    return false;
+  }
+  if (parser.has('if-none-match') || parser.has('if-modified-since') || parser.has('range')) {
+    // the API Console makes its own conditional or partial request.
+    return false;
+  }
+  const directives = parseCacheControl(parser.get('cache-control'));
+  return !directives['no-store'];
+}
+
+/**
+ * @param {ProxyHeaders} headers The request headers.
+ * @returns {boolean} Whether the request has a header which is not a part of the cache key, so the cache can't match the `vary` header against it.
+ */
+function hasHeaderOutsideKey(headers) {
+  let result = false;
+  headers.forEach((value, name) => {
+    const lower = name.toLowerCase();
+    if (forbiddenKeyHeaders.includes(lower) || lower.startsWith('proxy-') || lower.startsWith('sec-')) {
+      result = true;
+      return;
+    }
+    try {
+      new Headers().append(name, value);
+    } catch (e) {
+      // the invalid values are not added to the key.
+      result = true;
+    }
+  });
+  return result;
+}
+
+/**
+ * @param {IApiConsoleHttpRequest} request
+ * @returns {boolean} Whether the request asks to validate the stored response with the server.
+ */
+function requiresValidation(request) {
+  const headers = new ProxyHeaders(request.headers);
+  const directives = parseCacheControl(headers.get('cache-control'));
+  if (directives['no-cache'] || directives['max-age'] === '0') {
+    return true;
+  }
+  return (headers.get('pragma') || '').toLowerCase().includes('no-cache');
+}
+
+/**
+ * @param {Response} rsp
+ * @returns {boolean} Whether the response can be stored in the cache.
+ */
+function isStorableResponse(rsp) {
+  if (rsp.type === 'opaqueredirect' || rsp.redirected || rsp.status === 206 || rsp.status < 200) {
+    return false;
+  }
+  const { headers } = rsp;
+  const directives = parseCacheControl(headers.get('cache-control'));
+  if (directives['no-store']) {
+    return false;
+  }
+  if ((headers.get('vary') || '').includes('*')) {
+    return false;
+  }
+  if (directives['max-age'] !== undefined || headers.has('expires')) {
+    return true;
+  }
+  return heuristicStatuses.includes(rsp.status) && (headers.has('etag') || headers.has('last-modified'));
+}
+
+/**
+ * @param {string} url
+ * @param {string | undefined} headers The request headers. The cache uses them to match the `vary` header of the stored response.
+ * @returns {Request} The key of the response in the cache.
+ */
+function cacheKey(url, headers) {
+  const init = new Headers();
+  new ProxyHeaders(headers).forEach((value, name) => {
+    try {
+      init.append(name, value);
+    } catch (e) {
+      // invalid header values are not used to match the responses.
+    }
+  });
+  return new Request(url, { headers: init });
+}
+
+/**
+ * @param {Response} rsp
+ * @param {BodyInit | null} body
+ * @param {Headers} headers
+ * @returns {Response} A copy of the response with the given body and headers.
+ */
+function copyResponse(rsp, body, headers) {
+  const nullBody = [204, 205, 304].includes(rsp.status);
+  return new Response(nullBody ? null : body, { status: rsp.status, statusText: rsp.statusText, headers });
+}
+
+/**
+ * The HTTP cache of the responses to the requests made by the API Console of an origin.
+ * The responses are stored in the Cache API, which matches the stored responses by the URL and the `vary` header.
+ * Stale responses are revalidated with the server using the `if-none-match` and `if-modified-since` headers.
+ */
+export class ResponseCache {
+  /**
+   * @param {string} origin The origin of the API Console.
+   */
+  constructor(origin) {
+    this.name = `${cachePrefix}${origin}`;
+  }
+
+  /**
+   * Removes the cache of the origin.
+   * 
+   * @param {string} origin The origin of the API Console.
+   * @returns {Promise<void>}
+   */
+  static async clear(origin) {
+    await caches.delete(`${cachePrefix}${origin}`);
+  }
+
+  /**
+   * Reads the stored response for the request.
+   * 
+   * @param {IApiConsoleHttpRequest} request
+   * @returns {Promise<ICachedResponse | undefined>} The stored response, when any.
+   */
+  async lookup(request) {
+    const cache = await caches.open(this.name);
+    const stored = await cache.match(cacheKey(request.url, request.headers));
+    if (!stored) {
+      return undefined;
+    }
+    const headers = new Headers(stored.headers);
+    const storedAt = Number(headers.get(storedAtHeader)) || 0;
+    headers.delete(storedAtHeader);
+    const age = (Number(headers.get('age')) || 0) * 1000 + Date.now() - storedAt;
+    const directives = parseCacheControl(headers.get('cache-control'));
+    const fresh = !directives['no-cache'] && !requiresValidation(request) && age < freshnessLifetime(headers, stored.status);
+    return {
+      response: copyResponse(stored, stored.body, headers),
+      fresh,
+      etag: headers.get('etag') || undefined,
+      lastModified: headers.get('last-modified') || undefined,
+    };
+  }
+
+  /**
+   * Stores the response when its headers allow it.
+   * 
+   * @param {IApiConsoleHttpRequest} request
+   * @param {Response} rsp The response. It is cloned so the body can be read by the caller.
+   * @returns {Promise<boolean>} Whether the response was stored.
+   */
+  async store(request, rsp) {
+    if (!isStorableResponse(rsp)) {
+      return false;
+    }
+    const copy = rsp.clone();
+    const headers = new Headers(copy.headers);
+    headers.set(storedAtHeader, String(Date.now()));
+    const cache = await caches.open(this.name);
+    await cache.put(cacheKey(request.url, request.headers), copyResponse(copy, copy.body, headers));
+    return true;
+  }
+
+  /**
+   * Updates the stored response with the headers of the `304` response and returns the stored response.
+   * 
+   * @param {IApiConsoleHttpRequest} request
+   * @param {Response} cached The stored response returned by the `lookup()`.
+   * @param {Response} notModified The `304` response.
+   * @returns {Promise<Response>} The stored response with the updated headers.
+   */
+  async revalidate(request, cached, notModified) {
+    const body = await cached.arrayBuffer();
+    const headers = new Headers(cached.headers);
+    notModified.headers.forEach((value, name) => {
+      if (!ignoredUpdateHeaders.includes(name)) {
+        headers.set(name, value);
+      }
+    });
+    const stored = new Headers(headers);
+    stored.set(storedAtHeader, String(Date.now()));
+    const cache = await caches.open(this.name);
+    await cache.put(cacheKey(request.url, request.headers), copyResponse(cached, body, stored));
+    return copyResponse(cached, body, headers);
+  }
+}
@@ -0,0 +1,75 @@
+/** @typedef {import('../types').IRetryPolicy} IRetryPolicy */
+
+/**
+ * The response statuses retried when the policy does not define them.
+ */
+export const defaultRetryStatuses = Object.freeze([408, 429, 502, 503, 504]);
+
+/**
+ * Validates the retry policy set on the request and fills the missing values.
+ *
+ * @param {IRetryPolicy=} policy The retry policy set on the request.
+ * @returns {Required<IRetryPolicy> | undefined} The normalized policy or `undefined` when the request should not be retried.
+ */
+export function normalizeRetryPolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return undefined;
+  }
+  const maxAttempts = Number(policy.maxAttempts);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 2) {
+    return undefined;
+  }
+  const statuses = Array.isArray(policy.statuses) ? policy.statuses.filter(status => Number.isInteger(status)) : [...defaultRetryStatuses];
+  const delay = typeof policy.delay === 'number' && policy.delay >= 0 ? policy.delay : 1000;
+  const maxDelay = typeof policy.maxDelay === 'number' && policy.maxDelay >= 0 ? policy.maxDelay : 30000;
+  const factor = typeof policy.factor === 'number' && policy.factor >= 1 ? policy.factor : 2;
+  return {
+    maxAttempts,
+    statuses,
+    networkErrors: policy.networkErrors !== false,
+    delay,
+    maxDelay,
+    factor,
+    respectRetryAfter: policy.respectRetryAfter !== false,
+  };
+}
+
+/**
+ * Reads the value of the `retry-after` header.
+ *
+ * @param {string | undefined} value Either the number of seconds or an HTTP date.
+ * @param {number=} now The current time, used with the HTTP date.
+ * @returns {number | undefined} The delay in milliseconds, if the value is valid.
+ */
+export function parseRetryAfter(value, now=Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed) * 1000;
+  }
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return undefined;
+  }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Computes the delay before the next attempt.
+ * The `retry-after` value has the priority over the exponential backoff and it is honoured in full.
+ * When it is above the `maxDelay` the request is not retried. The exponential backoff is capped by the `maxDelay`.
+ *
+ * @param {Required<IRetryPolicy>} policy The normalized retry policy.
+ * @param {number} attempt The number of the attempt that failed, starting from 1.
+ * @param {string=} retryAfter The value of the `retry-after` header of the failed attempt.
+ * @returns {number | undefined} The delay in milliseconds or `undefined` when the request should not be retried.
+ */
+export function retryDelay(policy, attempt, retryAfter) {
+  const fromHeader = policy.respectRetryAfter ? parseRetryAfter(retryAfter) : undefined;
+  if (typeof fromHeader === 'number') {
+    return fromHeader > policy.maxDelay ? undefined : Math.round(fromHeader);
+  }
+  return Math.min(Math.round(policy.delay * (policy.factor ** (attempt - 1))), policy.maxDelay);
+}
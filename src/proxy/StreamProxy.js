@@ -0,0 +1,121 @@
+import { HttpProxy } from './HttpProxy.js';
+import { PayloadSerializer } from './PayloadSerializer.js';
+
+/** @typedef {import('../types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
+/** @typedef {import('../types').IHttpProxyOptions} IHttpProxyOptions */
+/** @typedef {import('../types').IStreamHandlers} IStreamHandlers */
+/** @typedef {import('../types').IResponseBody} IResponseBody */
+/** @typedef {import('../types').ResponseType} ResponseType */
+
+/**
+ * Proxies an HTTP request and reports the response body in chunks, as it is received.
+ *
+ * This is used with responses that never finish (like `text/event-stream`) or
+ * take long time to complete. The final response has an empty body.
+ */
+export class StreamProxy extends HttpProxy {
+  /**
+   * @param {IApiConsoleHttpRequest} request The request to proxy.
+   * @param {IStreamHandlers} handlers The callbacks called when reading the response.
+   * @param {IHttpProxyOptions=} options The extension's options for the request.
+   */
+  constructor(request, handlers, options={}) {
+    super(request, options);
+    /** @type IStreamHandlers */
+    this.handlers = handlers;
+  }
+
+  /**
+   * Streams do not use the default timeout as they may never finish.
+   * Only the timeout set on the request is used.
+   *
+   * @returns {number}
+   */
+  get timeout() {
+    const { timeout } = this.request;
+    if (typeof timeout === 'number' && timeout >= 0) {
+      return timeout;
+    }
+    return 0;
+  }
+
+  /**
+   * Streams are not retried as the chunks of the response could have been already reported.
+   *
+   * @returns {undefined}
+   */
+  get retryPolicy() {
+    return undefined;
+  }
+
+  /**
+   * Streams are not cached as the response would have to be stored before the first chunk is reported.
+   *
+   * @returns {undefined}
+   */
+  get cache() {
+    return undefined;
+  }
+
+  /**
+   * The Hawk `server-authorization` header is not verified as it covers the whole body
+   * which would have to be read before the first chunk is reported.
+   *
+   * @returns {Promise<undefined>}
+   * @protected
+   */
+  async _verifyResponse() {
+    return undefined;
+  }
+
+  /**
+   * Reads the response body in chunks and reports them to the handlers.
+   *
+   * @param {Response} rsp
+   * @param {ResponseType} responseType
+   * @returns {Promise<IResponseBody>}
+   * @protected
+   */
+  async _readBody(rsp, responseType) {
+    this.handlers.response({
+      response: '',
+      responseText: '',
+      responseType,
+      responseURL: rsp.url,
+      status: rsp.status,
+      statusText: rsp.statusText,
+      readyState: 3,
+      headers: this._readResponseHeaders(rsp).toString(),
+    });
+    let size = 0;
+    if (!rsp.body) {
+      return { body: '', text: '', size };
+    }
+    const isText = responseType === 'text';
+    const decoder = new TextDecoder();
+    const reader = rsp.body.getReader();
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      size += value.byteLength;
+      if (isText) {
+        const text = decoder.decode(value, { stream: true });
+        if (text) {
+          this.handlers.chunk(text);
+        }
+      } else {
+        this.handlers.chunk(PayloadSerializer.stringifyArrayBuffer(value));
+      }
+    }
+    if (isText) {
+      const rest = decoder.decode();
+      if (rest) {
+        this.handlers.chunk(rest);
+      }
+    }
+    return { body: '', text: '', size };
+  }
+}
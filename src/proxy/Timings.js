@@ -0,0 +1,98 @@
+/** @typedef {import('../types').IRequestTimings} IRequestTimings */
+/** @typedef {import('../types').IRequestObserverTimestamps} IRequestObserverTimestamps */
+
+/**
+ * The service worker has a limited buffer for the resource timing entries.
+ * When it is full, new entries are not recorded so it is cleared.
+ */
+if (typeof performance !== 'undefined' && typeof performance.addEventListener === 'function') {
+  performance.addEventListener('resourcetimingbufferfull', () => {
+    performance.clearResourceTimings();
+  });
+}
+
+/**
+ * Rounds the time value to 3 decimal places.
+ * Negative values are normalized to `-1` which means that the value is not available.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+    return -1;
+  }
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Finds the resource timing entry for a request made by the `fetch()`.
+ *
+ * @param {string} url The final URL of the request.
+ * @param {number} since The value of `performance.now()` before the request was made.
+ * @returns {PerformanceResourceTiming | undefined} The most recent entry for the URL, if any.
+ */
+export function findResourceEntry(url, since) {
+  if (typeof performance === 'undefined' || !url) {
+    return undefined;
+  }
+  const entries = /** @type PerformanceResourceTiming[] */ (performance.getEntriesByName(url, 'resource'));
+  const matching = entries.filter(entry => entry.initiatorType === 'fetch' && entry.startTime >= since);
+  return matching[matching.length - 1];
+}
+
+/**
+ * Computes the request timings from the resource timing entry.
+ *
+ * Note, the browser only exposes the detailed values when the response allows it with the
+ * `timing-allow-origin` header. When the values are not available this returns `undefined`.
+ *
+ * @param {PerformanceResourceTiming | undefined} entry
+ * @returns {IRequestTimings | undefined}
+ */
+export function resourceTimings(entry) {
+  if (!entry || !entry.requestStart || !entry.responseStart) {
+    return undefined;
+  }
+  const dns = entry.domainLookupEnd - entry.domainLookupStart;
+  const connect = entry.connectEnd - entry.connectStart;
+  const ssl = entry.secureConnectionStart > 0 ? entry.connectEnd - entry.secureConnectionStart : -1;
+  const blocked = entry.requestStart - entry.startTime - dns - connect;
+  return {
+    blocked: round(blocked),
+    dns: round(dns),
+    connect: round(connect),
+    ssl: round(ssl),
+    // The Resource Timing does not expose when the request body was sent.
+    send: -1,
+    wait: round(entry.responseStart - entry.requestStart),
+    receive: round(entry.responseEnd - entry.responseStart),
+  };
+}
+
+/**
+ * Computes the request timings from the timestamps of the `chrome.webRequest` events.
+ * This is less accurate than the resource timing. The connection phases are not
+ * reported separately and are included in the `blocked` time, and the time of sending the body is included in the `wait` time.
+ *
+ * @param {IRequestObserverTimestamps} timestamps
+ * @param {number} endTime The timestamp when the response body was read.
+ * @returns {IRequestTimings | undefined}
+ */
+export function observerTimings(timestamps, endTime) {
+  const { start, sendHeaders, headersReceived, completed } = timestamps;
+  if (!start || !sendHeaders || !headersReceived) {
+    return undefined;
+  }
+  const end = completed || endTime;
+  return {
+    blocked: round(sendHeaders - start),
+    dns: -1,
+    connect: -1,
+    ssl: -1,
+    // The headers received event follows the whole upload and the server's processing.
+    send: -1,
+    wait: round(headersReceived - sendHeaders),
+    receive: round(end - headersReceived),
+  };
+}
@@ -0,0 +1,203 @@
+import { PayloadSerializer } from './PayloadSerializer.js';
+
+/** @typedef {import('../types').IApiConsoleWebSocketRequest} IApiConsoleWebSocketRequest */
+/** @typedef {import('../types').IWebSocketHandlers} IWebSocketHandlers */
+/** @typedef {import('../types').ISafePayload} ISafePayload */
+
+/**
+ * Manages a WebSocket connection owned by the extension on behalf of API Console.
+ *
+ * The connection is made from the extension's origin so it is not affected by the
+ * servers that reject the `Origin` of the page.
+ * Binary messages are reported as serialized `arraybuffer` payloads.
+ */
+export class WebSocketProxy {
+  /**
+   * @param {IApiConsoleWebSocketRequest} request The connection configuration.
+   * @param {IWebSocketHandlers} handlers The callbacks called with the socket events.
+   */
+  constructor(request, handlers) {
+    /** @type IApiConsoleWebSocketRequest */
+    this.request = request;
+    /** @type IWebSocketHandlers */
+    this.handlers = handlers;
+    /** @type WebSocket | undefined */
+    this.socket = undefined;
+    /**
+     * The pending operations. The messages are sent and the connection is closed in the order
+     * requested by the page, as the binary messages are deserialized asynchronously.
+     * @type Promise<void>
+     */
+    this._queue = Promise.resolve();
+    /**
+     * Resolves the queue operation that waits for the connection to open.
+     * @type {(() => void) | undefined}
+     */
+    this._connecting = undefined;
+    this._openHandler = this._openHandler.bind(this);
+    this._messageHandler = this._messageHandler.bind(this);
+    this._closeHandler = this._closeHandler.bind(this);
+    this._errorHandler = this._errorHandler.bind(this);
+  }
+
+  /**
+   * Opens the connection.
+   * @returns {void}
+   */
+  connect() {
+    const { url, protocols } = this.request;
+    let socket;
+    try {
+      socket = new WebSocket(url, protocols);
+    } catch (e) {
+      this.handlers.error(e.message);
+      this.handlers.close(1006, '', false);
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    socket.addEventListener('open', this._openHandler);
+    socket.addEventListener('message', this._messageHandler);
+    socket.addEventListener('close', this._closeHandler);
+    socket.addEventListener('error', this._errorHandler);
+    this.socket = socket;
+    // the messages sent before the connection is open wait for the open or the close event.
+    this._enqueue(() => new Promise((resolve) => {
+      this._connecting = resolve;
+    }));
+  }
+
+  /**
+   * Releases the operations queued while the connection was opening.
+   * @returns {void}
+   * @protected
+   */
+  _connected() {
+    if (this._connecting) {
+      this._connecting();
+      this._connecting = undefined;
+    }
+  }
+
+  /**
+   * Sends a message to the server, after the previously queued messages.
+   *
+   * @param {string | ISafePayload} data The message. Binary messages are serialized payloads.
+   * @returns {Promise<void>} Resolved when the message was sent or the error was reported.
+   */
+  send(data) {
+    return this._enqueue(() => this._send(data));
+  }
+
+  /**
+   * @param {string | ISafePayload} data
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _send(data) {
+    const { socket } = this;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      this.handlers.error('The WebSocket connection is not open.');
+      return;
+    }
+    const message = await PayloadSerializer.deserialize(data);
+    if (message === undefined || message instanceof FormData) {
+      this.handlers.error('Unsupported message type.');
+      return;
+    }
+    socket.send(/** @type string | Blob | ArrayBuffer */ (message));
+  }
+
+  /**
+   * Closes the connection, after the queued messages are sent.
+   *
+   * @param {number=} code The close code.
+   * @param {string=} reason The close reason.
+   * @returns {Promise<void>}
+   */
+  close(code, reason) {
+    return this._enqueue(() => this._close(code, reason));
+  }
+
+  /**
+   * @param {number=} code
+   * @param {string=} reason
+   * @returns {void}
+   * @protected
+   */
+  _close(code, reason) {
+    const { socket } = this;
+    if (!socket || socket.readyState === WebSocket.CLOSING || socket.readyState === WebSocket.CLOSED) {
+      return;
+    }
+    try {
+      socket.close(code, reason);
+    } catch (e) {
+      // invalid code or reason.
+      this.handlers.error(e.message);
+      socket.close();
+    }
+  }
+
+  /**
+   * Runs the operation after the queued ones. The failures are reported with the `error` handler.
+   *
+   * @param {() => void | Promise<void>} fn
+   * @returns {Promise<void>}
+   * @protected
+   */
+  _enqueue(fn) {
+    const result = this._queue.then(fn).catch((e) => {
+      this.handlers.error(e.message);
+    });
+    this._queue = result;
+    return result;
+  }
+
+  /**
+   * @returns {void}
+   * @protected
+   */
+  _openHandler() {
+    const { protocol, extensions } = this.socket;
+    this.handlers.open(protocol, extensions);
+    this._connected();
+  }
+
+  /**
+   * @param {MessageEvent} e
+   * @returns {void}
+   * @protected
+   */
+  _messageHandler(e) {
+    const { data } = e;
+    if (typeof data === 'string') {
+      this.handlers.message(data);
+    } else {
+      this.handlers.message(PayloadSerializer.stringifyArrayBuffer(data));
+    }
+  }
+
+  /**
+   * @param {CloseEvent} e
+   * @returns {void}
+   * @protected
+   */
+  _closeHandler(e) {
+    const { socket } = this;
+    socket.removeEventListener('open', this._openHandler);
+    socket.removeEventListener('message', this._messageHandler);
+    socket.removeEventListener('close', this._closeHandler);
+    socket.removeEventListener('error', this._errorHandler);
+    this.handlers.close(e.code, e.reason, e.wasClean);
+    this._connected();
+  }
+
+  /**
+   * @returns {void}
+   * @protected
+   */
+  _errorHandler() {
+    // The error event carries no information about the error.
+    this.handlers.error('The WebSocket connection failed.');
+  }
+}
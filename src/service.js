@@ -1,42 +1,650 @@
 import { HttpProxy } from './proxy/HttpProxy.js';
+import { StreamProxy } from './proxy/StreamProxy.js';
+import { WebSocketProxy } from './proxy/WebSocketProxy.js';
 import { OAuth2Proxy } from './proxy/OAuth2Proxy.js';
+import { OAuth1Signer } from './proxy/OAuth1Signer.js';
+import { readSettings } from './store/Settings.js';
+import { addHistoryEntry, clearHistory, createHistoryEntry, isHistoryEnabled, queryHistory, setHistoryEnabled } from './store/History.js';
+import { addMockRule, clearMockRules, readActiveMockRules, readMocks, removeMockRule, setMocksEnabled } from './store/Mocks.js';
+import { addRecordingEntry, exportRecording, readRecording, startRecording, startReplay, stopRecording } from './store/Recordings.js';
+import { readSigningKey } from './store/SigningKeys.js';
+import { createHar, createHarEntry } from './proxy/HarBuilder.js';
+import { authorizeOrigin } from './approval/OriginAccess.js';
+import { RequestScheduler } from './proxy/RequestScheduler.js';
+import { ResponseCache } from './proxy/ResponseCache.js';
 
 /** @typedef {import('./types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
 /** @typedef {import('./types').IOAuth2Authorization} IOAuth2Authorization */
+/** @typedef {import('./types').IOAuth1Authorization} IOAuth1Authorization */
+/** @typedef {import('./types').IApiConsoleAbortRequest} IApiConsoleAbortRequest */
 /** @typedef {import('./types').IProxyMessageInternal} IProxyMessageInternal */
+/** @typedef {import('./types').IProxyStreamMessageInternal} IProxyStreamMessageInternal */
+/** @typedef {import('./types').IApiConsoleStreamMessage} IApiConsoleStreamMessage */
+/** @typedef {import('./types').IApiConsoleWebSocketMessage} IApiConsoleWebSocketMessage */
+/** @typedef {import('./types').IProxyWebSocketMessageInternal} IProxyWebSocketMessageInternal */
+/** @typedef {import('./types').IApiConsoleWebSocketRequest} IApiConsoleWebSocketRequest */
+/** @typedef {import('./types').IApiConsoleWebSocketSend} IApiConsoleWebSocketSend */
+/** @typedef {import('./types').IApiConsoleWebSocketClose} IApiConsoleWebSocketClose */
+/** @typedef {import('./types').IApiConsoleCommand} IApiConsoleCommand */
+/** @typedef {import('./types').IApiConsoleCommandResult} IApiConsoleCommandResult */
+/** @typedef {import('./types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('./types').IApiConsoleProxyError} IApiConsoleProxyError */
+/** @typedef {import('./types').IOriginAuthorization} IOriginAuthorization */
+/** @typedef {import('./types').ISigningKeyStore} ISigningKeyStore */
+
+/**
+ * A running HTTP request. The entry is added when the message is received,
+ * before the proxy is created, so the request can be aborted at any time.
+ * 
+ * @typedef {object} ActiveRequest
+ * @property {HttpProxy=} proxy The proxy, once it is created.
+ * @property {boolean} aborted Set when the request was aborted before the proxy was created.
+ */
+
+/**
+ * The list of currently running HTTP requests.
+ * Keys are created by the `requestKey()` function.
+ * 
+ * @type {Map<string, ActiveRequest>}
+ */
+const activeRequests = new Map();
+
+/**
+ * Limits the number of HTTP requests made at the same time by all pages.
+ * The limits are updated from the extension's settings with every request.
+ */
+const scheduler = new RequestScheduler();
+
+/**
+ * The indexes of the recorded entries used in the current replay session of an origin.
+ * Keys are the origins. The usage is reset when the replay starts.
+ * 
+ * @type {Map<string, Set<number>>}
+ */
+const replayUsage = new Map();
+
+/**
+ * Creates a key for the `activeRequests` map.
+ * The request ids are generated by the API Console so they are only unique within a tab.
+ * 
+ * @param {chrome.runtime.MessageSender | undefined} sender
+ * @param {string} id The request id.
+ * @returns {string}
+ */
+function requestKey(sender, id) {
+  const tabId = sender && sender.tab ? sender.tab.id : -1;
+  const frameId = sender && typeof sender.frameId === 'number' ? sender.frameId : 0;
+  return `${tabId}:${frameId}:${id}`;
+}
+
+/**
+ * Reads the origin of the page that sent the message.
+ * The origin is taken from the browser and not from the message so a page can only access its own data.
+ * 
+ * @param {chrome.runtime.MessageSender | undefined} sender
+ * @returns {string | undefined}
+ */
+function senderOrigin(sender) {
+  if (!sender) {
+    return undefined;
+  }
+  if (sender.origin && sender.origin !== 'null') {
+    return sender.origin;
+  }
+  if (sender.url) {
+    try {
+      const { origin } = new URL(sender.url);
+      return origin === 'null' ? undefined : origin;
+    } catch (e) {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * @param {string | undefined} origin
+ * @returns {IApiConsoleProxyError} The error reported to a page which origin is not allowed to use the extension.
+ */
+function originError(origin) {
+  return {
+    error: true,
+    code: 'origin_not_allowed',
+    message: `The origin ${origin || 'of the page'} is not allowed to use the API Console extension.`,
+  };
+}
+
+/**
+ * @returns {import('./types').IHarCreator} The creator of the HAR logs exported by the extension.
+ */
+function harCreator() {
+  const { name, version } = chrome.runtime.getManifest();
+  return { name, version };
+}
 
 class ApiConsoleService {
   /**
    * @param {(response?: any) => void} sendResponseFunction 
+   * @param {chrome.runtime.MessageSender=} sender The sender of the message.
    */
-  constructor(sendResponseFunction) {
+  constructor(sendResponseFunction, sender) {
     /** @type {(response?: any) => void} */
     this.sendResponse = sendResponseFunction;
+    /** @type {chrome.runtime.MessageSender | undefined} */
+    this.sender = sender;
   }
 
   /**
    * Handles a message from the content script.
    * @param {IProxyMessageInternal} message 
    */
-  handleRequest(message) {
+  async handleRequest(message) {
     if (!message || !message.payload) {
       return;
     }
+    if (message.payload === 'authorize') {
+      await this.handleAuthorize();
+      return;
+    }
+    // registered before any await so an abort message received in the meantime is not lost.
+    const key = message.payload === 'fetch' ? this.addActiveRequest(/** @type IApiConsoleHttpRequest */ (message.data)) : undefined;
+    // the content script checks the origin too, this covers the origins removed from the allowlist since then.
+    if (!await authorizeOrigin(senderOrigin(this.sender), false)) {
+      if (key) {
+        activeRequests.delete(key);
+      }
+      this.rejectRequest(message);
+      return;
+    }
     switch (message.payload) {
       case 'fetch': this.handleFetch(/** @type IApiConsoleHttpRequest */(message.data)); break;
       case 'oauth2': this.handleOAuth2(/** @type IOAuth2Authorization */ (message.data)); break;
+      case 'oauth1': this.handleOAuth1(/** @type IOAuth1Authorization */ (message.data)); break;
+      case 'abort': this.handleAbort(/** @type IApiConsoleAbortRequest */ (message.data)); break;
+      case 'command': this.handleCommand(/** @type IApiConsoleCommand */ (message.data)); break;
       default: this.reportError('Unknown payload');
     }
   }
 
+  /**
+   * Checks whether the sender's origin can use the extension.
+   * The user is asked to approve an origin that is not on the allowlist.
+   */
+  async handleAuthorize() {
+    const origin = senderOrigin(this.sender);
+    /** @type IOriginAuthorization */
+    const response = { allowed: await authorizeOrigin(origin) };
+    if (!response.allowed) {
+      response.error = originError(origin);
+    }
+    this.sendResponse(response);
+  }
+
+  /**
+   * Responds to a message from an origin that is not allowed to use the extension.
+   * The response has the shape the content script expects for the message.
+   * 
+   * @param {IProxyMessageInternal} message 
+   */
+  rejectRequest(message) {
+    const error = originError(senderOrigin(this.sender));
+    const data = /** @type any */ (message.data || {});
+    switch (message.payload) {
+      case 'fetch':
+        this.sendResponse({
+          id: data.id,
+          responseData: error,
+          stats: {
+            loadingTime: 0,
+            startTime: Date.now(),
+          },
+        });
+        break;
+      case 'command': this.sendResponse({ id: data.id, error }); break;
+      case 'oauth2': this.sendResponse({ ...error, state: data.state }); break;
+      default: this.sendResponse(error);
+    }
+  }
+
   /**
    * @param {IApiConsoleHttpRequest} data 
    */
   async handleFetch(data) {
-    const proxy = new HttpProxy(data);
-    const result = await proxy.execute();
-    result.id = data.id;
-    this.sendResponse(result);
+    const key = requestKey(this.sender, data.id);
+    const entry = activeRequests.get(key) || { aborted: false };
+    activeRequests.set(key, entry);
+    const startTime = Date.now();
+    try {
+      const settings = await readSettings();
+      scheduler.setLimits({
+        maxConcurrent: settings.maxConcurrentRequests,
+        maxPerHost: settings.maxConcurrentRequestsPerHost,
+      });
+      const proxy = new HttpProxy(data, { 
+        timeout: settings.timeout,
+        credentialsHosts: settings.credentialsHosts,
+        mockRules: await this._readMockRules(),
+        replay: await this._readReplay(),
+        scheduler,
+        cache: settings.responseCache ? this._responseCache() : undefined,
+        signingKeys: this._signingKeys(),
+      });
+      entry.proxy = proxy;
+      if (entry.aborted) {
+        this.sendResponse(this._errorResponse(data.id, startTime, 'aborted', 'The request has been aborted.'));
+        return;
+      }
+      const result = await proxy.execute();
+      result.id = data.id;
+      // recorded before responding so the history has the request when the API Console receives the response.
+      await this._recordHistory(data, result, settings.historyLimit);
+      await this._recordSession(data, result);
+      this.sendResponse(result);
+    } catch (e) {
+      this.sendResponse(this._errorResponse(data.id, startTime, 'proxy_error', e.message || 'Unable to proxy the request.'));
+    } finally {
+      if (activeRequests.get(key) === entry) {
+        activeRequests.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Adds the entry of a request that is about to be proxied.
+   * 
+   * @param {IApiConsoleHttpRequest} data 
+   * @returns {string} The key of the entry.
+   */
+  addActiveRequest(data) {
+    const key = requestKey(this.sender, data && data.id);
+    activeRequests.set(key, { aborted: false });
+    return key;
+  }
+
+  /**
+   * Creates the response of a request that failed before the proxy made it.
+   * 
+   * @param {string} id The request id.
+   * @param {number} startTime
+   * @param {string} code
+   * @param {string} message
+   * @returns {IApiConsoleHttpResponse}
+   */
+  _errorResponse(id, startTime, code, message) {
+    return /** @type IApiConsoleHttpResponse */ ({
+      id,
+      responseData: {
+        error: true,
+        code,
+        message,
+      },
+      stats: {
+        loadingTime: Date.now() - startTime,
+        startTime,
+      },
+    });
+  }
+
+
+  /**
+   * @returns {ResponseCache | undefined} The response cache of the sender's origin.
+   */
+  _responseCache() {
+    const origin = senderOrigin(this.sender);
+    return origin ? new ResponseCache(origin) : undefined;
+  }
+
+  /**
+   * @returns {ISigningKeyStore | undefined} The keys imported for the sender's origin.
+   */
+  _signingKeys() {
+    const origin = senderOrigin(this.sender);
+    return origin ? { read: keyId => readSigningKey(origin, keyId) } : undefined;
+  }
+
+  /**
+   * @returns {Promise<import('./types').IMockRule[]>} The mock rules of the sender's origin, when the mock mode is on.
+   */
+  async _readMockRules() {
+    const origin = senderOrigin(this.sender);
+    if (!origin) {
+      return [];
+    }
+    try {
+      return await readActiveMockRules(origin);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * @returns {Promise<import('./types').IReplayOptions | undefined>} The replay options when the sender's origin is in the replay mode.
+   */
+  async _readReplay() {
+    const origin = senderOrigin(this.sender);
+    if (!origin) {
+      return undefined;
+    }
+    try {
+      const recording = await readRecording(origin);
+      if (recording.mode !== 'replay') {
+        return undefined;
+      }
+      if (!replayUsage.has(origin)) {
+        replayUsage.set(origin, new Set());
+      }
+      return { entries: recording.entries, strict: recording.strict, used: replayUsage.get(origin) };
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Adds the request to the recording, when the sender's origin is recording.
+   * Mocked and replayed responses are not recorded.
+   * 
+   * @param {IApiConsoleHttpRequest} request
+   * @param {IApiConsoleHttpResponse} result
+   * @returns {Promise<void>}
+   */
+  async _recordSession(request, result) {
+    const origin = senderOrigin(this.sender);
+    if (!origin || result.mockRule || result.replayed) {
+      return;
+    }
+    try {
+      const recording = await readRecording(origin);
+      if (recording.mode !== 'record') {
+        return;
+      }
+      const entry = await createHarEntry(createHistoryEntry(request, result, false));
+      await addRecordingEntry(origin, entry);
+    } catch (e) {
+      // the recording must not break the request.
+    }
+  }
+
+  /**
+   * Stores the request in the history, when the sender's origin opted in to the history.
+   * 
+   * @param {IApiConsoleHttpRequest} request
+   * @param {IApiConsoleHttpResponse} result
+   * @param {number} limit The maximum number of entries in the history of the origin.
+   * @returns {Promise<void>}
+   */
+  async _recordHistory(request, result, limit) {
+    const origin = senderOrigin(this.sender);
+    if (!origin) {
+      return;
+    }
+    try {
+      if (!await isHistoryEnabled(origin)) {
+        return;
+      }
+      await addHistoryEntry(origin, createHistoryEntry(request, result), limit);
+    } catch (e) {
+      // the history is a best effort and must not break the request.
+    }
+  }
+
+  /**
+   * Handles a command sent by the API Console. The command operates on the data of the sender's origin.
+   * 
+   * @param {IApiConsoleCommand} data 
+   */
+  async handleCommand(data) {
+    const id = data && data.id;
+    const origin = senderOrigin(this.sender);
+    /** @type IApiConsoleCommandResult */
+    const response = { id };
+    try {
+      if (!origin) {
+        throw new Error('The origin of the API Console is unknown.');
+      }
+      switch (data.command) {
+        case 'history-enable': await setHistoryEnabled(origin, true); break;
+        case 'history-disable': await setHistoryEnabled(origin, false); break;
+        case 'history-clear': await clearHistory(origin); break;
+        case 'history-query': response.result = await queryHistory(origin, data.data); break;
+        case 'history-har': response.result = await createHar(await queryHistory(origin, data.data), harCreator()); break;
+        case 'mocks-enable': await setMocksEnabled(origin, true); break;
+        case 'mocks-disable': await setMocksEnabled(origin, false); break;
+        case 'mocks-list': response.result = await readMocks(origin); break;
+        case 'mocks-add': response.result = await addMockRule(origin, data.data); break;
+        case 'mocks-remove': response.result = await removeMockRule(origin, data.data); break;
+        case 'mocks-clear': await clearMockRules(origin); break;
+        case 'recording-start': await startRecording(origin); break;
+        case 'recording-stop':
+        case 'replay-stop': await stopRecording(origin); break;
+        case 'recording-export': response.result = await exportRecording(origin, harCreator()); break;
+        case 'replay-start':
+          replayUsage.delete(origin);
+          response.result = await startReplay(origin, data.data);
+          break;
+        case 'cache-clear': await ResponseCache.clear(origin); break;
+        default: 
+          response.error = { error: true, code: 'unknown_command', message: `Unknown command: ${data.command}` };
+      }
+    } catch (e) {
+      response.error = { error: true, code: 'command_error', message: e.message };
+    }
+    this.sendResponse(response);
+  }
+
+  /**
+   * Handles the streamed HTTP request over a port connected by the content script.
+   * The port receives the `fetch` message to start the request and the `abort` message to stop it.
+   * Disconnecting the port also stops the request.
+   * 
+   * @param {chrome.runtime.Port} port 
+   */
+  handleStream(port) {
+    /** @type StreamProxy | undefined */
+    let proxy;
+    let connected = true;
+    let started = false;
+    // set when the abort message is received before the proxy is created.
+    let aborted = false;
+    /**
+     * @param {IApiConsoleStreamMessage} message
+     */
+    const post = (message) => {
+      if (connected) {
+        port.postMessage(message);
+      }
+    };
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      if (proxy) {
+        proxy.abort();
+      }
+    });
+    port.onMessage.addListener(async (/** @type IProxyStreamMessageInternal */ message) => {
+      if (!message || !message.data) {
+        return;
+      }
+      if (message.payload === 'abort') {
+        aborted = true;
+        if (proxy) {
+          proxy.abort();
+        }
+        return;
+      }
+      if (message.payload !== 'fetch' || started) {
+        return;
+      }
+      const data = /** @type IApiConsoleHttpRequest */ (message.data);
+      const { id } = data;
+      started = true;
+      if (!await authorizeOrigin(senderOrigin(this.sender), false)) {
+        post({
+          type: 'end',
+          id,
+          data: {
+            id,
+            responseData: originError(senderOrigin(this.sender)),
+            stats: {
+              loadingTime: 0,
+              startTime: Date.now(),
+            },
+            request: undefined,
+          },
+        });
+        if (connected) {
+          port.disconnect();
+        }
+        return;
+      }
+      const startTime = Date.now();
+      /** @type IApiConsoleHttpResponse */
+      let result;
+      try {
+        const settings = await readSettings();
+        const mockRules = await this._readMockRules();
+        const replay = await this._readReplay();
+        if (!connected) {
+          // the page is gone, nothing reads the stream.
+          return;
+        }
+        if (aborted) {
+          result = this._errorResponse(id, startTime, 'aborted', 'The request has been aborted.');
+        } else {
+          proxy = new StreamProxy(data, {
+            response: (responseData) => post({ type: 'response', id, data: responseData }),
+            chunk: (chunk) => post({ type: 'chunk', id, data: chunk }),
+          }, {
+            credentialsHosts: settings.credentialsHosts,
+            mockRules,
+            replay,
+            signingKeys: this._signingKeys(),
+          });
+          result = await proxy.execute();
+          result.id = id;
+        }
+      } catch (e) {
+        result = this._errorResponse(id, startTime, 'proxy_error', e.message || 'Unable to proxy the request.');
+      }
+      post({ type: 'end', id, data: result });
+      if (connected) {
+        port.disconnect();
+      }
+    });
+  }
+
+  /**
+   * Handles a WebSocket connection over a port connected by the content script.
+   * The port receives the `open`, `send`, and `close` messages. The socket events are reported back over the port.
+   * Disconnecting the port closes the socket.
+   * 
+   * @param {chrome.runtime.Port} port 
+   */
+  handleWebSocket(port) {
+    /** @type WebSocketProxy | undefined */
+    let proxy;
+    let connected = true;
+    let opening = false;
+    /**
+     * The messages sent by the page while the origin is authorized.
+     * @type IApiConsoleWebSocketSend[]
+     */
+    const pendingSends = [];
+    /**
+     * The close requested by the page while the origin is authorized.
+     * @type IApiConsoleWebSocketClose | undefined
+     */
+    let pendingClose;
+    /**
+     * @param {IApiConsoleWebSocketMessage} message
+     */
+    const post = (message) => {
+      if (connected) {
+        port.postMessage(message);
+      }
+    };
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      if (proxy) {
+        proxy.close();
+      }
+    });
+    port.onMessage.addListener(async (/** @type IProxyWebSocketMessageInternal */ message) => {
+      if (!message || !message.data) {
+        return;
+      }
+      if (message.payload === 'open' && !opening) {
+        opening = true;
+        const request = /** @type IApiConsoleWebSocketRequest */ (message.data);
+        const { id } = request;
+        if (!await authorizeOrigin(senderOrigin(this.sender), false)) {
+          const error = originError(senderOrigin(this.sender));
+          post({ type: 'error', id, data: { message: error.message } });
+          post({ type: 'close', id, data: { code: 1008, reason: error.message, wasClean: false } });
+          if (connected) {
+            port.disconnect();
+          }
+          return;
+        }
+        if (!connected) {
+          return;
+        }
+        if (pendingClose) {
+          // the page closed the connection before it was opened.
+          post({ type: 'close', id, data: { code: 1006, reason: '', wasClean: false } });
+          port.disconnect();
+          return;
+        }
+        proxy = new WebSocketProxy(request, {
+          open: (protocol, extensions) => post({ type: 'open', id, data: { protocol, extensions } }),
+          message: (data) => post({ type: 'message', id, data }),
+          error: (errorMessage) => post({ type: 'error', id, data: { message: errorMessage } }),
+          close: (code, reason, wasClean) => {
+            post({ type: 'close', id, data: { code, reason, wasClean } });
+            if (connected) {
+              port.disconnect();
+            }
+          },
+        });
+        proxy.connect();
+        pendingSends.splice(0).forEach(item => proxy.send(item.data));
+      } else if (message.payload === 'send') {
+        const data = /** @type IApiConsoleWebSocketSend */ (message.data);
+        if (proxy) {
+          // the proxy queues the messages and reports the failures with the error event.
+          proxy.send(data.data);
+        } else if (opening && !pendingClose) {
+          pendingSends.push(data);
+        }
+      } else if (message.payload === 'close') {
+        const data = /** @type IApiConsoleWebSocketClose */ (message.data);
+        if (proxy) {
+          proxy.close(data.code, data.reason);
+        } else if (opening) {
+          pendingClose = data;
+        }
+      }
+    });
+  }
+
+  /**
+   * Aborts a running HTTP request.
+   * The response to the aborted request is reported by the `handleFetch()` function.
+   * 
+   * @param {IApiConsoleAbortRequest} data 
+   */
+  handleAbort(data) {
+    const key = requestKey(this.sender, data && data.id);
+    const entry = activeRequests.get(key);
+    if (entry) {
+      // the proxy is aborted as soon as it is created.
+      entry.aborted = true;
+      if (entry.proxy) {
+        entry.proxy.abort();
+      }
+    }
+    this.sendResponse({
+      id: data && data.id,
+      aborted: !!entry,
+    });
   }
 
   /**
@@ -58,6 +666,25 @@ class ApiConsoleService {
     }
   }
 
+  /**
+   * Performs the OAuth 1.0a three-legged authorization.
+   * 
+   * @param {IOAuth1Authorization} data 
+   */
+  async handleOAuth1(data) {
+    try {
+      const signer = new OAuth1Signer(data);
+      const result = await signer.authorize();
+      this.sendResponse(result);
+    } catch (e) {
+      this.sendResponse({
+        'message': e.message || 'The request is invalid.',
+        'code': e.code || 'invalid_request',
+        'error': true,
+      });
+    }
+  }
+
   /**
    * Sends a general error message to the content script.
    * 
@@ -72,7 +699,16 @@ class ApiConsoleService {
 }
 
 chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
-  const handler = new ApiConsoleService(sendResponse);
+  const handler = new ApiConsoleService(sendResponse, sender);
   handler.handleRequest(message);
   return true;
 });
+
+chrome.runtime.onConnect.addListener(function(port) {
+  const handler = new ApiConsoleService((response) => port.postMessage(response), port.sender);
+  switch (port.name) {
+    case 'api-console-stream': handler.handleStream(port); break;
+    case 'api-console-websocket': handler.handleWebSocket(port); break;
+    default: port.disconnect();
+  }
+});
@@ -0,0 +1,249 @@
+import { Headers as ProxyHeaders } from '../proxy/Headers.js';
+import { enqueue } from './StorageQueue.js';
+
+/** @typedef {import('../types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
+/** @typedef {import('../types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('../types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('../types').IApiConsoleProxyError} IApiConsoleProxyError */
+/** @typedef {import('../types').IHistoryEntry} IHistoryEntry */
+/** @typedef {import('../types').IHistoryQuery} IHistoryQuery */
+/** @typedef {import('../types').IOriginHistory} IOriginHistory */
+/** @typedef {import('../types').ISafePayload} ISafePayload */
+
+/**
+ * The prefix of the local storage keys under which the history of an origin is stored.
+ */
+const storagePrefix = 'history:';
+
+/**
+ * The maximum number of characters of a text body kept in the history.
+ */
+const maxBodyLength = 64 * 1024;
+
+/**
+ * The headers which values are never stored in the history.
+ */
+const secretHeaders = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * @param {string} origin
+ * @returns {Promise<IOriginHistory>}
+ */
+async function readOrigin(origin) {
+  const key = `${storagePrefix}${origin}`;
+  const stored = await chrome.storage.local.get(key);
+  const value = /** @type Partial<IOriginHistory> */ (stored[key] || {});
+  return {
+    enabled: !!value.enabled,
+    entries: Array.isArray(value.entries) ? value.entries : [],
+  };
+}
+
+/**
+ * @param {string} origin
+ * @param {IOriginHistory} history
+ * @returns {Promise<void>}
+ */
+async function writeOrigin(origin, history) {
+  await chrome.storage.local.set({ [`${storagePrefix}${origin}`]: history });
+}
+
+/**
+ * Replaces the values of the headers that carry secrets.
+ *
+ * @param {string | undefined} headers
+ * @returns {string}
+ */
+function redactHeaders(headers) {
+  const parser = new ProxyHeaders(headers);
+  secretHeaders.forEach((name) => {
+    if (parser.has(name)) {
+      parser.set(name, '[redacted]');
+    }
+  });
+  return parser.toString();
+}
+
+/**
+ * @param {string} body
+ * @returns {string}
+ */
+function truncateText(body) {
+  if (body.length <= maxBodyLength) {
+    return body;
+  }
+  return body.substring(0, maxBodyLength);
+}
+
+/**
+ * @param {ISafePayload} payload A serialized body.
+ * @returns {boolean} Whether the serialized body is small enough to be stored in the history.
+ */
+function isSmallPayload(payload) {
+  return JSON.stringify(payload.data).length <= maxBodyLength;
+}
+
+/**
+ * Creates the history entry for the request and its response.
+ * By default, text bodies are truncated to 64 KB and serialized bodies are stored when they are not larger than that.
+ *
+ * @param {IApiConsoleHttpRequest} request
+ * @param {IApiConsoleHttpResponse} result
+ * @param {boolean=} limitBodies When `false`, the bodies are stored in full.
+ * @returns {IHistoryEntry}
+ */
+export function createHistoryEntry(request, result, limitBodies=true) {
+  const truncateBody = limitBodies ? truncateText : (/** @type string */ body) => body;
+  const isStorablePayload = limitBodies ? isSmallPayload : () => true;
+  const { stats } = result;
+  /** @type IHistoryEntry */
+  const entry = {
+    key: `${stats.startTime}-${Math.random().toString(36).substring(2, 10)}`,
+    requestId: request.id,
+    time: stats.startTime,
+    request: {
+      url: request.url,
+      method: request.method,
+      headers: redactHeaders(request.headers),
+    },
+    response: {},
+    stats,
+  };
+  if (typeof request.payload === 'string') {
+    entry.request.payload = truncateBody(request.payload);
+  } else if (request.payload) {
+    entry.request.payloadType = request.payload.type;
+    if (isStorablePayload(request.payload)) {
+      entry.request.payload = request.payload;
+    }
+  }
+  const error = /** @type IApiConsoleProxyError */ (result.responseData);
+  if (error.error) {
+    entry.response.error = true;
+    entry.response.code = error.code;
+    entry.response.message = error.message;
+    return entry;
+  }
+  const data = /** @type IApiConsoleHttpResponseData */ (result.responseData);
+  entry.response.status = data.status;
+  entry.response.statusText = data.statusText;
+  entry.response.headers = redactHeaders(data.headers);
+  if (typeof data.response === 'string') {
+    entry.response.payload = truncateBody(data.response);
+  } else if (data.response && typeof data.response === 'object' && !(data.response instanceof ArrayBuffer) && !(data.response instanceof Blob)) {
+    const body = /** @type ISafePayload */ (data.response);
+    if (isStorablePayload(body)) {
+      entry.response.payload = body;
+    }
+  }
+  if (result.redirects) {
+    entry.redirects = result.redirects.map(redirect => ({ ...redirect, headers: redactHeaders(redirect.headers) }));
+  }
+  return entry;
+}
+
+/**
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<boolean>} Whether the origin opted in to the history.
+ */
+export async function isHistoryEnabled(origin) {
+  const history = await readOrigin(origin);
+  return history.enabled;
+}
+
+/**
+ * Turns the history on or off for the origin. Turning the history off removes the stored entries.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+export async function setHistoryEnabled(origin, enabled) {
+  return enqueue(async () => {
+    if (!enabled) {
+      await chrome.storage.local.remove(`${storagePrefix}${origin}`);
+      return;
+    }
+    const history = await readOrigin(origin);
+    history.enabled = true;
+    await writeOrigin(origin, history);
+  });
+}
+
+/**
+ * Adds the entry to the history of the origin, when the origin opted in to the history.
+ * The oldest entries are removed when the history exceeds the limit.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {IHistoryEntry} entry
+ * @param {number} limit The maximum number of entries kept for the origin.
+ * @returns {Promise<boolean>} Whether the entry was stored.
+ */
+export async function addHistoryEntry(origin, entry, limit) {
+  return enqueue(async () => {
+    const history = await readOrigin(origin);
+    if (!history.enabled || limit < 1) {
+      return false;
+    }
+    history.entries.push(entry);
+    if (history.entries.length > limit) {
+      history.entries.splice(0, history.entries.length - limit);
+    }
+    await writeOrigin(origin, history);
+    return true;
+  });
+}
+
+/**
+ * Reads the history of the origin, the newest entries first.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {IHistoryQuery=} query
+ * @returns {Promise<IHistoryEntry[]>}
+ */
+export async function queryHistory(origin, query={}) {
+  const history = await readOrigin(origin);
+  let entries = history.entries.slice().reverse();
+  const { since, url, method, limit } = query || {};
+  if (typeof since === 'number') {
+    entries = entries.filter(entry => entry.time >= since);
+  }
+  if (typeof url === 'string' && url) {
+    entries = entries.filter(entry => entry.request.url.includes(url));
+  }
+  if (typeof method === 'string' && method) {
+    const upper = method.toUpperCase();
+    entries = entries.filter(entry => entry.request.method.toUpperCase() === upper);
+  }
+  if (typeof limit === 'number' && limit >= 0) {
+    entries = entries.slice(0, limit);
+  }
+  return entries;
+}
+
+/**
+ * Removes all entries from the history of the origin. The history stays enabled.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<void>}
+ */
+export async function clearHistory(origin) {
+  return enqueue(async () => {
+    const history = await readOrigin(origin);
+    if (!history.enabled) {
+      return;
+    }
+    history.entries = [];
+    await writeOrigin(origin, history);
+  });
+}
+
+/**
+ * @returns {Promise<string[]>} The list of origins that have the history turned on.
+ */
+export async function listHistoryOrigins() {
+  const stored = await chrome.storage.local.get();
+  return Object.keys(stored)
+    .filter(key => key.startsWith(storagePrefix) && stored[key] && stored[key].enabled)
+    .map(key => key.substring(storagePrefix.length));
+}
@@ -0,0 +1,160 @@
+import { enqueue } from './StorageQueue.js';
+
+/** @typedef {import('../types').IMockRule} IMockRule */
+/** @typedef {import('../types').IOriginMocks} IOriginMocks */
+
+/**
+ * The prefix of the local storage keys under which the mock rules of an origin are stored.
+ */
+const storagePrefix = 'mocks:';
+
+/**
+ * @param {string} origin
+ * @returns {Promise<IOriginMocks>}
+ */
+async function readOrigin(origin) {
+  const key = `${storagePrefix}${origin}`;
+  const stored = await chrome.storage.local.get(key);
+  const value = /** @type Partial<IOriginMocks> */ (stored[key] || {});
+  return {
+    enabled: !!value.enabled,
+    rules: Array.isArray(value.rules) ? value.rules : [],
+  };
+}
+
+/**
+ * @param {string} origin
+ * @param {IOriginMocks} mocks
+ * @returns {Promise<void>}
+ */
+async function writeOrigin(origin, mocks) {
+  await chrome.storage.local.set({ [`${storagePrefix}${origin}`]: mocks });
+}
+
+/**
+ * Validates the rule sent by the page and copies the known properties.
+ *
+ * @param {IMockRule} rule
+ * @returns {IMockRule}
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('The mock rule is invalid.');
+  }
+  if (typeof rule.url !== 'string' || !rule.url) {
+    throw new Error('The mock rule must have the url pattern.');
+  }
+  const response = rule.response && typeof rule.response === 'object' ? rule.response : {};
+  /** @type IMockRule */
+  const result = {
+    id: `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`,
+    url: rule.url,
+    enabled: rule.enabled !== false,
+    response: {
+      status: typeof response.status === 'number' ? response.status : 200,
+    },
+  };
+  if (typeof rule.method === 'string' && rule.method) {
+    result.method = rule.method;
+  }
+  if (rule.headers && typeof rule.headers === 'object') {
+    result.headers = {};
+    Object.keys(rule.headers).forEach((name) => {
+      result.headers[name] = String(rule.headers[name]);
+    });
+  }
+  if (typeof response.statusText === 'string') {
+    result.response.statusText = response.statusText;
+  }
+  if (typeof response.headers === 'string') {
+    result.response.headers = response.headers;
+  }
+  if (typeof response.body === 'string') {
+    result.response.body = response.body;
+  }
+  if (typeof response.delay === 'number' && response.delay > 0) {
+    result.response.delay = response.delay;
+  }
+  return result;
+}
+
+/**
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<IMockRule[]>} The rules to use with the requests, or an empty list when the mocks are off.
+ */
+export async function readActiveMockRules(origin) {
+  const mocks = await readOrigin(origin);
+  return mocks.enabled ? mocks.rules : [];
+}
+
+/**
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<IOriginMocks>} The mock mode state and the rules of the origin.
+ */
+export async function readMocks(origin) {
+  return readOrigin(origin);
+}
+
+/**
+ * Turns the mock mode on or off for the origin. The rules are kept.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {boolean} enabled
+ * @returns {Promise<void>}
+ */
+export async function setMocksEnabled(origin, enabled) {
+  return enqueue(async () => {
+    const mocks = await readOrigin(origin);
+    mocks.enabled = enabled;
+    await writeOrigin(origin, mocks);
+  });
+}
+
+/**
+ * Adds the rule to the end of the rules list of the origin.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {IMockRule} rule
+ * @returns {Promise<IMockRule>} The stored rule with the generated `id`.
+ */
+export async function addMockRule(origin, rule) {
+  const normalized = normalizeRule(rule);
+  return enqueue(async () => {
+    const mocks = await readOrigin(origin);
+    mocks.rules.push(normalized);
+    await writeOrigin(origin, mocks);
+    return normalized;
+  });
+}
+
+/**
+ * @param {string} origin The origin of the API Console.
+ * @param {string} id The id of the rule to remove.
+ * @returns {Promise<boolean>} Whether the rule was removed.
+ */
+export async function removeMockRule(origin, id) {
+  return enqueue(async () => {
+    const mocks = await readOrigin(origin);
+    const index = mocks.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    mocks.rules.splice(index, 1);
+    await writeOrigin(origin, mocks);
+    return true;
+  });
+}
+
+/**
+ * Removes all rules of the origin.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<void>}
+ */
+export async function clearMockRules(origin) {
+  return enqueue(async () => {
+    const mocks = await readOrigin(origin);
+    mocks.rules = [];
+    await writeOrigin(origin, mocks);
+  });
+}
@@ -0,0 +1,124 @@
+import { enqueue } from './StorageQueue.js';
+
+/** @typedef {import('../types').IHar} IHar */
+/** @typedef {import('../types').IHarEntry} IHarEntry */
+/** @typedef {import('../types').IHarCreator} IHarCreator */
+/** @typedef {import('../types').IOriginRecording} IOriginRecording */
+/** @typedef {import('../types').IReplayInit} IReplayInit */
+
+/**
+ * The prefix of the local storage keys under which the recording of an origin is stored.
+ */
+const storagePrefix = 'recording:';
+
+/**
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<IOriginRecording>} The recording state of the origin.
+ */
+export async function readRecording(origin) {
+  const key = `${storagePrefix}${origin}`;
+  const stored = await chrome.storage.local.get(key);
+  const value = /** @type Partial<IOriginRecording> */ (stored[key] || {});
+  return {
+    mode: value.mode === 'record' || value.mode === 'replay' ? value.mode : 'off',
+    strict: !!value.strict,
+    entries: Array.isArray(value.entries) ? value.entries : [],
+  };
+}
+
+/**
+ * @param {string} origin
+ * @param {IOriginRecording} recording
+ * @returns {Promise<void>}
+ */
+async function writeRecording(origin, recording) {
+  await chrome.storage.local.set({ [`${storagePrefix}${origin}`]: recording });
+}
+
+/**
+ * Starts a new recording. The previous recording is removed.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<void>}
+ */
+export async function startRecording(origin) {
+  return enqueue(async () => {
+    await writeRecording(origin, { mode: 'record', strict: false, entries: [] });
+  });
+}
+
+/**
+ * Stops the recording or the replay. The recorded entries are kept.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @returns {Promise<void>}
+ */
+export async function stopRecording(origin) {
+  return enqueue(async () => {
+    const recording = await readRecording(origin);
+    recording.mode = 'off';
+    await writeRecording(origin, recording);
+  });
+}
+
+/**
+ * Adds the entry to the recording, when the origin is recording.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {IHarEntry} entry
+ * @returns {Promise<boolean>} Whether the entry was recorded.
+ */
+export async function addRecordingEntry(origin, entry) {
+  return enqueue(async () => {
+    const recording = await readRecording(origin);
+    if (recording.mode !== 'record') {
+      return false;
+    }
+    recording.entries.push(entry);
+    await writeRecording(origin, recording);
+    return true;
+  });
+}
+
+/**
+ * Starts replaying the recorded entries or the entries of the given HAR log.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {IReplayInit=} init
+ * @returns {Promise<number>} The number of entries available to the replay.
+ */
+export async function startReplay(origin, init={}) {
+  const { strict, har } = init || {};
+  if (har !== undefined && (!har || !har.log || !Array.isArray(har.log.entries))) {
+    throw new Error('The HAR log is invalid.');
+  }
+  return enqueue(async () => {
+    const recording = await readRecording(origin);
+    recording.mode = 'replay';
+    recording.strict = !!strict;
+    if (har) {
+      recording.entries = har.log.entries.filter(entry => entry && entry.request && entry.response);
+    }
+    await writeRecording(origin, recording);
+    return recording.entries.length;
+  });
+}
+
+/**
+ * Creates the HAR log with the recorded entries.
+ *
+ * @param {string} origin The origin of the API Console.
+ * @param {IHarCreator} creator The application that created the log.
+ * @returns {Promise<IHar>}
+ */
+export async function exportRecording(origin, creator) {
+  const recording = await readRecording(origin);
+  return {
+    log: {
+      version: '1.2',
+      creator,
+      pages: [],
+      entries: recording.entries,
+    },
+  };
+}
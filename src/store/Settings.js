@@ -0,0 +1,48 @@
+/** @typedef {import('../types').IExtensionSettings} IExtensionSettings */
+
+/**
+ * The key under which the settings are stored in the local storage.
+ */
+const storageKey = 'settings';
+
+/**
+ * The default extension settings.
+ * @type {Readonly<IExtensionSettings>}
+ */
+export const defaultSettings = Object.freeze({
+  timeout: 120000,
+  credentialsHosts: [],
+  historyLimit: 100,
+  allowedOrigins: [],
+  deniedOrigins: [],
+  promptUnknownOrigins: true,
+  maxConcurrentRequests: 16,
+  maxConcurrentRequestsPerHost: 6,
+  responseCache: false,
+});
+
+/**
+ * Reads the extension settings from the local storage.
+ * The missing values are filled with the defaults.
+ *
+ * @returns {Promise<IExtensionSettings>}
+ */
+export async function readSettings() {
+  const stored = await chrome.storage.local.get(storageKey);
+  const values = /** @type Partial<IExtensionSettings> */ (stored[storageKey] || {});
+  return { ...defaultSettings, ...values };
+}
+
+/**
+ * Updates the extension settings in the local storage.
+ *
+ * @param {Partial<IExtensionSettings>} values The values to update. Other values are preserved.
+ * @returns {Promise<IExtensionSettings>} The updated settings.
+ */
+export async function updateSettings(values) {
+  const stored = await chrome.storage.local.get(storageKey);
+  const current = /** @type Partial<IExtensionSettings> */ (stored[storageKey] || {});
+  const updated = { ...current, ...values };
+  await chrome.storage.local.set({ [storageKey]: updated });
+  return { ...defaultSettings, ...updated };
+}
@@ -0,0 +1,84 @@
+/** @typedef {import('../types').ISigningKey} ISigningKey */
+
+/**
+ * The name of the database with the keys. The keys are stored in the IndexedDB
+ * as the local storage can't store the `CryptoKey` objects.
+ */
+const databaseName = 'signing-keys';
+
+/**
+ * The object store with the keys. The keys are identified by the origin of the API Console and the key id.
+ */
+const storeName = 'keys';
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName, { keyPath: ['origin', 'keyId'] });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs the request on the keys store and waits for the transaction to complete.
+ *
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} fn Creates the request.
+ * @returns {Promise<T>} The result of the request.
+ */
+async function transaction(mode, fn) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Stores the key. The key with the same origin and id is replaced.
+ *
+ * @param {ISigningKey} entry The key imported as not extractable.
+ * @returns {Promise<void>}
+ */
+export async function addSigningKey(entry) {
+  await transaction('readwrite', store => store.put(entry));
+}
+
+/**
+ * @param {string} origin The origin of the API Console.
+ * @param {string} keyId
+ * @returns {Promise<ISigningKey | undefined>} The key the API Console of the origin signs the requests with.
+ */
+export async function readSigningKey(origin, keyId) {
+  return transaction('readonly', store => store.get([origin, keyId]));
+}
+
+/**
+ * @returns {Promise<ISigningKey[]>} All stored keys.
+ */
+export async function listSigningKeys() {
+  return transaction('readonly', store => store.getAll());
+}
+
+/**
+ * @param {string} origin The origin of the API Console.
+ * @param {string} keyId
+ * @returns {Promise<void>}
+ */
+export async function removeSigningKey(origin, keyId) {
+  await transaction('readwrite', store => store.delete([origin, keyId]));
+}
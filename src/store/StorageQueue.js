@@ -0,0 +1,21 @@
+/**
+ * The pending change to the local storage.
+ * @type {Promise<unknown>}
+ */
+let queue = Promise.resolve();
+
+/**
+ * Queues a change to the local storage.
+ * Changes are queued as the read-modify-write of concurrent requests would override each other.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function enqueue(fn) {
+  const result = queue.then(fn);
+  queue = result.catch(() => {
+    // the error is reported to the caller.
+  });
+  return result;
+}
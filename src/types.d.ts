@@ -16,13 +16,33 @@ export interface IProxyMessageOauth2Response extends IProxyMessage {
   'api-console-data': any;
 }
 
+export interface IProxyMessageOauth1Response extends IProxyMessage {
+  'api-console-payload': 'api-console-oauth1-token-response';
+  'api-console-data': any;
+}
+
+export interface IProxyMessageStreamEvent extends IProxyMessage {
+  'api-console-payload': 'api-console-stream-event';
+  'api-console-data': IApiConsoleStreamMessage;
+}
+
 export interface IProxyMessageInternal {
-  payload: 'fetch' | 'oauth2';
-  data: IApiConsoleHttpRequest | IOAuth2Authorization;
+  payload: 'fetch' | 'oauth2' | 'oauth1' | 'abort' | 'command' | 'authorize';
+  data?: IApiConsoleHttpRequest | IOAuth2Authorization | IOAuth1Authorization | IApiConsoleAbortRequest | IApiConsoleCommand;
+}
+
+/**
+ * A message sent to the background page to abort a running request.
+ */
+export interface IApiConsoleAbortRequest {
+  /**
+   * The id of the request to abort.
+   */
+  id: string;
 }
 
 export type DeserializedPayload = string | Blob | File | FormData | Buffer | ArrayBuffer | undefined;
-export type PayloadTypes = 'string' | 'file' | 'blob' | 'formdata';
+export type PayloadTypes = 'string' | 'file' | 'blob' | 'formdata' | 'arraybuffer';
 
 export interface IMultipartBody {
   /**
@@ -42,6 +62,7 @@ export interface IMultipartBody {
  * The `string` goes without any transformations.
  * The `file` and the `blob` are data URLs encoded as string.
  * The `buffer` and `arraybuffer` are UInt8Arrays.
+ * The `blob` is also a UInt8Array with the mime type in the meta.
  */
 export interface ISafePayload {
   /**
@@ -78,42 +99,1219 @@ export interface RawValue {
   value: string;
 }
 
+export type ResponseType = 'text' | 'arraybuffer' | 'blob';
+export type RedirectPolicy = 'follow' | 'manual' | 'error';
+export type CredentialsMode = 'omit' | 'include';
+
 export interface IApiConsoleHttpRequest {
   method: string;
   url: string;
   id: string;
   headers?: string;
   payload?: string | ISafePayload;
+  /**
+   * The expected type of the response body.
+   * When not set, the type is determined from the response's `content-type` header.
+   * Binary bodies are `arraybuffer` by default.
+   */
+  responseType?: ResponseType;
+  /**
+   * How the redirects are handled.
+   * 
+   * - follow - the redirects are followed and reported in the response's `redirects`
+   * - manual - the redirect response is returned as the response
+   * - error - the request fails with the `redirect_error` code when the server responds with a redirect
+   * 
+   * @default follow
+   */
+  redirect?: RedirectPolicy;
+  /**
+   * The number of milliseconds after which the request is aborted with the `timeout` error.
+   * When not set, the extension's default timeout is used. The `0` value disables the timeout.
+   */
+  timeout?: number;
+  /**
+   * When set, the response body is read incrementally and reported in chunks with the `api-stream-*` events.
+   * Use it with endpoints that never finish, like `text/event-stream`.
+   * Streamed requests do not use the extension's default timeout.
+   */
+  streaming?: boolean;
+  /**
+   * When `include`, the user's cookies from the browser's cookie store are sent with the request.
+   * When not set, the cookies are only sent to the hosts configured in the extension.
+   * 
+   * @default omit
+   */
+  credentials?: CredentialsMode;
+  /**
+   * When set, the request is repeated when it fails with a network error or a retryable status.
+   * Each attempt is reported in the response's `stats.attempts`.
+   */
+  retry?: IRetryPolicy;
+  /**
+   * The authorization applied by the extension right before the request is made,
+   * so the API Console does not have to compute the signature.
+   */
+  auth?: IRequestAuth;
+  /**
+   * When set, the request body is compressed with this encoding and sent with the matching `content-encoding` header.
+   */
+  compression?: RequestBodyEncoding;
 }
 
-export interface IApiConsoleHttpResponse {
-  responseData: IApiConsoleHttpResponseData | IApiConsoleProxyError;
-  stats: IApiConsoleHttpResponseStats;
+/**
+ * The encodings of the compressed request body. These are the formats the browser's `CompressionStream` supports.
+ */
+export type RequestBodyEncoding = 'gzip' | 'deflate';
+
+/**
+ * The sizes of the compressed request body.
+ */
+export interface IRequestCompression {
+  encoding: RequestBodyEncoding;
+  /**
+   * The size in bytes of the body before the compression.
+   */
+  originalSize: number;
+  /**
+   * The size in bytes of the sent body.
+   */
+  compressedSize: number;
+}
+
+/**
+ * Defines how a failed request is repeated.
+ */
+export interface IRetryPolicy {
+  /**
+   * The maximum number of attempts, including the first request. Values lower than `2` disable the retry.
+   */
+  maxAttempts: number;
+  /**
+   * The response statuses that are retried.
+   * 
+   * @default [408, 429, 502, 503, 504]
+   */
+  statuses?: number[];
+  /**
+   * Whether to retry the request when it fails with a network error.
+   * 
+   * @default true
+   */
+  networkErrors?: boolean;
+  /**
+   * The delay in milliseconds before the first retry. Following delays grow exponentially by the `factor`.
+   * 
+   * @default 1000
+   */
+  delay?: number;
+  /**
+   * The multiplier of the delay for each following attempt.
+   * 
+   * @default 2
+   */
+  factor?: number;
+  /**
+   * The maximum delay in milliseconds between attempts. When the `retry-after` value is greater,
+   * the request is not retried and the response is returned.
+   * 
+   * @default 30000
+   */
+  maxDelay?: number;
+  /**
+   * Whether to use the delay from the response's `retry-after` header, when present.
+   * 
+   * @default true
+   */
+  respectRetryAfter?: boolean;
+}
+
+/**
+ * Describes an attempt of making a request with the retry policy.
+ */
+export interface IRequestAttempt {
+  /**
+   * The number of the attempt, starting from 1.
+   */
+  attempt: number;
+  /**
+   * The timestamp when the attempt started.
+   */
+  startTime: number;
+  /**
+   * The response status, when the attempt received a response.
+   */
+  status?: number;
+  /**
+   * The error message, when the attempt failed with a network error.
+   */
+  error?: string;
+  /**
+   * The delay in milliseconds before the next attempt. This is `0` for the last attempt.
+   */
+  delay: number;
+}
+
+/**
+ * The options passed to the `HttpProxy` by the extension.
+ */
+export interface IHttpProxyOptions {
+  /**
+   * The default request timeout, used when the request does not define one.
+   */
+  timeout?: number;
+  /**
+   * The list of hosts to which the user's cookies are sent by default.
+   */
+  credentialsHosts?: string[];
+  /**
+   * The mock rules checked before making the request.
+   * The first matching rule answers the request.
+   */
+  mockRules?: IMockRule[];
+  /**
+   * When set, the requests are answered from the recorded entries.
+   */
+  replay?: IReplayOptions;
+  /**
+   * When set, the request waits for a free slot before it is made.
+   */
+  scheduler?: IRequestScheduler;
+  /**
+   * When set, the responses to the `GET` requests are stored in and served from this cache.
+   */
+  cache?: IResponseCache;
+  /**
+   * The keys used to sign the requests with the HTTP message signature.
+   */
+  signingKeys?: ISigningKeyStore;
+}
+
+/**
+ * The authorization applied to the request by the extension.
+ */
+export type IRequestAuth = IAwsSigV4Auth | IHttpSignatureAuth | IDigestAuth | IHawkAuth | IOAuth1Auth;
+
+export type OAuth1SignatureMethod = 'HMAC-SHA1' | 'HMAC-SHA256' | 'RSA-SHA1' | 'PLAINTEXT';
+
+/**
+ * The credentials used to sign a request with OAuth 1.0a (RFC 5849).
+ */
+export interface IOAuth1Credentials {
+  consumerKey: string;
+  /**
+   * The consumer secret for the `HMAC-*` and the `PLAINTEXT` methods.
+   */
+  consumerSecret?: string;
+  signatureMethod: OAuth1SignatureMethod;
+  /**
+   * The RSA private key for the `RSA-SHA1` method, as a JWK or a PEM encoded PKCS #8 key.
+   */
+  privateKey?: JsonWebKey | string;
+  /**
+   * The token credentials, when the request is made on behalf of the user.
+   */
+  token?: string;
+  tokenSecret?: string;
+  /**
+   * The `realm` parameter of the `authorization` header.
+   */
+  realm?: string;
+}
+
+/**
+ * Signs the request with OAuth 1.0a. The signature covers the query parameters
+ * and the parameters of the form-urlencoded body.
+ */
+export interface IOAuth1Auth extends IOAuth1Credentials {
+  type: 'oauth1';
+}
+
+/**
+ * The configuration of the OAuth 1.0a three-legged authorization.
+ */
+export interface IOAuth1Authorization extends IOAuth1Credentials {
+  /**
+   * The temporary credentials request endpoint.
+   */
+  requestTokenUri: string;
+  /**
+   * The resource owner authorization endpoint, opened in a tab.
+   */
+  authorizationUri: string;
+  /**
+   * The token request endpoint.
+   */
+  accessTokenUri: string;
+  /**
+   * The callback URL. The extension reads the verifier from the tab when it is redirected to this URL.
+   */
+  redirectUri: string;
+}
+
+/**
+ * The token credentials obtained with the OAuth 1.0a authorization.
+ */
+export interface IOAuth1TokenInfo {
+  token: string;
+  tokenSecret: string;
+  /**
+   * The other parameters of the token response, like the `user_id`.
+   */
+  parameters: Record<string, string>;
+}
+
+/**
+ * Authenticates the request with the Hawk scheme.
+ */
+export interface IHawkAuth {
+  type: 'hawk';
+  /**
+   * The key identifier.
+   */
   id: string;
-  request: IApiConsoleHttpRequest;
+  key: string;
+  algorithm: 'sha1' | 'sha256';
+  /**
+   * The application specific data sent with the `ext` attribute.
+   */
+  ext?: string;
+  /**
+   * The application id sent with the `app` attribute.
+   */
+  app?: string;
+  /**
+   * When set, the `server-authorization` header of the response is verified
+   * and the result is reported in the `authLog` of the response.
+   * Streamed responses are not verified.
+   */
+  verifyResponse?: boolean;
 }
 
-export interface IApiConsoleHttpResponseData {
-  response: string;
-  responseText: string;
-  responseType: string;
-  responseURL: string;
-  status: number,
-  statusText?: string;
-  readyState?: number;
-  headers?: string;
+/**
+ * The values signed with the Hawk MAC.
+ */
+export interface IHawkArtifacts {
+  ts: string;
+  nonce: string;
+  method: string;
+  /**
+   * The path and the query of the URL.
+   */
+  resource: string;
+  host: string;
+  port: string;
+  /**
+   * The payload hash.
+   */
+  hash?: string;
+  ext?: string;
+  app?: string;
 }
 
-export interface IApiConsoleProxyError {
-  error: true;
-  code?: string;
-  message: string;
-  state?: string;
+/**
+ * Answers the HTTP Digest authentication challenge (RFC 7616) of the server.
+ * The request is made without the credentials first. When the server responds with `401`
+ * and a Digest challenge, the request is repeated with the computed `authorization` header.
+ */
+export interface IDigestAuth {
+  type: 'digest';
+  username: string;
+  password: string;
 }
 
-export interface IApiConsoleHttpResponseStats {
-  loadingTime: number;
-  startTime: number;
+/**
+ * A challenge of the `www-authenticate` header.
+ */
+export interface IAuthChallenge {
+  /**
+   * The lowercase scheme, like `digest`.
+   */
+  scheme: string;
+  /**
+   * The parameters of the challenge. The names are lowercase.
+   */
+  params: Record<string, string>;
+}
+
+/**
+ * Signs the request with the AWS Signature Version 4.
+ */
+export interface IAwsSigV4Auth {
+  type: 'aws-sigv4';
+  accessKeyId: string;
+  secretAccessKey: string;
+  /**
+   * The session token of the temporary credentials. Sent with the `x-amz-security-token` header.
+   */
+  sessionToken?: string;
+  /**
+   * The AWS region, like `us-east-1`.
+   */
+  region: string;
+  /**
+   * The name of the service, like `execute-api` for the API Gateway.
+   */
+  service: string;
+}
+
+/**
+ * The HTTP message signature algorithms, by the names registered in RFC 9421.
+ */
+export type HttpSignatureAlgorithm = 'hmac-sha256' | 'rsa-pss-sha512' | 'ecdsa-p256-sha256' | 'ed25519';
+
+/**
+ * Signs the request with the HTTP message signature (RFC 9421).
+ */
+export interface IHttpSignatureAuth {
+  type: 'http-signature';
+  /**
+   * The `keyid` parameter of the signature. The request is signed with the key imported
+   * under this id for the origin of the API Console in the extension's popup.
+   * The key material is never sent by the page.
+   */
+  keyId: string;
+  /**
+   * The covered components, like `@method`, `@path`, `@authority`, `@query`, `@target-uri`, or a header name.
+   * By default the `@method`, `@authority`, `@path`, `content-type` (when set), and `content-digest` (when the request has a body).
+   */
+  components?: string[];
+  /**
+   * The label of the signature. Default `sig1`.
+   */
+  label?: string;
+  /**
+   * Set to `false` to not add the `created` parameter.
+   */
+  created?: boolean;
+  /**
+   * When set, the `expires` parameter is added this number of seconds after the creation time.
+   */
+  expires?: number;
+  /**
+   * The `nonce` parameter.
+   */
+  nonce?: string;
+  /**
+   * The `tag` parameter.
+   */
+  tag?: string;
+}
+
+/**
+ * The key used to sign the requests with the HTTP message signature.
+ * The key is imported in the extension's popup and stored in the IndexedDB.
+ */
+export interface ISigningKey {
+  /**
+   * The origin of the API Console which can sign the requests with the key.
+   */
+  origin: string;
+  keyId: string;
+  algorithm: HttpSignatureAlgorithm;
+  /**
+   * The not extractable key. The private key for the asymmetric algorithms.
+   */
+  key: CryptoKey;
+}
+
+export interface ISigningKeyStore {
+  /**
+   * @returns The key with the id, when it was imported for the origin of the API Console.
+   */
+  read(keyId: string): Promise<ISigningKey | undefined>;
+}
+
+/**
+ * How the response cache answered the request.
+ * - `hit` - the fresh stored response was used without making the request
+ * - `revalidated` - the server confirmed the stored response is still valid and it was used
+ */
+export type CacheStatus = 'hit' | 'revalidated';
+
+/**
+ * The response read from the response cache.
+ */
+export interface ICachedResponse {
+  response: Response;
+  /**
+   * Whether the response can be used without validating it with the server.
+   */
+  fresh: boolean;
+  /**
+   * The `etag` of the stored response, used with the `if-none-match` header.
+   */
+  etag?: string;
+  /**
+   * The `last-modified` of the stored response, used with the `if-modified-since` header.
+   */
+  lastModified?: string;
+}
+
+export interface IResponseCache {
+  lookup(request: IApiConsoleHttpRequest): Promise<ICachedResponse | undefined>;
+  store(request: IApiConsoleHttpRequest, response: Response): Promise<boolean>;
+  revalidate(request: IApiConsoleHttpRequest, cached: Response, notModified: Response): Promise<Response>;
+}
+
+/**
+ * The limits of the requests made at the same time. `0` means no limit.
+ */
+export interface ISchedulerLimits {
+  /**
+   * The maximum number of running requests.
+   */
+  maxConcurrent?: number;
+  /**
+   * The maximum number of running requests to a single host.
+   */
+  maxPerHost?: number;
+}
+
+export interface IRequestScheduler {
+  /**
+   * Waits until the request can start.
+   * Resolves with the function to call when the request ends.
+   */
+  acquire(url: string, signal?: AbortSignal): Promise<() => void>;
+}
+
+export interface IReplayOptions {
+  /**
+   * The recorded entries.
+   */
+  entries: IHarEntry[];
+  /**
+   * When set, the request that was not recorded fails with the `replay_miss` error.
+   * Otherwise the request is made.
+   */
+  strict: boolean;
+  /**
+   * The indexes of the entries already used in the replay session.
+   */
+  used: Set<number>;
+}
+
+export type RecordingMode = 'off' | 'record' | 'replay';
+
+/**
+ * The recording of an API Console origin.
+ */
+export interface IOriginRecording {
+  mode: RecordingMode;
+  /**
+   * Whether the requests that were not recorded fail in the replay mode.
+   */
+  strict: boolean;
+  /**
+   * The recorded requests as HAR entries.
+   */
+  entries: IHarEntry[];
+}
+
+export interface IReplayInit {
+  /**
+   * When set, the requests that were not recorded fail with the `replay_miss` error instead of being made.
+   */
+  strict?: boolean;
+  /**
+   * The HAR log to replay. When not set, the last recording is replayed.
+   */
+  har?: IHar;
+}
+
+/**
+ * A rule that answers the matching requests with a canned response.
+ */
+export interface IMockRule {
+  /**
+   * The id of the rule, generated by the extension.
+   */
+  id?: string;
+  /**
+   * The pattern of the request URL. The `*` matches any sequence of characters.
+   * The pattern must match the entire URL, including the query string.
+   */
+  url: string;
+  /**
+   * The HTTP method of the request. When not set, or set to `*`, any method matches.
+   */
+  method?: string;
+  /**
+   * The request headers that must be present. Values are patterns in which the `*` matches any sequence of characters.
+   */
+  headers?: Record<string, string>;
+  /**
+   * When `false` the rule is ignored.
+   */
+  enabled?: boolean;
+  response: IMockResponse;
+}
+
+export interface IMockResponse {
+  /**
+   * The response status. Must be in the 200-599 range.
+   * 
+   * @default 200
+   */
+  status?: number;
+  statusText?: string;
+  /**
+   * The response headers as HTTP headers string.
+   */
+  headers?: string;
+  body?: string;
+  /**
+   * The time in milliseconds after which the response is reported.
+   */
+  delay?: number;
+}
+
+/**
+ * The mock rules of an API Console origin.
+ */
+export interface IOriginMocks {
+  /**
+   * Whether the mock mode is on.
+   */
+  enabled: boolean;
+  rules: IMockRule[];
+}
+
+/**
+ * The response body read by the `HttpProxy`.
+ */
+export interface IResponseBody {
+  /**
+   * The body to report to API Console.
+   */
+  body: string | ISafePayload;
+  /**
+   * The body as text, when the response type is `text`.
+   */
+  text: string;
+  /**
+   * The size of the body in bytes.
+   */
+  size: number;
+}
+
+/**
+ * The callbacks the `StreamProxy` calls when reading the response.
+ */
+export interface IStreamHandlers {
+  /**
+   * Called when the response headers are received, before the body is read.
+   * The `response` is always empty.
+   */
+  response(data: IApiConsoleHttpResponseData): void;
+  /**
+   * Called with each chunk of the response body.
+   * This is a string when the response type is `text`. Otherwise it is the serialized `arraybuffer`.
+   */
+  chunk(data: string | ISafePayload): void;
+}
+
+/**
+ * A message sent over the stream port by the extension.
+ */
+export interface IApiConsoleStreamMessage {
+  /**
+   * - response - the response headers are ready, the data is the `IApiConsoleHttpResponseData` with an empty body
+   * - chunk - a chunk of the response body
+   * - end - the stream ended, the data is the `IApiConsoleHttpResponse` without the body.
+   */
+  type: 'response' | 'chunk' | 'end';
+  /**
+   * The id of the request.
+   */
+  id: string;
+  data: IApiConsoleHttpResponseData | IApiConsoleHttpResponse | string | ISafePayload;
+}
+
+/**
+ * A message sent over the stream port to the extension.
+ */
+export interface IProxyStreamMessageInternal {
+  payload: 'fetch' | 'abort';
+  data: IApiConsoleHttpRequest | IApiConsoleAbortRequest;
+}
+
+/**
+ * The configuration of a WebSocket connection made by the extension.
+ */
+export interface IApiConsoleWebSocketRequest {
+  /**
+   * The id of the connection, generated by API Console.
+   */
+  id: string;
+  /**
+   * The `ws:` or `wss:` URL to connect to.
+   */
+  url: string;
+  /**
+   * The list of sub-protocols.
+   */
+  protocols?: string | string[];
+}
+
+/**
+ * The message to send over a WebSocket connection made by the extension.
+ */
+export interface IApiConsoleWebSocketSend {
+  id: string;
+  /**
+   * The message. Binary messages are serialized payloads.
+   */
+  data: string | ISafePayload;
+}
+
+/**
+ * The request to close a WebSocket connection made by the extension.
+ */
+export interface IApiConsoleWebSocketClose {
+  id: string;
+  code?: number;
+  reason?: string;
+}
+
+/**
+ * The callbacks the `WebSocketProxy` calls with the socket events.
+ */
+export interface IWebSocketHandlers {
+  open(protocol: string, extensions: string): void;
+  /**
+   * Binary messages are serialized `arraybuffer` payloads.
+   */
+  message(data: string | ISafePayload): void;
+  close(code: number, reason: string, wasClean: boolean): void;
+  error(message: string): void;
+}
+
+/**
+ * A message sent over the WebSocket port by the extension.
+ */
+export interface IApiConsoleWebSocketMessage {
+  type: 'open' | 'message' | 'close' | 'error';
+  /**
+   * The id of the connection.
+   */
+  id: string;
+  /**
+   * - open - `{ protocol, extensions }`
+   * - message - the received message. Binary messages are serialized payloads.
+   * - close - `{ code, reason, wasClean }`
+   * - error - `{ message }`
+   */
+  data: any;
+}
+
+/**
+ * A message sent over the WebSocket port to the extension.
+ */
+export interface IProxyWebSocketMessageInternal {
+  payload: 'open' | 'send' | 'close';
+  data: IApiConsoleWebSocketRequest | IApiConsoleWebSocketSend | IApiConsoleWebSocketClose;
+}
+
+export interface IProxyMessageWebSocketEvent extends IProxyMessage {
+  'api-console-payload': 'api-console-websocket-event';
+  'api-console-data': IApiConsoleWebSocketMessage;
+}
+
+/**
+ * The extension-wide settings stored in the local storage.
+ */
+export interface IExtensionSettings {
+  /**
+   * The default request timeout in milliseconds. The `0` value disables the timeout.
+   */
+  timeout: number;
+  /**
+   * The list of hosts to which the user's cookies are sent when the request does not set the `credentials`.
+   * A host matches its sub-domains.
+   */
+  credentialsHosts: string[];
+  /**
+   * The maximum number of requests kept in the history of an origin.
+   */
+  historyLimit: number;
+  /**
+   * The origins of the pages that can use the extension, like `https://console.example.com`.
+   * The `*` matches any sequence of characters, like `https://*.example.com`.
+   */
+  allowedOrigins: string[];
+  /**
+   * The origins the user denied in the approval window. The user is not asked again to approve these.
+   */
+  deniedOrigins: string[];
+  /**
+   * Whether the user is asked to approve a page which origin is not on the `allowedOrigins` list.
+   * When `false`, the requests from these pages are rejected.
+   */
+  promptUnknownOrigins: boolean;
+  /**
+   * The maximum number of HTTP requests made at the same time. `0` means no limit.
+   */
+  maxConcurrentRequests: number;
+  /**
+   * The maximum number of HTTP requests made at the same time to a single host. `0` means no limit.
+   */
+  maxConcurrentRequestsPerHost: number;
+  /**
+   * Whether the responses to the `GET` requests are cached by the extension, following their `cache-control` headers.
+   */
+  responseCache: boolean;
+}
+
+/**
+ * The response of the background page to the `authorize` message of the content script.
+ */
+export interface IOriginAuthorization {
+  /**
+   * Whether the origin of the page can use the extension.
+   */
+  allowed: boolean;
+  /**
+   * The error reported to the API Console when the origin is not allowed.
+   */
+  error?: IApiConsoleProxyError;
+}
+
+/**
+ * The history of requests made by an API Console origin.
+ */
+export interface IOriginHistory {
+  /**
+   * Whether the origin opted in to the history.
+   */
+  enabled: boolean;
+  /**
+   * The stored entries, the oldest first.
+   */
+  entries: IHistoryEntry[];
+}
+
+/**
+ * A request stored in the history.
+ * The values of the `authorization`, `proxy-authorization`, `cookie`, and `set-cookie` headers are redacted.
+ */
+export interface IHistoryEntry {
+  /**
+   * The unique key of the entry.
+   */
+  key: string;
+  /**
+   * The id of the request set by the API Console.
+   */
+  requestId: string;
+  /**
+   * The timestamp when the request started.
+   */
+  time: number;
+  request: {
+    url: string;
+    method: string;
+    headers: string;
+    /**
+     * The body of the request. Text bodies are truncated to 64 KB. Serialized bodies larger than that are not stored.
+     */
+    payload?: string | ISafePayload;
+    /**
+     * The type of the request body when the body is not a text.
+     */
+    payloadType?: PayloadTypes;
+  };
+  response: {
+    status?: number;
+    statusText?: string;
+    headers?: string;
+    /**
+     * The body of the response. Text bodies are truncated to 64 KB. Binary bodies larger than that are not stored.
+     */
+    payload?: string | ISafePayload;
+    /**
+     * Set when the request failed.
+     */
+    error?: boolean;
+    code?: string;
+    message?: string;
+  };
+  redirects?: IApiConsoleRedirect[];
+  stats: IApiConsoleHttpResponseStats;
+}
+
+/**
+ * The query of the history entries.
+ */
+export interface IHistoryQuery {
+  /**
+   * The maximum number of returned entries.
+   */
+  limit?: number;
+  /**
+   * Returns the entries of requests started at or after this timestamp.
+   */
+  since?: number;
+  /**
+   * Returns the entries which URL contains this value.
+   */
+  url?: string;
+  /**
+   * Returns the entries with this HTTP method.
+   */
+  method?: string;
+}
+
+export type SnippetLanguage = 'curl' | 'httpie' | 'fetch' | 'python';
+
+export interface ISnippetOptions {
+  /**
+   * The value of the `cookie` header used when the request is made with the `include` credentials mode.
+   * The extension reads the cookies from the browser's cookie store so their values are unknown to the API Console.
+   * When not set, a placeholder is used.
+   */
+  cookie?: string;
+}
+
+/**
+ * The HAR 1.2 document.
+ * @see http://www.softwareishard.com/blog/har-12-spec/
+ */
+export interface IHar {
+  log: IHarLog;
+}
+
+export interface IHarCreator {
+  name: string;
+  version: string;
+}
+
+export interface IHarLog {
+  version: '1.2';
+  creator: IHarCreator;
+  pages: unknown[];
+  entries: IHarEntry[];
+}
+
+export interface IHarEntry {
+  /**
+   * The ISO 8601 date when the request started.
+   */
+  startedDateTime: string;
+  /**
+   * The total time of the request in milliseconds.
+   */
+  time: number;
+  request: IHarRequest;
+  response: IHarResponse;
+  cache: Record<string, never>;
+  timings: IRequestTimings;
+}
+
+export interface IHarNameValue {
+  name: string;
+  value?: string;
+  fileName?: string;
+  contentType?: string;
+}
+
+export interface IHarRequest {
+  method: string;
+  url: string;
+  httpVersion: string;
+  cookies: IHarNameValue[];
+  headers: IHarNameValue[];
+  queryString: IHarNameValue[];
+  postData?: IHarPostData;
+  headersSize: number;
+  bodySize: number;
+}
+
+export interface IHarPostData {
+  mimeType: string;
+  text?: string;
+  params?: IHarNameValue[];
+  comment?: string;
+}
+
+export interface IHarResponse {
+  status: number;
+  statusText: string;
+  httpVersion: string;
+  cookies: IHarNameValue[];
+  headers: IHarNameValue[];
+  content: IHarContent;
+  redirectURL: string;
+  headersSize: number;
+  bodySize: number;
+  /**
+   * The error message when the request failed. This is a custom field.
+   */
+  _error?: string;
+}
+
+export interface IHarContent {
+  size: number;
+  mimeType: string;
+  text?: string;
+  encoding?: 'base64';
+}
+
+export type ApiConsoleCommand = 'history-enable' | 'history-disable' | 'history-query' | 'history-clear' | 'history-har' |
+  'mocks-enable' | 'mocks-disable' | 'mocks-list' | 'mocks-add' | 'mocks-remove' | 'mocks-clear' |
+  'recording-start' | 'recording-stop' | 'recording-export' | 'replay-start' | 'replay-stop' | 'cache-clear';
+
+/**
+ * A command sent by the API Console to the extension.
+ * The extension responds with the `IApiConsoleCommandResult` with the same `id`.
+ */
+export interface IApiConsoleCommand {
+  /**
+   * The id of the command, generated by the `ApiConsoleAppProxy`.
+   */
+  id: string;
+  command: ApiConsoleCommand;
+  /**
+   * The arguments of the command.
+   */
+  data?: any;
+}
+
+export interface IApiConsoleCommandResult {
+  id: string;
+  /**
+   * The value returned by the command.
+   */
+  result?: any;
+  /**
+   * Set when the command failed.
+   */
+  error?: IApiConsoleProxyError;
+}
+
+export interface IProxyMessageCommandResponse extends IProxyMessage {
+  'api-console-payload': 'api-console-command-response';
+  'api-console-data': IApiConsoleCommandResult;
+}
+
+export interface IApiConsoleHttpResponse {
+  responseData: IApiConsoleHttpResponseData | IApiConsoleProxyError;
+  stats: IApiConsoleHttpResponseStats;
+  id: string;
+  request: IApiConsoleHttpRequest;
+  /**
+   * The list of redirects the request followed before the final response, in order.
+   */
+  redirects?: IApiConsoleRedirect[];
+  /**
+   * The list of cookies stored in the browser's cookie store for the request URL,
+   * when the request was made with the `include` credentials mode.
+   * These are not necessarily the cookies sent with the request: the browser may skip some of them,
+   * for example because of the `SameSite` attribute.
+   */
+  cookies?: IAttachedCookie[];
+  /**
+   * The id of the mock rule which answered the request. The request was not made.
+   */
+  mockRule?: string;
+  /**
+   * Set when the response was replayed from a recording. The request was not made.
+   */
+  replayed?: boolean;
+  /**
+   * The steps of the authorization handled by the extension, like the authentication challenge
+   * answered before the final response.
+   */
+  authLog?: IAuthLogEntry[];
+}
+
+/**
+ * A step of the authorization handled by the extension.
+ */
+export interface IAuthLogEntry {
+  /**
+   * The authorization scheme, like `digest`.
+   */
+  scheme: string;
+  /**
+   * The human readable description of the step.
+   */
+  message: string;
+  /**
+   * The status of the intermediate response, when the step has one.
+   */
+  status?: number;
+  statusText?: string;
+  /**
+   * The headers of the intermediate response.
+   */
+  headers?: string;
+  /**
+   * Whether the response was authenticated by the server, when the step verifies the response.
+   */
+  verified?: boolean;
+}
+
+/**
+ * A cookie stored for the request URL. The value of the cookie is not reported.
+ */
+export interface IAttachedCookie {
+  name: string;
+  domain: string;
+  path: string;
+  secure: boolean;
+  httpOnly: boolean;
+  sameSite: string;
+}
+
+/**
+ * A redirect response received when making the request.
+ */
+export interface IApiConsoleRedirect {
+  /**
+   * The URL of the request that was redirected.
+   */
+  url: string;
+  /**
+   * The status code of the redirect response.
+   */
+  status: number;
+  statusText?: string;
+  /**
+   * The URL the request was redirected to.
+   */
+  location: string;
+  /**
+   * The headers string of the redirect response.
+   */
+  headers: string;
+  /**
+   * The timestamp when the redirect was received.
+   */
+  startTime: number;
+}
+
+export interface IApiConsoleHttpResponseData {
+  /**
+   * The response body.
+   * When the `responseType` is not `text`, the extension reports the body as a serialized payload 
+   * which is restored to an `ArrayBuffer` or a `Blob` by the `ApiConsoleAppProxy`.
+   */
+  response: string | ISafePayload | ArrayBuffer | Blob;
+  /**
+   * The response body as string. This is empty when the `responseType` is not `text`.
+   */
+  responseText: string;
+  responseType: ResponseType;
+  responseURL: string;
+  status: number,
+  statusText?: string;
+  readyState?: number;
+  headers?: string;
+}
+
+export interface IApiConsoleProxyError {
+  error: true;
+  code?: string;
+  message: string;
+  state?: string;
+}
+
+export interface IApiConsoleHttpResponseStats {
+  /**
+   * The time in milliseconds it took to make the request and to read the response body.
+   */
+  loadingTime: number;
+  /**
+   * The timestamp when the request was started.
+   */
+  startTime: number;
+  /**
+   * The timings of the request phases, when available.
+   */
+  timings?: IRequestTimings;
+  /**
+   * The size of the sent request.
+   */
+  requestSize?: IMessageSize;
+  /**
+   * The size of the received response. The body size is the size of the decoded body.
+   */
+  responseSize?: IMessageSize;
+  /**
+   * The list of attempts, when the request has the retry policy.
+   */
+  attempts?: IRequestAttempt[];
+  /**
+   * The time in milliseconds the request waited in the queue for a free slot,
+   * when the concurrency limits were reached. Included in the `loadingTime`.
+   */
+  queueTime?: number;
+  /**
+   * Set when the response was served from the response cache.
+   */
+  cache?: CacheStatus;
+  /**
+   * Set when the request body was compressed.
+   */
+  compression?: IRequestCompression;
+}
+
+/**
+ * The timings of the request phases, in milliseconds.
+ * The names follow the HAR 1.2 `timings` object. 
+ * The `-1` value means that the phase does not apply to the request or the value is not available.
+ */
+export interface IRequestTimings {
+  /**
+   * The time spent in a queue waiting for a network connection.
+   */
+  blocked: number;
+  /**
+   * The DNS resolution time.
+   */
+  dns: number;
+  /**
+   * The time required to create the TCP connection. This includes the `ssl` time.
+   */
+  connect: number;
+  /**
+   * The time required for the SSL/TLS negotiation.
+   */
+  ssl: number;
+  /**
+   * The time required to send the HTTP request to the server.
+   * The browser does not expose this value so it is `-1` and the time is included in the `wait` time.
+   */
+  send: number;
+  /**
+   * Waiting for a response from the server (TTFB).
+   */
+  wait: number;
+  /**
+   * The time required to read the entire response from the server.
+   */
+  receive: number;
+}
+
+/**
+ * The size of an HTTP message, in bytes.
+ */
+export interface IMessageSize {
+  headers: number;
+  body: number;
+}
+
+/**
+ * The timestamps of the `chrome.webRequest` events of a request.
+ */
+export interface IRequestObserverTimestamps {
+  start?: number;
+  sendHeaders?: number;
+  headersReceived?: number;
+  responseStarted?: number;
+  completed?: number;
 }
 
 export interface IApiConsoleProxyResponse {
@@ -449,3 +449,112 @@ export const CodeServerMock = {
     };
   },
 };
+
+const oauth1Consumer = { key: 'oauth1-ck', secret: 'oauth1-cs' };
+const oauth1Temporary = { token: 'request-token', secret: 'request-secret', verifier: 'verifier1234' };
+
+/**
+ * Percent-encodes the value as required by OAuth 1.
+ * 
+ * @param {string} value
+ * @returns {string}
+ */
+function oauth1Encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Verifies the HMAC-SHA1 signature of the OAuth 1 request.
+ * 
+ * @param {any} ctx
+ * @param {string} body The form-urlencoded body of the request.
+ * @param {string} tokenSecret
+ * @returns {Record<string, string> | undefined} The OAuth parameters when the signature is valid.
+ */
+function verifyOAuth1(ctx, body, tokenSecret) {
+  const header = ctx.request.header.authorization || '';
+  if (!header.startsWith('OAuth ')) {
+    return undefined;
+  }
+  /** @type Record<string, string> */
+  const oauth = {};
+  header.substring(6).split(',').forEach((part) => {
+    const [name, value] = part.trim().split('=');
+    oauth[decodeURIComponent(name)] = decodeURIComponent(value.replace(/"/g, ''));
+  });
+  if (oauth.oauth_consumer_key !== oauth1Consumer.key || oauth.oauth_signature_method !== 'HMAC-SHA1') {
+    return undefined;
+  }
+  const url = new URL(ctx.request.url, 'http://localhost:8000');
+  const params = [...url.searchParams.entries(), ...new URLSearchParams(body).entries()];
+  Object.keys(oauth).forEach((name) => {
+    if (name !== 'oauth_signature' && name !== 'realm') {
+      params.push([name, oauth[name]]);
+    }
+  });
+  const normalized = params.map(([name, value]) => [oauth1Encode(name), oauth1Encode(value)]).sort(([n1, v1], [n2, v2]) => {
+    if (n1 !== n2) {
+      return n1 < n2 ? -1 : 1;
+    }
+    return v1 < v2 ? -1 : 1;
+  }).map(([name, value]) => `${name}=${value}`).join('&');
+  const base = [ctx.request.method, oauth1Encode(`${url.origin}${url.pathname}`), oauth1Encode(normalized)].join('&');
+  const key = `${oauth1Encode(oauth1Consumer.secret)}&${oauth1Encode(tokenSecret)}`;
+  const signature = crypto.createHmac('sha1', key).update(base).digest('base64');
+  return signature === oauth.oauth_signature ? oauth : undefined;
+}
+
+/**
+ * Sends the form-urlencoded response, or the `401` response when the result is not set.
+ * 
+ * @param {any} ctx
+ * @param {URLSearchParams=} result
+ */
+function oauth1Response(ctx, result) {
+  if (!result) {
+    ctx.status = 401;
+    ctx.type = 'text/plain';
+    ctx.body = 'invalid signature';
+    return;
+  }
+  ctx.status = 200;
+  ctx.type = formContentType;
+  ctx.body = result.toString();
+}
+
+export const OAuth1ServerMock = {
+  async requestToken(ctx) {
+    const oauth = verifyOAuth1(ctx, await readBody(ctx), '');
+    if (!oauth || !oauth.oauth_callback) {
+      oauth1Response(ctx);
+      return;
+    }
+    const result = new URLSearchParams();
+    result.set('oauth_token', oauth1Temporary.token);
+    result.set('oauth_token_secret', oauth1Temporary.secret);
+    result.set('oauth_callback_confirmed', 'true');
+    oauth1Response(ctx, result);
+  },
+
+  async authorize(ctx) {
+    const url = new URL(ctx.request.url, 'http://localhost:8000');
+    const redirect = new URL('/test/authorization/popup.html', 'http://localhost:8000');
+    redirect.searchParams.set('oauth_token', url.searchParams.get('oauth_token'));
+    redirect.searchParams.set('oauth_verifier', oauth1Temporary.verifier);
+    ctx.status = 301;
+    ctx.redirect(redirect.toString());
+  },
+
+  async accessToken(ctx) {
+    const oauth = verifyOAuth1(ctx, await readBody(ctx), oauth1Temporary.secret);
+    if (!oauth || oauth.oauth_token !== oauth1Temporary.token || oauth.oauth_verifier !== oauth1Temporary.verifier) {
+      oauth1Response(ctx);
+      return;
+    }
+    const result = new URLSearchParams();
+    result.set('oauth_token', responseToken);
+    result.set('oauth_token_secret', 'secret1234');
+    result.set('user_id', '42');
+    oauth1Response(ctx, result);
+  },
+};
@@ -0,0 +1,115 @@
+import { test, expect } from '@playwright/test';
+
+/** @typedef {import('../src/types').IApiConsoleHttpRequest} IApiConsoleHttpRequest */
+/** @typedef {import('../src/types').SnippetLanguage} SnippetLanguage */
+
+test.describe('Code snippets', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('./index.html');
+  });
+
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {IApiConsoleHttpRequest} request
+   * @param {SnippetLanguage} language
+   * @returns {Promise<string>}
+   */
+  async function generate(page, request, language) {
+    return page.evaluate(async ({ request, language }) => {
+      const { CodeSnippets } = await import('../index.js');
+      return CodeSnippets.generate(request, language);
+    }, { request, language });
+  }
+
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @returns {Promise<IApiConsoleHttpRequest>}
+   */
+  async function multipartRequest(page) {
+    return page.evaluate(async () => {
+      const { PayloadSerializer } = await import('../src/proxy/PayloadSerializer.js');
+      const form = new FormData();
+      form.set('txt-field', 'text field value');
+      form.set('file-field', new File(['file value'], 'file.txt', { type: 'text/plain' }));
+      const payload = await PayloadSerializer.serialize(form);
+      return /** @type IApiConsoleHttpRequest */ ({
+        id: '1',
+        url: 'https://httpbin.org/post',
+        method: 'POST',
+        headers: 'x-custom: value',
+        payload,
+      });
+    });
+  }
+
+  test('generates the cURL command with the multipart body', async ({ page }) => {
+    const request = await multipartRequest(page);
+    const result = await generate(page, request, 'curl');
+    expect(result).toContain(`curl 'https://httpbin.org/post'`);
+    expect(result).toContain(`-H 'x-custom: value'`);
+    expect(result).toContain(`--form-string 'txt-field=text field value'`);
+    expect(result).toContain(`-F 'file-field=@file.txt;type=text/plain'`);
+  });
+
+  test('adds the content type set by the fetch to a text body', async ({ page }) => {
+    const result = await generate(page, { id: '1', url: 'https://httpbin.org/put', method: 'PUT', payload: `it's` }, 'curl');
+    expect(result).toContain(`-X PUT`);
+    expect(result).toContain(`-H 'content-type: text/plain;charset=UTF-8'`);
+    expect(result).toContain(`--data-raw 'it'\\''s'`);
+  });
+
+  test('adds the cookie header with the include credentials', async ({ page }) => {
+    const result = await generate(page, { id: '1', url: 'https://httpbin.org/get', method: 'GET', credentials: 'include' }, 'httpie');
+    expect(result).toContain(`'cookie:<cookies from the browser>'`);
+  });
+
+  test('generates the fetch code', async ({ page }) => {
+    const request = await multipartRequest(page);
+    const result = await generate(page, request, 'fetch');
+    expect(result).toContain('body.append("txt-field", "text field value");');
+    expect(result).toContain('new File([new Uint8Array([');
+    expect(result).toContain('const response = await fetch("https://httpbin.org/post", {');
+  });
+
+  test('compresses the body with the content encoding', async ({ page }) => {
+    const request = /** @type IApiConsoleHttpRequest */ ({ id: '1', url: 'https://httpbin.org/post', method: 'POST', payload: 'hello', compression: 'gzip' });
+    const curl = await generate(page, request, 'curl');
+    expect(curl).toContain(`-H 'content-encoding: gzip'`);
+    expect(curl).toContain(`--data-binary @<(printf %s 'hello' | gzip -c)`);
+    const python = await generate(page, request, 'python');
+    expect(python).toContain('import gzip');
+    expect(python).toContain('data = gzip.compress(data)');
+    const fetch = await generate(page, request, 'fetch');
+    expect(fetch).toContain('new CompressionStream("gzip")');
+  });
+
+  test('does not compress the body with an unsupported encoding', async ({ page }) => {
+    const request = /** @type IApiConsoleHttpRequest */ (/** @type any */ ({ id: '1', url: 'https://httpbin.org/post', method: 'POST', payload: 'hello', compression: 'br' }));
+    const fetch = await generate(page, request, 'fetch');
+    expect(fetch).not.toContain('CompressionStream');
+    expect(fetch).not.toContain('content-encoding');
+  });
+
+  test('compresses the multipart body in the Python code', async ({ page }) => {
+    const request = { ...await multipartRequest(page), compression: /** @type const */ ('deflate') };
+    const python = await generate(page, request, 'python');
+    expect(python).toContain('prepared.body = zlib.compress(prepared.body)');
+    const curl = await generate(page, request, 'curl');
+    expect(curl).toContain(`# The extension sends the form with the deflate encoding.`);
+    expect(curl).not.toContain('content-encoding');
+  });
+
+  test('marks the snippet of the request with the auth as unsigned', async ({ page }) => {
+    const auth = { type: /** @type const */ ('hawk'), id: 'dh37fgj492je', key: 'werxhqb98rpaxn39848xrunpaw3489ruxnpa98w4rxn', algorithm: /** @type const */ ('sha256') };
+    const result = await generate(page, { id: '1', url: 'https://httpbin.org/get', method: 'GET', auth }, 'curl');
+    expect(result.split('\n')[0]).toEqual('# The snippet is unsigned. The extension applies the hawk authorization when it makes the request.');
+  });
+
+  test('generates the Python code', async ({ page }) => {
+    const request = await multipartRequest(page);
+    const result = await generate(page, request, 'python');
+    expect(result).toContain('("txt-field", (None, "text field value")),');
+    expect(result).toContain('("file-field", ("file.txt", open("file.txt", "rb"), "text/plain")),');
+    expect(result).toContain('requests.request("POST", url, headers=headers, files=files, allow_redirects=True)');
+  });
+});
@@ -0,0 +1,90 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+
+/** @typedef {import('../src/types').IHistoryEntry} IHistoryEntry */
+/** @typedef {import('../src/types').IHar} IHar */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('Request history', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page }) => {
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  test('does not record requests by default', async () => {
+    await proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    const entries = /** @type IHistoryEntry[] */ (await proxy.callProxy('queryHistory'));
+    expect(entries).toHaveLength(0);
+  });
+
+  test('records requests when enabled', async () => {
+    await proxy.callProxy('enableHistory');
+    await proxy.proxyEvent('https://httpbin.org/get', 'GET', 'authorization: Bearer secret\nx-test: value');
+    const entries = /** @type IHistoryEntry[] */ (await proxy.callProxy('queryHistory'));
+    expect(entries).toHaveLength(1);
+    const [entry] = entries;
+    expect(entry.request.url).toEqual('https://httpbin.org/get');
+    expect(entry.request.headers).toContain('x-test: value');
+    expect(entry.request.headers).not.toContain('secret');
+    expect(entry.response.status).toEqual(200);
+    expect(entry.stats.loadingTime).toBeGreaterThan(0);
+  });
+
+  test('keeps the history after the page reload', async ({ page }) => {
+    await proxy.callProxy('enableHistory');
+    await proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    await page.reload();
+    const entries = /** @type IHistoryEntry[] */ (await proxy.callProxy('queryHistory'));
+    expect(entries).toHaveLength(1);
+  });
+
+  test('clears the history', async () => {
+    await proxy.callProxy('enableHistory');
+    await proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    await proxy.callProxy('clearHistory');
+    const entries = /** @type IHistoryEntry[] */ (await proxy.callProxy('queryHistory'));
+    expect(entries).toHaveLength(0);
+  });
+
+  test('exports the history as HAR', async () => {
+    await proxy.callProxy('enableHistory');
+    await proxy.proxyEvent('https://httpbin.org/post?a=b', 'POST', 'content-type: application/json', '{"test":true}');
+    const har = /** @type IHar */ (await proxy.callProxy('exportHar'));
+    expect(har.log.version).toEqual('1.2');
+    expect(har.log.entries).toHaveLength(1);
+    const [entry] = har.log.entries;
+    expect(entry.request.method).toEqual('POST');
+    expect(entry.request.queryString).toEqual([{ name: 'a', value: 'b' }]);
+    expect(entry.request.postData).toEqual({ mimeType: 'application/json', text: '{"test":true}' });
+    expect(entry.response.status).toEqual(200);
+    expect(entry.response.content.text).toContain('"test": true');
+    expect(entry.timings.wait).toBeGreaterThanOrEqual(0);
+  });
+});
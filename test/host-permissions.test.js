@@ -0,0 +1,74 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+
+/** @typedef {import('../src/types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('../src/types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('../src/types').IApiConsoleProxyError} IApiConsoleProxyError */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('Host permissions', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page }) => {
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  test('asks for the permission of the request host', async ({ context }) => {
+    const promptPromise = context.waitForEvent('page');
+    const responsePromise = proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    const prompt = await promptPromise;
+    await expect(prompt.locator('#host')).toHaveText('https://httpbin.org');
+    await prompt.click('#deny');
+    await responsePromise;
+  });
+
+  test('reports the permission_denied error when the user declines', async ({ context }) => {
+    const promptPromise = context.waitForEvent('page');
+    const responsePromise = proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    const prompt = await promptPromise;
+    await prompt.click('#deny');
+    const response = /** @type IApiConsoleHttpResponse */ (await responsePromise);
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.error).toBe(true);
+    expect(error.code).toEqual('permission_denied');
+    expect(error.message).toContain('https://httpbin.org');
+  });
+
+  test('does not ask for the permission of a mocked request', async () => {
+    await proxy.callProxy('addMockRule', {
+      url: 'https://api.not-deployed.com/*',
+      method: '*',
+      response: { status: 200, body: 'mocked' },
+    });
+    await proxy.callProxy('enableMocks');
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://api.not-deployed.com/users', 'GET', ''));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(200);
+  });
+});
@@ -3,11 +3,35 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { ProxyRequest } from './models/ProxyRequest.js';
 import { Headers } from '../src/proxy/Headers.js';
+import { createHash, createHmac } from 'crypto';
+import { normalizeRetryPolicy, retryDelay } from '../src/proxy/RetryPolicy.js';
+import { signAwsRequest } from '../src/proxy/AwsSigner.js';
 
 /** @typedef {import('../src/types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
 /** @typedef {import('../src/types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('../src/types').IApiConsoleProxyError} IApiConsoleProxyError */
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @param {string} boundary The boundary of the multipart body sent by the browser.
+ * @returns {string} The multipart body the browser sends for the `FormData` payload of the `ProxyRequest`.
+ */
+function multipartPayload(boundary) {
+  return [
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="txt-field"',
+    '',
+    'text field value',
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="file-field"; filename="file.txt"',
+    'Content-Type: text/plain',
+    '',
+    'file value',
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
 const extensionPath = join(__dirname, '..');
 
 const test = base.extend({
@@ -25,6 +49,7 @@ const test = base.extend({
       },
     };
     const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
     await use(context);
     await context.close();
   }
@@ -65,7 +90,7 @@ test.describe('HTTP Proxy', () => {
     expect(stats).toHaveProperty('startTime');
     expect(request).toHaveProperty('id', response.id);
     expect(request).toHaveProperty('url', 'https://httpbin.org/get');
-    const body = JSON.parse(data.response);
+    const body = JSON.parse(/** @type string */ (data.response));
     const headers = new Headers(body.headers)
     expect(headers.get('x-test')).toEqual('test-value');
   });
@@ -89,7 +114,7 @@ test.describe('HTTP Proxy', () => {
     expect(stats).toHaveProperty('startTime');
     expect(request).toHaveProperty('id', response.id);
     expect(request).toHaveProperty('url', 'https://httpbin.org/post');
-    const body = JSON.parse(data.response);
+    const body = JSON.parse(/** @type string */ (data.response));
     const headers = new Headers(body.headers)
     expect(headers.get('x-test')).toEqual('test-value');
     expect(headers.get('content-type')).toEqual('text/plain');
@@ -115,7 +140,7 @@ test.describe('HTTP Proxy', () => {
     expect(stats).toHaveProperty('startTime');
     expect(request).toHaveProperty('id', response.id);
     expect(request).toHaveProperty('url', 'https://httpbin.org/post');
-    const body = JSON.parse(data.response);
+    const body = JSON.parse(/** @type string */ (data.response));
     const headers = new Headers(body.headers)
     expect(headers.get('x-test')).toEqual('test-value');
     expect(headers.get('content-type')).toContain('multipart/form-data');
@@ -142,10 +167,413 @@ test.describe('HTTP Proxy', () => {
     expect(stats).toHaveProperty('startTime');
     expect(request).toHaveProperty('id', response.id);
     expect(request).toHaveProperty('url', 'https://httpbin.org/post');
-    const body = JSON.parse(data.response);
+    const body = JSON.parse(/** @type string */ (data.response));
     const headers = new Headers(body.headers)
     expect(headers.get('x-test')).toEqual('test-value');
     expect(headers.get('content-type')).toContain('text/plain');
     expect(body.data).toEqual('test file contents');
   });
+
+  test('reports an aborted request', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyAbort('https://httpbin.org/delay/10'));
+    expect(response).toHaveProperty('responseData');
+    expect(response).toHaveProperty('id');
+    expect(response).toHaveProperty('request');
+    const data = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(data.error).toBe(true);
+    expect(data.code).toEqual('aborted');
+    expect(response.stats.startTime).toBeGreaterThan(0);
+  });
+
+  test('aborts a request right after it was sent', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyAbort('https://httpbin.org/delay/10', 0));
+    const data = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(data.error).toBe(true);
+    expect(data.code).toEqual('aborted');
+  });
+
+  test('proxies a binary response as an ArrayBuffer', async () => {
+    const info = await proxy.proxyBinary('https://httpbin.org/image/png');
+    expect(info.responseType).toEqual('arraybuffer');
+    expect(info.bodyType).toEqual('ArrayBuffer');
+    expect(info.size).toBeGreaterThan(0);
+    // the PNG signature
+    expect(info.head).toEqual([137, 80, 78, 71]);
+  });
+
+  test('proxies a binary response as a Blob when requested', async () => {
+    const info = await proxy.proxyBinary('https://httpbin.org/image/png', 'blob');
+    expect(info.responseType).toEqual('blob');
+    expect(info.bodyType).toEqual('Blob');
+    expect(info.size).toBeGreaterThan(0);
+    expect(info.mime).toEqual('image/png');
+    expect(info.head).toEqual([137, 80, 78, 71]);
+  });
+
+  test('reports followed redirects', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/redirect/2', 'GET'));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data).toHaveProperty('status', 200);
+    expect(data).toHaveProperty('responseURL', 'https://httpbin.org/get');
+    expect(response.redirects).toHaveLength(2);
+    const [redirect] = response.redirects;
+    expect(redirect.status).toEqual(302);
+    expect(redirect.url).toEqual('https://httpbin.org/redirect/2');
+    expect(redirect.location).toContain('/relative-redirect/1');
+    expect(redirect.headers).toContain('location');
+  });
+
+  test('returns the redirect response with the manual policy', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/redirect/1', 'GET', '', undefined, { redirect: 'manual' }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data).toHaveProperty('status', 302);
+    expect(data.headers).toContain('location');
+    expect(response.redirects).toBeUndefined();
+  });
+
+  test('reports an error for a redirect with the error policy', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/redirect/1', 'GET', '', undefined, { redirect: 'error' }));
+    const data = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(data.error).toBe(true);
+    expect(data.code).toEqual('redirect_error');
+  });
+
+  test('reports the request timings and sizes', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxy('https://httpbin.org/post', 'POST', 'content-type: text/plain', 'message body'));
+    const { stats } = response;
+    expect(stats.loadingTime).toBeGreaterThan(0);
+    expect(stats.timings).toBeDefined();
+    expect(stats.timings.send).toEqual(-1);
+    expect(stats.timings.wait).toBeGreaterThanOrEqual(0);
+    expect(stats.timings.receive).toBeGreaterThanOrEqual(0);
+    expect(stats.requestSize.body).toEqual(12);
+    expect(stats.requestSize.headers).toBeGreaterThan(0);
+    expect(stats.responseSize.body).toBeGreaterThan(0);
+    expect(stats.responseSize.headers).toBeGreaterThan(0);
+  });
+
+  test('reports a timeout error', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/delay/10', 'GET', '', undefined, { timeout: 500 }));
+    const data = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(data.error).toBe(true);
+    expect(data.code).toEqual('timeout');
+    expect(data.message).toContain('500');
+  });
+
+  test('retries the request with the retryable status', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/status/503', 'GET', '', undefined, { retry: { maxAttempts: 2, delay: 10 } }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(503);
+    const { attempts } = response.stats;
+    expect(attempts).toHaveLength(2);
+    expect(attempts[0]).toHaveProperty('status', 503);
+    expect(attempts[0]).toHaveProperty('delay', 10);
+    expect(attempts[1]).toHaveProperty('delay', 0);
+  });
+
+  test('does not retry the request with other statuses', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/status/404', 'GET', '', undefined, { retry: { maxAttempts: 3, delay: 10 } }));
+    expect(response.stats.attempts).toHaveLength(1);
+  });
+
+  test('honours the retry-after value in full and caps only the backoff', () => {
+    const policy = normalizeRetryPolicy({ maxAttempts: 3, delay: 1000, maxDelay: 30000, factor: 100 });
+    expect(retryDelay(policy, 1, '20')).toEqual(20000);
+    expect(retryDelay(policy, 2)).toEqual(30000);
+    expect(retryDelay(policy, 1, '120')).toBeUndefined();
+  });
+
+  test('streams the response body', async () => {
+    const result = await proxy.proxyStream('http://localhost:8000/events', 3);
+    expect(result.response.responseData).toHaveProperty('status', 200);
+    expect(result.response.responseData.headers).toContain('text/event-stream');
+    expect(result.chunks.length).toBeGreaterThanOrEqual(3);
+    expect(result.chunks.join('')).toContain('data: event 1');
+    const data = /** @type IApiConsoleProxyError */ (result.end.responseData);
+    expect(data.error).toBe(true);
+    expect(data.code).toEqual('aborted');
+  });
+
+  test('aborts a stream right after it was sent', async () => {
+    const result = await proxy.proxyStream('http://localhost:8000/events', 0);
+    expect(result.responses).toEqual(0);
+    const data = /** @type IApiConsoleProxyError */ (result.end.responseData);
+    expect(data.error).toBe(true);
+    expect(data.code).toEqual('aborted');
+  });
+
+  test('streams the response without the Hawk verification', async () => {
+    const auth = { type: 'hawk', id: 'dh37fgj492je', key: 'werxhqb98rpaxn39848xrunpaw3489ruxnpa98w4rxn', algorithm: 'sha256', verifyResponse: true };
+    const result = await proxy.proxyStream('http://localhost:8000/events', 3, { auth });
+    expect(result.response.responseData).toHaveProperty('status', 200);
+    expect(result.chunks.join('')).toContain('data: event 1');
+  });
+
+  test('sends the user cookies with the include credentials mode', async () => {
+    await proxy.proxyEvent('https://httpbin.org/cookies/set?session-id=test-session', 'GET', '', undefined, { credentials: 'include' });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cookies', 'GET', '', undefined, { credentials: 'include' }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    expect(body.cookies).toHaveProperty('session-id', 'test-session');
+    expect(response.cookies.map(c => c.name)).toContain('session-id');
+    expect(response.cookies[0]).not.toHaveProperty('value');
+  });
+
+  test('does not send the user cookies by default', async () => {
+    await proxy.proxyEvent('https://httpbin.org/cookies/set?session-id=test-session', 'GET', '', undefined, { credentials: 'include' });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cookies', 'GET'));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    expect(body.cookies).not.toHaveProperty('session-id');
+    expect(response.cookies).toBeUndefined();
+  });
+
+  test('sets the headers forbidden by the fetch', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxy('https://httpbin.org/get', 'GET', 'origin: https://console.example.com\nreferer: https://console.example.com/docs\nuser-agent: api-console-test'));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    const headers = new Headers(body.headers);
+    expect(headers.get('origin')).toEqual('https://console.example.com');
+    expect(headers.get('referer')).toEqual('https://console.example.com/docs');
+    expect(headers.get('user-agent')).toEqual('api-console-test');
+  });
+
+  test('queues the requests over the per-host limit', async ({ context }) => {
+    await ProxyRequest.updateSettings(context, { maxConcurrentRequestsPerHost: 1 });
+    const responses = /** @type IApiConsoleHttpResponse[] */ (await proxy.proxyEvents(['https://httpbin.org/delay/1', 'https://httpbin.org/delay/1']));
+    const queueTimes = responses.map(response => response.stats.queueTime).sort((a, b) => a - b);
+    expect(queueTimes[0]).toBeLessThan(500);
+    expect(queueTimes[1]).toBeGreaterThanOrEqual(900);
+  });
+
+  test('does not queue the requests to different hosts', async ({ context }) => {
+    await ProxyRequest.updateSettings(context, { maxConcurrentRequestsPerHost: 1 });
+    const responses = /** @type IApiConsoleHttpResponse[] */ (await proxy.proxyEvents(['https://httpbin.org/delay/1', 'https://postman-echo.com/delay/1']));
+    responses.forEach((response) => {
+      expect(response.stats.queueTime).toBeLessThan(500);
+    });
+  });
+
+  const awsAuth = {
+    type: 'aws-sigv4',
+    accessKeyId: 'AKIDEXAMPLE',
+    secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+    sessionToken: 'test-session-token',
+    region: 'us-east-1',
+    service: 'execute-api',
+  };
+
+  test('signs the request with the AWS signature', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything?b=2&a=1', 'POST', 'content-type: application/json', '{"a":1}', { auth: awsAuth }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    const headers = new Headers(body.headers);
+    expect(headers.get('authorization')).toMatch(/^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/execute-api\/aws4_request, SignedHeaders=content-type;host;x-amz-date;x-amz-security-token, Signature=[0-9a-f]{64}$/);
+    expect(headers.get('x-amz-date')).toMatch(/^\d{8}T\d{6}Z$/);
+    expect(headers.get('x-amz-security-token')).toEqual('test-session-token');
+  });
+
+  test('signs the request with a multipart body', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything', 'POST', '', 'FormData', { auth: { ...awsAuth, service: 's3' } }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    const headers = new Headers(body.headers);
+    expect(headers.get('authorization')).toContain('SignedHeaders=host;x-amz-content-sha256;x-amz-date;x-amz-security-token');
+    const [, boundary] = headers.get('content-type').match(/^multipart\/form-data; boundary=(.+)$/);
+    expect(headers.get('x-amz-content-sha256')).toEqual(createHash('sha256').update(multipartPayload(boundary)).digest('hex'));
+    expect(body.form).toHaveProperty('txt-field', 'text field value');
+  });
+
+  test('signs the request as in the AWS SigV4 test suite', async () => {
+    // the get-vanilla-query-order-key-case request of the AWS Signature Version 4 test suite.
+    const init = /** @type RequestInit */ ({ method: 'GET' });
+    const auth = { ...awsAuth, sessionToken: undefined, service: 'service' };
+    await signAwsRequest('https://example.amazonaws.com/?Param2=value2&Param1=value1', init, /** @type any */ (auth), new Date('2015-08-30T12:36:00Z'));
+    const headers = /** @type globalThis.Headers */ (init.headers);
+    expect(headers.get('x-amz-date')).toEqual('20150830T123600Z');
+    expect(headers.get('authorization')).toEqual('AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=host;x-amz-date, Signature=b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500');
+  });
+
+  test('hashes the multipart body as it is sent', async () => {
+    const form = new FormData();
+    form.set('txt-field', 'text field value');
+    form.set('file-field', new File(['file value'], 'file.txt', { type: 'text/plain' }));
+    // the proxy sends the multipart body serialized to a blob.
+    const body = await new Response(form).blob();
+    const init = /** @type RequestInit */ ({ method: 'POST', body });
+    await signAwsRequest('https://example.amazonaws.com/upload', init, /** @type any */ ({ ...awsAuth, service: 's3' }), new Date('2015-08-30T12:36:00Z'));
+    const sent = Buffer.from(await body.arrayBuffer());
+    expect(/** @type globalThis.Headers */ (init.headers).get('x-amz-content-sha256')).toEqual(createHash('sha256').update(sent).digest('hex'));
+  });
+
+  test('reports the auth_error when the AWS configuration is incomplete', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', '', undefined, { auth: { type: 'aws-sigv4', accessKeyId: 'AKIDEXAMPLE' } }));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('auth_error');
+    expect(error.message).toContain('secretAccessKey');
+  });
+
+  test('signs the request with the HTTP message signature', async ({ context }) => {
+    const secret = 'test-shared-secret-value';
+    await ProxyRequest.importSigningKey(context, 'test-key', 'hmac-sha256', { kty: 'oct', k: Buffer.from(secret).toString('base64url') });
+    const auth = { type: 'http-signature', keyId: 'test-key' };
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything', 'POST', 'content-type: application/json', '{"hello": "world"}', { auth }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    const headers = new Headers(body.headers);
+    expect(headers.get('content-digest')).toEqual('sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:');
+    const input = headers.get('signature-input');
+    expect(input).toMatch(/^sig1=\("@method" "@authority" "@path" "content-type" "content-digest"\);created=\d+;keyid="test-key"$/);
+    const signatureBase = [
+      '"@method": POST',
+      '"@authority": httpbin.org',
+      '"@path": /anything',
+      '"content-type": application/json',
+      `"content-digest": ${headers.get('content-digest')}`,
+      `"@signature-params": ${input.substring('sig1='.length)}`,
+    ].join('\n');
+    const expected = createHmac('sha256', secret).update(signatureBase).digest('base64');
+    expect(headers.get('signature')).toEqual(`sig1=:${expected}:`);
+  });
+
+  test('reports the auth_error when the signing key is not imported', async () => {
+    const auth = { type: 'http-signature', keyId: 'unknown-key' };
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', '', undefined, { auth }));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('auth_error');
+    expect(error.message).toContain('unknown-key');
+  });
+
+  test('does not sign the request with the key sent by the page', async () => {
+    const auth = { type: 'http-signature', keyId: 'page-key', algorithm: 'hmac-sha256', key: { kty: 'oct', k: 'AA' } };
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', '', undefined, { auth }));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('auth_error');
+  });
+
+  test('answers the Digest authentication challenge', async () => {
+    const auth = { type: 'digest', username: 'user', password: 'passwd' };
+    // httpbin requires the cookie set with the challenge.
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/digest-auth/auth/user/passwd/SHA-256', 'GET', '', undefined, { auth, credentials: 'include' }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(200);
+    expect(JSON.parse(/** @type string */ (data.response))).toEqual({ authenticated: true, user: 'user' });
+    expect(response.authLog).toHaveLength(1);
+    expect(response.authLog[0].scheme).toEqual('digest');
+    expect(response.authLog[0].status).toEqual(401);
+    expect(response.authLog[0].headers.toLowerCase()).toContain('www-authenticate: digest');
+  });
+
+  test('streams only the response to the Digest authentication challenge', async () => {
+    const auth = { type: 'digest', username: 'user', password: 'passwd' };
+    const result = await proxy.proxyStream('https://httpbin.org/digest-auth/auth/user/passwd/MD5', 100, { auth, credentials: 'include' });
+    expect(result.responses).toEqual(1);
+    expect(result.response.responseData).toHaveProperty('status', 200);
+    expect(result.chunks.join('')).toContain('"authenticated": true');
+  });
+
+  test('returns the 401 response without the digest auth', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/digest-auth/auth/user/passwd/MD5', 'GET', ''));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(401);
+    expect(response.authLog).toBeUndefined();
+  });
+
+  test('authenticates the request with Hawk', async () => {
+    const key = 'werxhqb98rpaxn39848xrunpaw3489ruxnpa98w4rxn';
+    const auth = { type: 'hawk', id: 'dh37fgj492je', key, algorithm: 'sha256', ext: 'some-app-ext-data' };
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything?b=1&a=2', 'POST', 'content-type: text/plain', 'Thank you for flying Hawk', { auth }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    const authorization = new Headers(body.headers).get('authorization');
+    const match = authorization.match(/^Hawk id="dh37fgj492je", ts="(\d+)", nonce="([^"]+)", hash="([^"]+)", ext="some-app-ext-data", mac="([^"]+)"$/);
+    expect(match).toBeTruthy();
+    const [, ts, nonce, hash, mac] = match;
+    expect(hash).toEqual('Yi9LfIIFRtBEPt74PVmbTF/xVAwPn7ub15ePICfgnuY=');
+    const normalized = ['hawk.1.header', ts, nonce, 'POST', '/anything?b=1&a=2', 'httpbin.org', '443', hash, 'some-app-ext-data', ''].join('\n');
+    expect(mac).toEqual(createHmac('sha256', key).update(normalized).digest('base64'));
+  });
+
+  test('hashes the multipart body with the content type sent by the fetch', async () => {
+    const auth = { type: 'hawk', id: 'dh37fgj492je', key: 'werxhqb98rpaxn39848xrunpaw3489ruxnpa98w4rxn', algorithm: 'sha256' };
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything', 'POST', '', 'FormData', { auth }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    const headers = new Headers(body.headers);
+    const [, boundary] = headers.get('content-type').match(/^multipart\/form-data; boundary=(.+)$/);
+    const hash = createHash('sha256').update(`hawk.1.payload\nmultipart/form-data\n${multipartPayload(boundary)}\n`).digest('base64');
+    expect(headers.get('authorization')).toContain(`hash="${hash}"`);
+  });
+
+  test('reports the invalid server-authorization header of the Hawk response', async () => {
+    const auth = { type: 'hawk', id: 'dh37fgj492je', key: 'werxhqb98rpaxn39848xrunpaw3489ruxnpa98w4rxn', algorithm: 'sha256', verifyResponse: true };
+    const url = `https://httpbin.org/response-headers?server-authorization=${encodeURIComponent('Hawk mac="aW52YWxpZA=="')}`;
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent(url, 'GET', '', undefined, { auth }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(200);
+    expect(response.authLog).toHaveLength(1);
+    expect(response.authLog[0].scheme).toEqual('hawk');
+    expect(response.authLog[0].verified).toBe(false);
+  });
+
+  test('reports the auth_error when the Hawk configuration is incomplete', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', '', undefined, { auth: { type: 'hawk', id: 'dh37fgj492je', algorithm: 'sha256' } }));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('auth_error');
+    expect(error.message).toContain('key');
+  });
+
+  test('signs the request with OAuth 1.0a', async () => {
+    const auth = { type: 'oauth1', consumerKey: 'ck', consumerSecret: 'cs', token: 'tk', tokenSecret: 'ts', signatureMethod: 'HMAC-SHA1' };
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything?b=1', 'POST', 'content-type: application/x-www-form-urlencoded', 'status=Hello%20Ladies%20%2B%20Gentlemen', { auth }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    const authorization = new Headers(body.headers).get('authorization');
+    expect(authorization).toMatch(/^OAuth oauth_consumer_key="ck", /);
+    /** @type Record<string, string> */
+    const oauth = {};
+    authorization.substring(6).split(', ').forEach((part) => {
+      const [name, value] = part.split('=');
+      oauth[name] = decodeURIComponent(value.replace(/"/g, ''));
+    });
+    expect(oauth.oauth_token).toEqual('tk');
+    const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    const params = [
+      'b=1',
+      `oauth_consumer_key=ck`,
+      `oauth_nonce=${encode(oauth.oauth_nonce)}`,
+      'oauth_signature_method=HMAC-SHA1',
+      `oauth_timestamp=${oauth.oauth_timestamp}`,
+      'oauth_token=tk',
+      'oauth_version=1.0',
+      'status=Hello%20Ladies%20%2B%20Gentlemen',
+    ].join('&');
+    const base = ['POST', encode('https://httpbin.org/anything'), encode(params)].join('&');
+    expect(oauth.oauth_signature).toEqual(createHmac('sha1', 'cs&ts').update(base).digest('base64'));
+  });
+
+  test('reports the auth_error for an unsupported OAuth 1 signature method', async () => {
+    const auth = { type: 'oauth1', consumerKey: 'ck', consumerSecret: 'cs', signatureMethod: 'RSA-SHA256' };
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', '', undefined, { auth }));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('auth_error');
+  });
+
+  test('compresses the request body', async () => {
+    const payload = JSON.stringify({ items: new Array(50).fill('value') });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything', 'POST', 'content-type: application/json', payload, { compression: 'gzip' }));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    const body = JSON.parse(/** @type string */ (data.response));
+    expect(new Headers(body.headers).get('content-encoding')).toEqual('gzip');
+    expect(response.stats.compression.encoding).toEqual('gzip');
+    expect(response.stats.compression.originalSize).toEqual(payload.length);
+    expect(response.stats.compression.compressedSize).toBeLessThan(payload.length);
+    expect(response.stats.requestSize.body).toEqual(response.stats.compression.compressedSize);
+  });
+
+  test('reports the compression_error for an unsupported encoding', async () => {
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/anything', 'POST', '', 'test', { compression: 'zstd' }));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('compression_error');
+  });
 });
@@ -0,0 +1,87 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+
+/** @typedef {import('../src/types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('../src/types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('../src/types').IMockRule} IMockRule */
+/** @typedef {import('../src/types').IOriginMocks} IOriginMocks */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('Response mocks', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page }) => {
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  const rule = /** @type IMockRule */ ({
+    url: 'https://api.not-deployed.com/users/*',
+    method: 'GET',
+    response: {
+      status: 201,
+      statusText: 'Created',
+      headers: 'content-type: application/json\nx-mock: true',
+      body: '{"id":1}',
+    },
+  });
+
+  test('answers the request from the matching rule', async () => {
+    const added = /** @type IMockRule */ (await proxy.callProxy('addMockRule', rule));
+    await proxy.callProxy('enableMocks');
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://api.not-deployed.com/users/1', 'GET', ''));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(201);
+    expect(data.statusText).toEqual('Created');
+    expect(data.headers).toContain('x-mock: true');
+    expect(JSON.parse(/** @type string */ (data.response))).toEqual({ id: 1 });
+    expect(response.mockRule).toEqual(added.id);
+  });
+
+  test('does not use the rules when the mock mode is off', async () => {
+    await proxy.callProxy('addMockRule', { ...rule, url: 'https://httpbin.org/get' });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', ''));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(200);
+    expect(response.mockRule).toBeUndefined();
+  });
+
+  test('does not match other methods', async () => {
+    await proxy.callProxy('addMockRule', { ...rule, url: 'https://httpbin.org/*' });
+    await proxy.callProxy('enableMocks');
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/post', 'POST', '', 'test'));
+    expect(response.mockRule).toBeUndefined();
+  });
+
+  test('removes a rule', async () => {
+    const added = /** @type IMockRule */ (await proxy.callProxy('addMockRule', rule));
+    await proxy.callProxy('removeMockRule', added.id);
+    const mocks = /** @type IOriginMocks */ (await proxy.callProxy('listMockRules'));
+    expect(mocks.rules).toHaveLength(0);
+  });
+});
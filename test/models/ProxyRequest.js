@@ -1,7 +1,82 @@
 /** @typedef {import('../../src/types').ISafePayload} ISafePayload */
 /** @typedef {import('../../src/types').IOAuth2Authorization} IOAuth2Authorization */
+/** @typedef {import('../../src/types').IOAuth1Authorization} IOAuth1Authorization */
+/** @typedef {import('../../src/types').IExtensionSettings} IExtensionSettings */
 
 export class ProxyRequest {
+  /**
+   * The origin of the demo page.
+   */
+  static get origin() {
+    return 'http://localhost:8000';
+  }
+
+  /**
+   * Updates the extension settings through the extension's service worker.
+   * 
+   * @param {import('@playwright/test').BrowserContext} context 
+   * @param {Partial<IExtensionSettings>} values 
+   */
+  static async updateSettings(context, values) {
+    let [worker] = context.serviceWorkers();
+    if (!worker) {
+      worker = await context.waitForEvent('serviceworker');
+    }
+    await worker.evaluate(async (values) => {
+      const { settings } = await chrome.storage.local.get('settings');
+      await chrome.storage.local.set({ settings: { ...settings, ...values } });
+    }, values);
+  }
+
+  /**
+   * Reloads the extension, which restarts its service worker. The stored settings are kept.
+   * 
+   * @param {import('@playwright/test').BrowserContext} context 
+   */
+  static async reloadExtension(context) {
+    let [worker] = context.serviceWorkers();
+    if (!worker) {
+      worker = await context.waitForEvent('serviceworker');
+    }
+    const restarted = context.waitForEvent('serviceworker');
+    // the worker is terminated before the evaluation returns.
+    await worker.evaluate(() => chrome.runtime.reload()).catch(() => undefined);
+    await restarted;
+  }
+
+  /**
+   * Imports the key used to sign the requests of the demo page through the extension's popup.
+   * 
+   * @param {import('@playwright/test').BrowserContext} context 
+   * @param {string} keyId 
+   * @param {string} algorithm 
+   * @param {JsonWebKey} jwk 
+   */
+  static async importSigningKey(context, keyId, algorithm, jwk) {
+    let [worker] = context.serviceWorkers();
+    if (!worker) {
+      worker = await context.waitForEvent('serviceworker');
+    }
+    const popup = await context.newPage();
+    await popup.goto(new URL('/src/popup/popup.html', worker.url()).toString());
+    await popup.fill('#key-form [name="origin"]', ProxyRequest.origin);
+    await popup.fill('#key-form [name="keyId"]', keyId);
+    await popup.selectOption('#key-form [name="algorithm"]', algorithm);
+    await popup.fill('#key-form [name="jwk"]', JSON.stringify(jwk));
+    await popup.click('#key-form button[type="submit"]');
+    await popup.locator('#keys li', { hasText: keyId }).waitFor();
+    await popup.close();
+  }
+
+  /**
+   * Adds the demo page to the origins allowed to use the extension.
+   * 
+   * @param {import('@playwright/test').BrowserContext} context 
+   */
+  static async allowDemoOrigin(context) {
+    await ProxyRequest.updateSettings(context, { allowedOrigins: [ProxyRequest.origin] });
+  }
+
   /**
    * @param {import('@playwright/test').Page} page 
    */
@@ -38,9 +113,10 @@ export class ProxyRequest {
    * @param {string=} method 
    * @param {string=} headers 
    * @param {string | ISafePayload=} payload 
+   * @param {Record<string, any>=} init Additional properties of the request.
    */
-  async proxyEvent(url, method='GET', headers, payload) {
-    const result = await this.page.evaluate(([url, method, headers, payload]) => {
+  async proxyEvent(url, method='GET', headers, payload, init={}) {
+    const result = await this.page.evaluate(({ url, method, headers, payload, init }) => {
       /** @type string | ISafePayload | FormData | File | undefined */
       let finalPayload = payload;
       if (finalPayload === 'FormData') {
@@ -60,6 +136,7 @@ export class ProxyRequest {
           method,
           headers,
           payload: finalPayload,
+          ...init,
         }
       });
       document.body.dispatchEvent(e);
@@ -70,7 +147,298 @@ export class ProxyRequest {
         };
         window.addEventListener('api-response', handler);
       });
-    }, [url, method, headers, payload]);
+    }, { url, method, headers, payload, init });
+    return result;
+  }
+
+  /**
+   * Dispatches the request events for all URLs at once and waits for all responses.
+   * 
+   * @param {string[]} urls 
+   * @returns {Promise<any[]>} The responses, in the order of the URLs.
+   */
+  async proxyEvents(urls) {
+    const result = await this.page.evaluate((urls) => {
+      const ids = urls.map((url, index) => 200 + index);
+      const responses = new Promise((resolve) => {
+        const received = {};
+        const handler = (e) => {
+          if (!ids.includes(e.detail.id)) {
+            return;
+          }
+          received[e.detail.id] = e.detail;
+          if (Object.keys(received).length === ids.length) {
+            window.removeEventListener('api-response', handler);
+            resolve(ids.map(id => received[id]));
+          }
+        };
+        window.addEventListener('api-response', handler);
+      });
+      urls.forEach((url, index) => {
+        document.body.dispatchEvent(new CustomEvent('api-request', {
+          bubbles: true,
+          cancelable: true,
+          detail: {
+            id: ids[index],
+            url,
+            method: 'GET',
+          }
+        }));
+      });
+      return responses;
+    }, urls);
+    return result;
+  }
+
+  /**
+   * Dispatches the request event for a binary response and returns the description of the response body,
+   * as binary values cannot be passed from the page.
+   * 
+   * @param {string} url 
+   * @param {string=} responseType 
+   * @returns {Promise<{ responseType: string, bodyType: string, size: number, mime?: string, head: number[] }>}
+   */
+  async proxyBinary(url, responseType) {
+    const result = await this.page.evaluate(async ({ url, responseType }) => {
+      const e = new CustomEvent('api-request', {
+        bubbles: true,
+        cancelable: true,
+        detail: {
+          id: 103,
+          url,
+          method: 'GET',
+          responseType,
+        }
+      });
+      document.body.dispatchEvent(e);
+      const detail = await new Promise((resolve) => {
+        const handler = (e) => {
+          resolve(e.detail);
+          window.removeEventListener('api-response', handler);
+        };
+        window.addEventListener('api-response', handler);
+      });
+      const { response } = detail.responseData;
+      const isBlob = response instanceof Blob;
+      const buffer = isBlob ? await response.arrayBuffer() : response;
+      return {
+        responseType: detail.responseData.responseType,
+        bodyType: isBlob ? 'Blob' : response.constructor.name,
+        size: buffer.byteLength,
+        mime: isBlob ? response.type : undefined,
+        head: [...new Uint8Array(buffer, 0, 4)],
+      };
+    }, { url, responseType });
+    return result;
+  }
+
+  /**
+   * Dispatches the streamed request event, collects the given number of chunks, and then aborts the request.
+   * 
+   * @param {string} url 
+   * @param {number=} chunks The number of chunks to collect before aborting the request. With `0` the request is aborted right after it is sent.
+   * @param {any=} init Additional properties of the request.
+   * @returns {Promise<{ response: any, responses: number, chunks: string[], end: any }>}
+   */
+  async proxyStream(url, chunks=3, init={}) {
+    const result = await this.page.evaluate(({ url, chunks, init }) => {
+      const id = 104;
+      const collected = [];
+      let response;
+      let responses = 0;
+      const abort = () => {
+        document.body.dispatchEvent(new CustomEvent('abort-api-request', {
+          bubbles: true,
+          cancelable: true,
+          detail: { id },
+        }));
+      };
+      return new Promise((resolve) => {
+        const responseHandler = (e) => {
+          response = e.detail;
+          responses += 1;
+        };
+        const chunkHandler = (e) => {
+          collected.push(e.detail.data);
+          if (collected.length === chunks) {
+            abort();
+          }
+        };
+        const endHandler = (e) => {
+          window.removeEventListener('api-stream-response', responseHandler);
+          window.removeEventListener('api-stream-chunk', chunkHandler);
+          window.removeEventListener('api-stream-end', endHandler);
+          resolve({ response, responses, chunks: collected, end: e.detail });
+        };
+        window.addEventListener('api-stream-response', responseHandler);
+        window.addEventListener('api-stream-chunk', chunkHandler);
+        window.addEventListener('api-stream-end', endHandler);
+        document.body.dispatchEvent(new CustomEvent('api-request', {
+          bubbles: true,
+          cancelable: true,
+          detail: {
+            id,
+            url,
+            method: 'GET',
+            streaming: true,
+            ...init,
+          }
+        }));
+        if (!chunks) {
+          abort();
+        }
+      });
+    }, { url, chunks, init });
+    return result;
+  }
+
+  /**
+   * Opens a WebSocket connection through the extension, sends the messages, 
+   * waits for the same number of messages back, and closes the connection.
+   * 
+   * @param {string} url 
+   * @param {(string | { binary: string })[]} messages The messages to send. The `binary` messages are sent and received as an `ArrayBuffer` with the encoded text.
+   * @returns {Promise<{ opened: any, messages: any[], errors: any[], closed: any }>}
+   */
+  async proxyWebSocket(url, messages) {
+    const result = await this.page.evaluate(({ url, messages }) => {
+      const id = 105;
+      const received = [];
+      const errors = [];
+      let opened;
+      const dispatch = (type, detail) => {
+        document.body.dispatchEvent(new CustomEvent(type, {
+          bubbles: true,
+          cancelable: true,
+          detail,
+        }));
+      };
+      return new Promise((resolve) => {
+        const openHandler = (e) => {
+          opened = e.detail;
+          messages.forEach((message) => {
+            const data = typeof message === 'string' ? message : new TextEncoder().encode(message.binary).buffer;
+            dispatch('api-websocket-send', { id, data });
+          });
+        };
+        const messageHandler = (e) => {
+          const { data } = e.detail;
+          received.push(data instanceof ArrayBuffer ? { binary: new TextDecoder().decode(data) } : data);
+          if (received.length === messages.length) {
+            dispatch('api-websocket-close', { id, code: 1000, reason: 'done' });
+          }
+        };
+        const errorHandler = (e) => {
+          errors.push(e.detail);
+        };
+        const closeHandler = (e) => {
+          window.removeEventListener('api-websocket-opened', openHandler);
+          window.removeEventListener('api-websocket-message', messageHandler);
+          window.removeEventListener('api-websocket-error', errorHandler);
+          window.removeEventListener('api-websocket-closed', closeHandler);
+          resolve({ opened, messages: received, errors, closed: e.detail });
+        };
+        window.addEventListener('api-websocket-opened', openHandler);
+        window.addEventListener('api-websocket-message', messageHandler);
+        window.addEventListener('api-websocket-error', errorHandler);
+        window.addEventListener('api-websocket-closed', closeHandler);
+        dispatch('api-websocket-open', { id, url });
+      });
+    }, { url, messages });
+    return result;
+  }
+
+  /**
+   * Opens a WebSocket connection through the extension and, as soon as it is open, sends the messages
+   * and closes the connection without waiting for the responses.
+   * 
+   * @param {string} url 
+   * @param {(string | { blob: string })[]} messages The messages to send. The `blob` messages are sent as a `Blob` with the text.
+   * @param {boolean=} beforeOpen When set, the messages are sent right after the connection is requested and not when it is open.
+   * @returns {Promise<{ opened: any, errors: any[], closed: any }>}
+   */
+  async sendWebSocketMessages(url, messages, beforeOpen=false) {
+    const result = await this.page.evaluate(({ url, messages, beforeOpen }) => {
+      const id = 106;
+      const errors = [];
+      let opened;
+      const dispatch = (type, detail) => {
+        document.body.dispatchEvent(new CustomEvent(type, {
+          bubbles: true,
+          cancelable: true,
+          detail,
+        }));
+      };
+      const send = () => {
+        messages.forEach((message) => {
+          const data = typeof message === 'string' ? message : new Blob([message.blob]);
+          dispatch('api-websocket-send', { id, data });
+        });
+      };
+      return new Promise((resolve) => {
+        const openHandler = (e) => {
+          opened = e.detail;
+          if (!beforeOpen) {
+            send();
+          }
+          dispatch('api-websocket-close', { id, code: 1000, reason: 'done' });
+        };
+        const errorHandler = (e) => {
+          errors.push(e.detail);
+        };
+        const closeHandler = (e) => {
+          window.removeEventListener('api-websocket-opened', openHandler);
+          window.removeEventListener('api-websocket-error', errorHandler);
+          window.removeEventListener('api-websocket-closed', closeHandler);
+          resolve({ opened, errors, closed: e.detail });
+        };
+        window.addEventListener('api-websocket-opened', openHandler);
+        window.addEventListener('api-websocket-error', errorHandler);
+        window.addEventListener('api-websocket-closed', closeHandler);
+        dispatch('api-websocket-open', { id, url });
+        if (beforeOpen) {
+          send();
+        }
+      });
+    }, { url, messages, beforeOpen });
+    return result;
+  }
+
+  /**
+   * Dispatches the request event and then the abort event after the given timeout.
+   * 
+   * @param {string} url 
+   * @param {number=} timeout The number of milliseconds after which the request is aborted.
+   */
+  async proxyAbort(url, timeout=500) {
+    const result = await this.page.evaluate(({ url, timeout }) => {
+      const e = new CustomEvent('api-request', {
+        bubbles: true,
+        cancelable: true,
+        detail: {
+          id: 102,
+          url,
+          method: 'GET',
+        }
+      });
+      document.body.dispatchEvent(e);
+      setTimeout(() => {
+        document.body.dispatchEvent(new CustomEvent('abort-api-request', {
+          bubbles: true,
+          cancelable: true,
+          detail: {
+            id: 102,
+          }
+        }));
+      }, timeout);
+      return new Promise((resolve) => {
+        const handler = (e) => {
+          resolve(e.detail);
+          window.removeEventListener('api-response', handler);
+        };
+        window.addEventListener('api-response', handler);
+      });
+    }, { url, timeout });
     return result;
   }
 
@@ -104,6 +472,51 @@ export class ProxyRequest {
     return result;
   }
 
+  /**
+   * Dispatches the event for the proxy to handle OAuth 1.0a authorization.
+   * @param {IOAuth1Authorization} config 
+   */
+  async proxyOauth1(config) {
+    const result = await this.page.evaluate(([detail]) => {
+      const e = new CustomEvent('oauth1-token-requested', {
+        bubbles: true,
+        cancelable: true,
+        detail,
+      });
+      document.body.dispatchEvent(e);
+      return new Promise((resolve) => {
+        const handlerSuccess = (e) => {
+          resolve(e.detail);
+          window.removeEventListener('oauth1-token-response', handlerSuccess);
+          window.removeEventListener('oauth1-error', handlerError);
+        };
+        const handlerError = (e) => {
+          resolve(e.detail);
+          window.removeEventListener('oauth1-token-response', handlerSuccess);
+          window.removeEventListener('oauth1-error', handlerError);
+        };
+        window.addEventListener('oauth1-token-response', handlerSuccess);
+        window.addEventListener('oauth1-error', handlerError);
+      });
+    }, [config]);
+    return result;
+  }
+
+  /**
+   * Calls a method of the `ApiConsoleAppProxy` instance of the demo page.
+   * 
+   * @param {'enableHistory' | 'disableHistory' | 'queryHistory' | 'clearHistory' | 'exportHar' | 'enableMocks' | 'disableMocks' | 'listMockRules' | 'addMockRule' | 'removeMockRule' | 'clearMockRules' | 'startRecording' | 'stopRecording' | 'exportRecording' | 'startReplay' | 'stopReplay' | 'clearResponseCache'} method 
+   * @param {any=} arg The argument of the method.
+   */
+  async callProxy(method, arg) {
+    await this.page.waitForFunction(() => {
+      const { apiConsoleProxy } = /** @type any */ (window);
+      return apiConsoleProxy && apiConsoleProxy.hasExtension;
+    });
+    const result = await this.page.evaluate(({ method, arg }) => /** @type any */ (window).apiConsoleProxy[method](arg), { method, arg });
+    return result;
+  }
+
   /**
    * @param {string} url 
    * @param {string=} method 
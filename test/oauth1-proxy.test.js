@@ -0,0 +1,70 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+
+/** @typedef {import('../src/types').IOAuth1Authorization} IOAuth1Authorization */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('OAuth 1.0a Proxy', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page }) => {
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  const baseConfig = /** @type IOAuth1Authorization */ ({
+    consumerKey: 'oauth1-ck',
+    consumerSecret: 'oauth1-cs',
+    signatureMethod: 'HMAC-SHA1',
+    requestTokenUri: 'http://localhost:8000/oauth1/request-token',
+    authorizationUri: 'http://localhost:8000/oauth1/authorize',
+    accessTokenUri: 'http://localhost:8000/oauth1/access-token',
+    redirectUri: 'http://localhost:8000/test/authorization/popup.html',
+  });
+
+  test('returns the token credentials', async () => {
+    const tokenInfo = await proxy.proxyOauth1(baseConfig);
+    expect(tokenInfo.token).toEqual('token1234');
+    expect(tokenInfo.tokenSecret).toEqual('secret1234');
+    expect(tokenInfo.parameters).toEqual({ user_id: '42' });
+  });
+
+  test('returns error when the consumer secret is invalid', async () => {
+    const tokenInfo = await proxy.proxyOauth1({ ...baseConfig, consumerSecret: 'invalid' });
+    expect(tokenInfo.error).toEqual(true);
+    expect(tokenInfo.code).toEqual('request_error');
+    expect(tokenInfo.message).toContain('401');
+  });
+
+  test('returns error when the configuration is incomplete', async () => {
+    const tokenInfo = await proxy.proxyOauth1({ ...baseConfig, accessTokenUri: undefined });
+    expect(tokenInfo.error).toEqual(true);
+    expect(tokenInfo.code).toEqual('invalid_request');
+    expect(tokenInfo.message).toContain('accessTokenUri');
+  });
+});
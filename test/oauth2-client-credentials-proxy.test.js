@@ -23,6 +23,7 @@ const test = base.extend({
       },
     };
     const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
     await use(context);
     await context.close();
   }
@@ -0,0 +1,106 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+
+/** @typedef {import('../src/types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('../src/types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('../src/types').IApiConsoleProxyError} IApiConsoleProxyError */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('Origin allowlist', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page }) => {
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  test('rejects the request when the origin is not allowed', async ({ context }) => {
+    await ProxyRequest.updateSettings(context, { promptUnknownOrigins: false });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', ''));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.error).toBe(true);
+    expect(error.code).toEqual('origin_not_allowed');
+    expect(error.message).toContain(ProxyRequest.origin);
+  });
+
+  test('rejects the commands when the origin is not allowed', async ({ context }) => {
+    await ProxyRequest.updateSettings(context, { promptUnknownOrigins: false });
+    const error = await proxy.page.evaluate(async () => {
+      try {
+        await /** @type any */ (window).apiConsoleProxy.queryHistory();
+        return undefined;
+      } catch (e) {
+        return e;
+      }
+    });
+    expect(error.code).toEqual('origin_not_allowed');
+  });
+
+  test('proxies the request after the user approves the origin', async ({ context }) => {
+    const approvalPromise = context.waitForEvent('page');
+    const responsePromise = proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    const approval = await approvalPromise;
+    await expect(approval.locator('#origin')).toHaveText(ProxyRequest.origin);
+    await approval.click('#allow');
+    const response = /** @type IApiConsoleHttpResponse */ (await responsePromise);
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(200);
+  });
+
+  test('rejects the request when the user denies the origin', async ({ context }) => {
+    const approvalPromise = context.waitForEvent('page');
+    const responsePromise = proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    const approval = await approvalPromise;
+    await approval.click('#deny');
+    const response = /** @type IApiConsoleHttpResponse */ (await responsePromise);
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('origin_not_allowed');
+  });
+
+  test('does not ask again for a denied origin after the extension restarts', async ({ context, page }) => {
+    const approvalPromise = context.waitForEvent('page');
+    const deniedPromise = proxy.proxyEvent('https://httpbin.org/get', 'GET', '');
+    const approval = await approvalPromise;
+    await approval.click('#deny');
+    await deniedPromise;
+    await ProxyRequest.reloadExtension(context);
+    await page.reload();
+    const pages = [];
+    context.on('page', p => pages.push(p));
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', ''));
+    const error = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(error.code).toEqual('origin_not_allowed');
+    expect(pages).toHaveLength(0);
+  });
+
+  test('allows the origins matching a pattern', async ({ context }) => {
+    await ProxyRequest.updateSettings(context, { allowedOrigins: ['http://localhost:*'], promptUnknownOrigins: false });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/get', 'GET', ''));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(200);
+  });
+});
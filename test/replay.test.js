@@ -0,0 +1,90 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+
+/** @typedef {import('../src/types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('../src/types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+/** @typedef {import('../src/types').IApiConsoleProxyError} IApiConsoleProxyError */
+/** @typedef {import('../src/types').IHar} IHar */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('Record and replay', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page }) => {
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  test('replays the recorded response', async () => {
+    await proxy.callProxy('startRecording');
+    const recorded = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/uuid', 'GET', ''));
+    await proxy.callProxy('stopRecording');
+    const count = await proxy.callProxy('startReplay', { strict: true });
+    expect(count).toEqual(1);
+    const replayed = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/uuid', 'GET', ''));
+    expect(replayed.replayed).toBe(true);
+    const recordedData = /** @type IApiConsoleHttpResponseData */ (recorded.responseData);
+    const replayedData = /** @type IApiConsoleHttpResponseData */ (replayed.responseData);
+    expect(replayedData.status).toEqual(200);
+    expect(replayedData.response).toEqual(recordedData.response);
+  });
+
+  test('reports the replay miss in the strict mode', async () => {
+    await proxy.callProxy('startRecording');
+    await proxy.proxyEvent('https://httpbin.org/uuid', 'GET', '');
+    await proxy.callProxy('stopRecording');
+    await proxy.callProxy('startReplay', { strict: true });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/post', 'POST', '', 'test'));
+    const data = /** @type IApiConsoleProxyError */ (response.responseData);
+    expect(data.error).toBe(true);
+    expect(data.code).toEqual('replay_miss');
+  });
+
+  test('replays the given HAR log', async () => {
+    const har = /** @type IHar */ ({
+      log: {
+        version: '1.2',
+        creator: { name: 'test', version: '1' },
+        pages: [],
+        entries: [{
+          startedDateTime: new Date().toISOString(),
+          time: 1,
+          request: { method: 'POST', url: 'https://offline.example.com/items', httpVersion: 'HTTP/1.1', cookies: [], headers: [], queryString: [], postData: { mimeType: 'text/plain', text: 'a' }, headersSize: -1, bodySize: 1 },
+          response: { status: 201, statusText: 'Created', httpVersion: 'HTTP/1.1', cookies: [], headers: [{ name: 'content-type', value: 'text/plain' }], content: { size: 2, mimeType: 'text/plain', text: 'ok' }, redirectURL: '', headersSize: -1, bodySize: 2 },
+          cache: {},
+          timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: -1, wait: 1, receive: 0 },
+        }],
+      },
+    });
+    await proxy.callProxy('startReplay', { strict: true, har });
+    const response = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://offline.example.com/items', 'POST', '', 'a'));
+    const data = /** @type IApiConsoleHttpResponseData */ (response.responseData);
+    expect(data.status).toEqual(201);
+    expect(data.response).toEqual('ok');
+  });
+});
@@ -0,0 +1,113 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+import { isCacheableRequest } from '../src/proxy/ResponseCache.js';
+
+/** @typedef {import('../src/types').IApiConsoleHttpResponse} IApiConsoleHttpResponse */
+/** @typedef {import('../src/types').IApiConsoleHttpResponseData} IApiConsoleHttpResponseData */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('Response cache', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page, context }) => {
+    await ProxyRequest.updateSettings(context, { responseCache: true });
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  test('serves the fresh response from the cache', async () => {
+    const first = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', ''));
+    expect(first.stats.cache).toBeUndefined();
+    const second = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', ''));
+    expect(second.stats.cache).toEqual('hit');
+    const data = /** @type IApiConsoleHttpResponseData */ (second.responseData);
+    expect(data.status).toEqual(200);
+    expect(data.response).toEqual(/** @type IApiConsoleHttpResponseData */ (first.responseData).response);
+    expect(data.headers).not.toContain('x-api-console-stored-at');
+  });
+
+  test('revalidates the stale response with the etag', async () => {
+    await proxy.proxyEvent('https://httpbin.org/etag/test-etag', 'GET', '');
+    const second = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/etag/test-etag', 'GET', ''));
+    expect(second.stats.cache).toEqual('revalidated');
+    const data = /** @type IApiConsoleHttpResponseData */ (second.responseData);
+    expect(data.status).toEqual(200);
+    expect(data.response).toBeTruthy();
+  });
+
+  test('does not use the cache when the request has the no-store directive', async () => {
+    await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', '');
+    const second = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', 'cache-control: no-store'));
+    expect(second.stats.cache).toBeUndefined();
+  });
+
+  test('does not cache the streamed responses', async () => {
+    const stream = await proxy.proxyStream('https://httpbin.org/cache/60', 100);
+    expect(stream.chunks.join('')).toContain('"url"');
+    const second = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', ''));
+    expect(second.stats.cache).toBeUndefined();
+  });
+
+  test('does not cache the responses to the requests with credentials', async () => {
+    await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', '', undefined, { credentials: 'include' });
+    const second = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', '', undefined, { credentials: 'include' }));
+    expect(second.stats.cache).toBeUndefined();
+  });
+
+  test('does not use the cache for the authenticated requests', () => {
+    const id = 'test-id';
+    const url = 'https://httpbin.org/cache/60';
+    expect(isCacheableRequest({ id, url, method: 'GET' }, 'omit')).toBe(true);
+    expect(isCacheableRequest({ id, url, method: 'GET' }, 'include')).toBe(false);
+    expect(isCacheableRequest({ id, url, method: 'GET', headers: 'authorization: Bearer token' }, 'omit')).toBe(false);
+    expect(isCacheableRequest({ id, url, method: 'GET', auth: { type: 'digest', username: 'user', password: 'passwd' } }, 'omit')).toBe(false);
+  });
+
+  test('does not use the cache for the requests with the headers that are not in the cache key', () => {
+    const id = 'test-id';
+    const url = 'https://httpbin.org/cache/60';
+    expect(isCacheableRequest({ id, url, method: 'GET', headers: 'accept: application/json' }, 'omit')).toBe(true);
+    expect(isCacheableRequest({ id, url, method: 'GET', headers: 'cookie: session=user-1' }, 'omit')).toBe(false);
+    expect(isCacheableRequest({ id, url, method: 'GET', headers: 'accept-encoding: gzip' }, 'omit')).toBe(false);
+    expect(isCacheableRequest({ id, url, method: 'GET', headers: 'sec-fetch-mode: cors' }, 'omit')).toBe(false);
+  });
+
+  test('clears the cache', async () => {
+    await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', '');
+    await proxy.callProxy('clearResponseCache');
+    const second = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', ''));
+    expect(second.stats.cache).toBeUndefined();
+  });
+
+  test('does not cache the responses when the cache is off', async ({ context }) => {
+    await ProxyRequest.updateSettings(context, { responseCache: false });
+    await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', '');
+    const second = /** @type IApiConsoleHttpResponse */ (await proxy.proxyEvent('https://httpbin.org/cache/60', 'GET', ''));
+    expect(second.stats.cache).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+import { test as base, chromium, expect } from '@playwright/test';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ProxyRequest } from './models/ProxyRequest.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const extensionPath = join(__dirname, '..');
+
+const test = base.extend({
+  context: async ({ browserName }, use) => {
+    const browserTypes = { chromium };
+    const launchOptions = {
+      devtools: true,
+      headless: false,
+      args: [
+        `--disable-extensions-except=${extensionPath}`
+      ],
+      viewport: {
+        width: 1920,
+        height: 1080
+      },
+    };
+    const context = await browserTypes[browserName].launchPersistentContext('', launchOptions);
+    await ProxyRequest.allowDemoOrigin(context);
+    await use(context);
+    await context.close();
+  }
+});
+
+test.describe('WebSocket Proxy', () => {
+  /** @type ProxyRequest */
+  let proxy;
+  test.beforeEach(async ({ page }) => {
+    proxy = new ProxyRequest(page);
+    await proxy.navigate();
+  });
+
+  test('sends and receives messages', async () => {
+    const result = await proxy.proxyWebSocket('ws://localhost:8000/ws-echo', ['first', 'second']);
+    expect(result.opened).toHaveProperty('id', 105);
+    expect(result.messages).toEqual(['first', 'second']);
+    expect(result.errors).toHaveLength(0);
+    expect(result.closed).toHaveProperty('code', 1000);
+    expect(result.closed).toHaveProperty('reason', 'done');
+    expect(result.closed).toHaveProperty('wasClean', true);
+  });
+
+  test('sends the binary and text messages in order', async () => {
+    const result = await proxy.proxyWebSocket('ws://localhost:8000/ws-echo', [{ binary: 'first' }, 'second', { binary: 'third' }, 'fourth']);
+    expect(result.messages).toEqual([{ binary: 'first' }, 'second', { binary: 'third' }, 'fourth']);
+    expect(result.errors).toHaveLength(0);
+    expect(result.closed).toHaveProperty('code', 1000);
+  });
+
+  test('sends the Blob and text messages and the close in order', async ({ page }) => {
+    const result = await proxy.sendWebSocketMessages('ws://localhost:8000/ws-record', [{ blob: 'first' }, 'second']);
+    expect(result.errors).toHaveLength(0);
+    expect(result.closed).toHaveProperty('code', 1000);
+    await expect.poll(async () => {
+      const response = await page.request.get('http://localhost:8000/ws-received');
+      return response.json();
+    }).toEqual([{ binary: 'first' }, 'second', { close: 1000 }]);
+  });
+
+  test('sends the messages dispatched before the connection is open', async ({ page }) => {
+    const result = await proxy.sendWebSocketMessages('ws://localhost:8000/ws-record', ['first', { blob: 'second' }], true);
+    expect(result.errors).toHaveLength(0);
+    expect(result.closed).toHaveProperty('code', 1000);
+    await expect.poll(async () => {
+      const response = await page.request.get('http://localhost:8000/ws-received');
+      return response.json();
+    }).toEqual(['first', { binary: 'second' }, { close: 1000 }]);
+  });
+
+  test('reports a connection error', async () => {
+    const result = await proxy.proxyWebSocket('ws://localhost:8000/not-a-socket', ['first']);
+    expect(result.opened).toBeUndefined();
+    expect(result.errors.length).toBeGreaterThan(0);
+    expect(result.closed).toHaveProperty('wasClean', false);
+  });
+});
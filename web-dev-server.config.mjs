@@ -1,6 +1,14 @@
 // import { hmrPlugin, presets } from '@open-wc/dev-server-hmr';
 // import { esbuildPlugin } from '@web/dev-server-esbuild';
-import { CodeServerMock } from './test/authorization/ServerMock.js';
+import { PassThrough } from 'stream';
+import WebSocket from 'ws';
+import { CodeServerMock, OAuth1ServerMock } from './test/authorization/ServerMock.js';
+
+/**
+ * What the last connection to the recording WebSocket server received, in order.
+ * @type {(string | { binary: string } | { close: number })[]}
+ */
+let webSocketReceived = [];
 
 export default /** @type {import('@web/dev-server').DevServerConfig} */ ({
   // open: '/demo/',
@@ -23,6 +31,41 @@ export default /** @type {import('@web/dev-server').DevServerConfig} */ ({
   // appIndex: 'demo/index.html',
 
   plugins: [
+    {
+      name: 'mock-websocket',
+      serverStart({ server }) {
+        // An echo WebSocket server.
+        const wss = new WebSocket.Server({ noServer: true });
+        wss.on('connection', (socket) => {
+          socket.on('message', (data, isBinary) => {
+            socket.send(data, { binary: isBinary });
+          });
+        });
+        // A server that records the received messages and the close frame.
+        const recorder = new WebSocket.Server({ noServer: true });
+        recorder.on('connection', (socket) => {
+          const received = [];
+          webSocketReceived = received;
+          socket.on('message', (data, isBinary) => {
+            received.push(isBinary ? { binary: data.toString() } : data.toString());
+          });
+          socket.on('close', (code) => {
+            received.push({ close: code });
+          });
+        });
+        server.on('upgrade', (request, socket, head) => {
+          if (request.url === '/ws-echo') {
+            wss.handleUpgrade(request, socket, head, (ws) => {
+              wss.emit('connection', ws, request);
+            });
+          } else if (request.url === '/ws-record') {
+            recorder.handleUpgrade(request, socket, head, (ws) => {
+              recorder.emit('connection', ws, request);
+            });
+          }
+        });
+      },
+    },
     {
       name: 'mock-api',
       serve(context) {
@@ -53,6 +96,9 @@ export default /** @type {import('@web/dev-server').DevServerConfig} */ ({
         if (context.path === '/empty-response') {
           return '';
         }
+        if (context.path === '/ws-received') {
+          return { body: JSON.stringify(webSocketReceived), type: 'json' };
+        }
         return undefined;
       },
     },
@@ -72,6 +118,39 @@ export default /** @type {import('@web/dev-server').DevServerConfig} */ ({
         return CodeServerMock.authRequestImplicitStateError(context);
       }
       return next();
+    },
+    function oauth1(context, next) {
+      if (context.path === '/oauth1/request-token') {
+        return OAuth1ServerMock.requestToken(context);
+      }
+      if (context.path === '/oauth1/authorize') {
+        return OAuth1ServerMock.authorize(context);
+      }
+      if (context.path === '/oauth1/access-token') {
+        return OAuth1ServerMock.accessToken(context);
+      }
+      return next();
+    },
+    function eventStream(context, next) {
+      if (context.path !== '/events') {
+        return next();
+      }
+      // An endless event stream that sends an event every 100 ms.
+      const stream = new PassThrough();
+      let counter = 0;
+      const interval = setInterval(() => {
+        counter += 1;
+        stream.write(`id: ${counter}\ndata: event ${counter}\n\n`);
+      }, 100);
+      context.req.on('close', () => {
+        clearInterval(interval);
+        stream.end();
+      });
+      context.status = 200;
+      context.set('content-type', 'text/event-stream');
+      context.set('cache-control', 'no-cache');
+      context.body = stream;
+      return undefined;
     }
   ],
 });